@@ -1,5 +1,49 @@
 import { getSortedExecutionOrder, validateConnection } from './scene.js';
-import { evaluateScene as renderScene, findHitObject } from './system/evaluator.js';
+import { collectRefIds } from './core/params.js';
+import { evaluateScene as renderScene, findHitObjects } from './system/evaluator.js';
+import { loadFontAsset } from './core/font.js';
+
+// Editable params (and creation defaults) per math node type.
+// Numeric and `@ref` defaults mark number-or-ref fields; other strings stay strings.
+const MATH_NODE_DEFAULTS = {
+  sin: { input: '@time.t', amp: 100, freq: 0.1, phase: 0 },
+  cos: { input: '@time.t', amp: 100, freq: 0.1, phase: 0 },
+  random: { input: '@time.t', min: 0, max: 100, step: 30, seed: 1 },
+  noise: { input: '@time.t', amp: 100, freq: 0.02, octaves: 3, seed: 1 },
+  measure: { target: '', metric: 'area' },
+};
+
+function isNumericMathField(type, key) {
+  const fallback = MATH_NODE_DEFAULTS[type][key];
+  return typeof fallback === 'number' || fallback.startsWith('@');
+}
+
+// Editable geometry fields (and creation defaults) per primitive geometry type.
+// Numeric defaults mark fields that accept numbers or `@refs`; strings stay strings.
+const PRIMITIVE_DEFAULTS = {
+  circle: { radius: 50 },
+  rect: { width: 100, height: 80, cornerRadius: 0 },
+  ellipse: { rx: 70, ry: 40 },
+  arc: { radius: 50, startAngle: 0, endAngle: 4.71, closure: 'pie' },
+  ngon: { radius: 40, sides: 6 },
+  star: { count: 5, outerRadius: 50, innerRadius: 22 },
+  path: { d: 'M -60 0 C -60 -80 60 -80 60 0 A 60 40 0 0 1 -60 0 Z' },
+};
+
+// The Polygon button creates a regular n-gon.
+const PRIMITIVE_GEOMETRY_TYPE = { polygon: 'ngon' };
+
+// Screen pixels within which a repeated click cycles through overlapping hits.
+const PICK_CYCLE_RADIUS = 3;
+
+// Panel field value: `@objId.prop.path` (prop defaults to `value`) becomes a ref.
+function parseFieldValue(v, isNum = true) {
+  if (typeof v === 'string' && v.startsWith('@')) {
+    const [targetId, ...path] = v.substring(1).split('.');
+    return { type: 'ref', targetId, targetProp: path.join('.') || 'value' };
+  }
+  return isNum ? parseFloat(v) : v;
+}
 
 export class App {
   constructor(p5Instance) {
@@ -15,6 +59,7 @@ export class App {
         { id: 'default_style', name: 'Default', strokeColor: '#ffffff', strokeWeight: 1, fillEnabled: false }
       ],
       components: [],
+      seed: 0,
       assets: [
         { id: 'default', kind: 'font', source: 'sans-serif', loadState: 'ready' }
       ],
@@ -27,6 +72,7 @@ export class App {
 
     // Initial state
     this.selectedObjectId = null;
+    this.lastPick = null; // Screen position of the last click, for hit cycling
     this.renderLoop = this.renderLoop.bind(this);
 
     // Initial redraw
@@ -171,8 +217,16 @@ export class App {
 
     // Or just cheat: The p5.draw loop has the result.
     // But purely logic-side:
-    const result = renderScene(scene, this.scene.timeline.t);
-    const hitId = findHitObject(result.objects, { x: worldX, y: worldY });
+    const result = renderScene({ ...scene, objects }, this.scene.timeline.t);
+    const hits = findHitObjects(result.objects, { x: worldX, y: worldY });
+
+    // Clicking the same spot again steps down through overlapping objects.
+    const last = this.lastPick;
+    const sameSpot = last && Math.hypot(last.x - x, last.y - y) <= PICK_CYCLE_RADIUS;
+    const current = sameSpot ? hits.findIndex((h) => h.objectId === this.selectedObjectId) : -1;
+    const hit = current >= 0 ? hits[(current + 1) % hits.length] : hits[0];
+    const hitId = hit ? hit.objectId : null;
+    this.lastPick = { x, y };
 
     if (hitId) {
       this.setSelectedId(hitId);
@@ -254,8 +308,12 @@ export class App {
       params.rotate = fmt(obj.rotate);
     }
     else if (obj.kind === 'primitive' || obj.kind === 'text') {
-      if (obj.geometry.type === 'circle') params = { radius: fmt(obj.geometry.radius) };
-      else if (obj.geometry.type === 'rect') params = { width: fmt(obj.geometry.width), height: fmt(obj.geometry.height) };
+      const fields = PRIMITIVE_DEFAULTS[obj.geometry.type];
+      if (fields && obj.kind === 'primitive') {
+        for (const [key, fallback] of Object.entries(fields)) {
+          params[key] = fmt(obj.geometry[key] ?? fallback);
+        }
+      }
       else if (obj.geometry.type === 'line') {
         const p0 = obj.geometry.points ? obj.geometry.points[0] : { x: 0, y: 0 };
         const p1 = obj.geometry.points ? obj.geometry.points[1] : { x: 0, y: 0 };
@@ -288,10 +346,9 @@ export class App {
       }
 
     } else if (obj.kind === 'math') {
-      params.input = fmt(obj.params.input);
-      params.amp = fmt(obj.params.amp);
-      params.freq = fmt(obj.params.freq);
-      params.phase = fmt(obj.params.phase);
+      for (const key of Object.keys(MATH_NODE_DEFAULTS[obj.type] || {})) {
+        params[key] = fmt(obj.params[key]);
+      }
       if (obj.transform && obj.transform.translate) {
         params.x = fmt(obj.transform.translate.value.x);
         params.y = fmt(obj.transform.translate.value.y);
@@ -303,24 +360,21 @@ export class App {
   // Interaction State
   openCreationPanel(type) {
     this.pendingType = type;
-    if (type === 'circle') return this.getDefaultParams('circle');
-    if (type === 'rect') return this.getDefaultParams('rect');
+    if (PRIMITIVE_DEFAULTS[PRIMITIVE_GEOMETRY_TYPE[type] || type]) return this.getDefaultParams(type);
     if (type === 'line') return this.getDefaultParams('line');
-    if (type === 'polygon') return this.getDefaultParams('polygon');
     if (type === 'text') return this.getDefaultParams('text');
     if (type === 'grid') return { rows: 5, cols: 5, spacing: 50 };
     if (type === 'radial') return { count: 8, radius: 100 };
     // Math
-    if (type === 'sin' || type === 'cos') return { input: '@time.t', amp: 100, freq: 0.1, phase: 0 };
+    if (MATH_NODE_DEFAULTS[type]) return { ...MATH_NODE_DEFAULTS[type] };
 
     return {};
   }
 
   getDefaultParams(type) {
-    if (type === 'circle') return { type: 'circle', radius: 50, x: 0, y: 0 };
-    if (type === 'rect') return { type: 'rect', width: 100, height: 80, x: 0, y: 0 };
+    const geometryType = PRIMITIVE_GEOMETRY_TYPE[type] || type;
+    if (PRIMITIVE_DEFAULTS[geometryType]) return { type, ...PRIMITIVE_DEFAULTS[geometryType], x: 0, y: 0 };
     if (type === 'line') return { type: 'line', dx: 100, dy: 0, x: -50, y: 0 };
-    if (type === 'polygon') return { type: 'polygon', radius: 40, sides: 3, x: 0, y: 0 };
     if (type === 'text') return { type: 'text', text: 'Hello', size: 40, x: 0, y: 0 };
     if (type === 'grid') return { type: 'grid', rows: 5, cols: 5, spacing: 60 };
     if (type === 'radial') return { type: 'radial', count: 8, radius: 100 };
@@ -394,7 +448,7 @@ export class App {
     // Determine kind
     let kind = 'primitive';
     if (type === 'text') kind = 'text';
-    if (type === 'sin' || type === 'cos') kind = 'math';
+    if (MATH_NODE_DEFAULTS[type]) kind = 'math';
 
     const id = `obj_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
 
@@ -410,24 +464,16 @@ export class App {
     };
 
     // Parse params helper
-    const parse = (v) => {
-      if (typeof v === 'string' && v.startsWith('@')) {
-        const parts = v.substring(1).split('.');
-        return { type: 'ref', targetId: parts[0], targetProp: parts[1] || 'value' };
-      }
-      return parseFloat(v);
-    };
+    const parse = (v) => parseFieldValue(v);
 
     if (kind === 'math') {
       // Store raw params or parsed?
       // We need to parse them to allow Refs.
-      newObj.type = type; // sin/cos
-      newObj.params = {
-        input: parse(params.input),
-        amp: parse(params.amp),
-        freq: parse(params.freq),
-        phase: parse(params.phase)
-      };
+      newObj.type = type; // sin/cos/random/noise/measure
+      newObj.params = {};
+      for (const key of Object.keys(MATH_NODE_DEFAULTS[type])) {
+        newObj.params[key] = parseFieldValue(params[key], isNumericMathField(type, key));
+      }
       // Math nodes usually don't need geometry/transform in the same way,
       // but having a visual representation (like a box) helps selection.
       // Let's give it a dummy geometry for clicking.
@@ -465,18 +511,16 @@ export class App {
     if (!obj) return;
 
     // PARSE HELPER
-    const parse = (v, isNum = true) => {
-      if (typeof v === 'string' && v.startsWith('@')) {
-        // Reference Syntax: @objId.propName
-        const parts = v.substring(1).split('.');
-        if (parts.length >= 2) {
-          const targetId = parts[0];
-          const targetProp = parts.slice(1).join('.');
-          return { type: 'ref', targetId, targetProp };
-        }
-      }
-      return isNum ? parseFloat(v) : v;
-    };
+    const parse = parseFieldValue;
+
+    // Reject the whole edit if any reference in it would close a dependency cycle.
+    const refIds = collectRefIds(Object.values(params).map((v) => (typeof v === 'string' ? parse(v) : v)));
+    const cyclic = [...refIds].filter((id) => !validateConnection(this.scene, id, obj.id));
+    if (cyclic.length > 0) {
+      const message = `Edit rejected: ${obj.id} referencing ${cyclic.map((id) => `@${id}`).join(', ')} would create a cycle`;
+      console.warn(message);
+      return { rejected: true, message };
+    }
 
     // Update Transform
     if (params.x !== undefined && params.y !== undefined) {
@@ -498,23 +542,21 @@ export class App {
       // I need to update createPrimitiveGeometry to accommodate partial params or handle assignment differently.
       // Or just assign directly to obj.geometry keys.
 
-      if (obj.geometry.type === 'circle') {
-        if (params.radius) obj.geometry.radius = parse(params.radius);
-      } else if (obj.geometry.type === 'rect') {
-        if (params.width) obj.geometry.width = parse(params.width);
-        if (params.height) obj.geometry.height = parse(params.height);
+      for (const [key, fallback] of Object.entries(PRIMITIVE_DEFAULTS[obj.geometry.type] || {})) {
+        if (params[key] !== undefined && params[key] !== '') {
+          obj.geometry[key] = parse(params[key], typeof fallback === 'number');
+        }
       }
-      // Line/Poly - minimal ref support for now
+      // Line - minimal ref support for now
 
     } else if (obj.kind === 'text') {
       if (params.text) obj.geometry.text = parse(params.text, false);
       if (params.size) obj.geometry.size = parse(params.size);
     } else if (obj.kind === 'math') {
       // Update Math Params
-      if (params.input !== undefined) obj.params.input = parse(params.input);
-      if (params.amp !== undefined) obj.params.amp = parse(params.amp);
-      if (params.freq !== undefined) obj.params.freq = parse(params.freq);
-      if (params.phase !== undefined) obj.params.phase = parse(params.phase);
+      for (const key of Object.keys(MATH_NODE_DEFAULTS[obj.type] || {})) {
+        if (params[key] !== undefined) obj.params[key] = parseFieldValue(params[key], isNumericMathField(obj.type, key));
+      }
     }
 
     // Update Style Reference
@@ -612,6 +654,18 @@ export class App {
     this.requestRender();
   }
 
+  /**
+   * Replaces the default font asset with a user-picked .ttf/.otf file.
+   * Text switches from placeholder boxes to real glyph outlines once it parses.
+   * @param {File} file
+   */
+  async loadFontFile(file) {
+    const asset = await loadFontAsset({ id: 'default', kind: 'font', source: file.name, data: await file.arrayBuffer() });
+    this.scene.assets = [...(this.scene.assets || []).filter(a => a.id !== asset.id), asset];
+    this.requestRender();
+    return asset;
+  }
+
   setBackgroundColor(hex) {
     this.scene.background.color = hex;
     this.requestRender();
@@ -632,16 +686,20 @@ export class App {
   }
 
   createPrimitiveGeometry(type, params) {
+    const geometryType = PRIMITIVE_GEOMETRY_TYPE[type] || type;
+    const fields = PRIMITIVE_DEFAULTS[geometryType];
+    if (fields) {
+      const geometry = { type: geometryType };
+      for (const [key, fallback] of Object.entries(fields)) {
+        const value = params[key] === undefined || params[key] === '' ? fallback : parseFieldValue(params[key], typeof fallback === 'number');
+        geometry[key] = Number.isNaN(value) ? fallback : value;
+      }
+      return geometry;
+    }
     switch (type) {
-      case 'circle':
-        return { type: 'circle', radius: parseFloat(params.radius) || 50 };
-      case 'rect':
-        return { type: 'rect', width: parseFloat(params.width) || 100, height: parseFloat(params.height) || 80 };
       case 'line':
         const dx = parseFloat(params.dx) || 100;
         return { type: 'line', points: [{ x: -dx / 2, y: 0 }, { x: dx / 2, y: 0 }] };
-      case 'polygon':
-        return { type: 'polygon', points: [{ x: 0, y: -50 }, { x: 40, y: 30 }, { x: -40, y: 30 }] };
       default:
         return { type: 'point' };
     }
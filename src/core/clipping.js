@@ -0,0 +1,380 @@
+/**
+ * @module Core/Clipping
+ * @description Polygon boolean operations (union, intersect, difference, xor) on multi-ring regions.
+ * Checks: Dependency-free.
+ * @input Regions (rings + fill rule), Operation
+ * @output Rings
+ */
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/** @typedef {'union'|'intersect'|'difference'|'xor'} BooleanOperation */
+
+/**
+ * A filled area: any number of rings (outlines, holes, self-intersecting
+ * loops) interpreted with a fill rule. Rings are implicitly closed.
+ * @typedef {{rings: Vec2[][], fillRule?: 'nonzero'|'evenodd'}} Region
+ */
+
+/**
+ * How it works: every edge of every ring is split at all intersections,
+ * then each resulting piece is kept only if the operation's result differs
+ * on its two sides (sampled with each input's own fill rule). The kept
+ * pieces are oriented with the result on their left and chained into
+ * rings. Because membership is decided by winding numbers rather than by
+ * tracing, holes, overlapping inputs and self-intersections need no
+ * special cases.
+ */
+
+const PARAM_EPS = 1e-10;
+
+/**
+ * Combines regions. `difference` subtracts every later region from the
+ * first; `xor` keeps area covered by an odd number of regions.
+ *
+ * Output rings do not cross each other. Outer boundaries have positive
+ * signed area (see `ringArea`) and holes negative, so the result fills
+ * the same with either fill rule.
+ * @param {Region[]} regions
+ * @param {BooleanOperation|'diff'} operation
+ * @returns {Vec2[][]}
+ */
+export function booleanPolygons(regions, operation) {
+    const combine = COMBINE[operation === 'diff' ? 'difference' : operation];
+    if (!combine) throw new Error(`Unknown boolean operation ${operation}`);
+
+    const inputs = regions.map((region) => ({
+        evenOdd: region.fillRule === 'evenodd',
+        edges: ringEdges(region.rings),
+    }));
+    const allEdges = inputs.flatMap((input) => input.edges);
+    if (allEdges.length === 0) return [];
+
+    const extent = edgeExtent(allEdges);
+    const snap = createSnapper(extent * 1e-10);
+    const pieces = splitEdges(allEdges, snap);
+    const locators = inputs.map((input) => createWindingLocator(input.edges));
+
+    const kept = [];
+    for (const [a, b] of pieces) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const len = Math.hypot(dx, dy);
+        const delta = Math.max(len * 1e-6, extent * 1e-12);
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const nx = (-dy / len) * delta;
+        const ny = (dx / len) * delta;
+        const left = { x: mid.x + nx, y: mid.y + ny };
+        const right = { x: mid.x - nx, y: mid.y - ny };
+        const insideLeft = combine(inputs.map((input, i) => isInside(locators[i](left), input.evenOdd)));
+        const insideRight = combine(inputs.map((input, i) => isInside(locators[i](right), input.evenOdd)));
+        if (insideLeft === insideRight) continue;
+        kept.push(insideLeft ? [a, b] : [b, a]);
+    }
+    return linkRings(kept);
+}
+
+/**
+ * Signed shoelace area. Positive for rings whose winding number inside is +1.
+ * @param {Vec2[]} ring
+ * @returns {number}
+ */
+export function ringArea(ring) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+        sum += (ring[j].x * ring[i].y) - (ring[i].x * ring[j].y);
+    }
+    return sum / 2;
+}
+
+/**
+ * Winding number of `point` against closed rings.
+ * @param {Vec2} point
+ * @param {Vec2[][]} rings
+ * @returns {number}
+ */
+export function windingNumber(point, rings) {
+    let winding = 0;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+            winding += crossing(ring[j], ring[i], point);
+        }
+    }
+    return winding;
+}
+
+/**
+ * Pieces of an open polyline that lie inside a region. The polyline is cut
+ * wherever it crosses a ring edge, and each span is kept or dropped by the
+ * region's fill rule at its midpoint; consecutive kept spans stay joined.
+ * @param {Vec2[]} points
+ * @param {Region} region
+ * @returns {Vec2[][]}
+ */
+export function clipPolyline(points, region) {
+    const edges = ringEdges(region.rings);
+    const rings = region.rings.filter((ring) => ring && ring.length > 2);
+    const evenOdd = region.fillRule === 'evenodd';
+    const pieces = [];
+    let current = null;
+    for (let i = 0; i + 1 < points.length; i += 1) {
+        const a = points[i];
+        const r = { x: points[i + 1].x - a.x, y: points[i + 1].y - a.y };
+        const cuts = [0, 1];
+        for (const [c, d] of edges) {
+            const s = { x: d.x - c.x, y: d.y - c.y };
+            const denom = cross(r, s);
+            if (Math.abs(denom) <= PARAM_EPS * Math.hypot(r.x, r.y) * Math.hypot(s.x, s.y)) continue;
+            const qp = { x: c.x - a.x, y: c.y - a.y };
+            const t = cross(qp, s) / denom;
+            const u = cross(qp, r) / denom;
+            if (t > 0 && t < 1 && u >= -PARAM_EPS && u <= 1 + PARAM_EPS) cuts.push(t);
+        }
+        cuts.sort((x, y) => x - y);
+        const at = (t) => ({ x: a.x + r.x * t, y: a.y + r.y * t });
+        for (let k = 0; k + 1 < cuts.length; k += 1) {
+            if (cuts[k + 1] - cuts[k] <= PARAM_EPS) continue;
+            if (isInside(windingNumber(at((cuts[k] + cuts[k + 1]) / 2), rings), evenOdd)) {
+                if (!current) {
+                    current = [at(cuts[k])];
+                    pieces.push(current);
+                }
+                current.push(at(cuts[k + 1]));
+            } else {
+                current = null;
+            }
+        }
+    }
+    return pieces;
+}
+
+const COMBINE = {
+    union: (flags) => flags.some(Boolean),
+    intersect: (flags) => flags.length > 0 && flags.every(Boolean),
+    difference: (flags) => Boolean(flags[0]) && !flags.slice(1).some(Boolean),
+    xor: (flags) => flags.filter(Boolean).length % 2 === 1,
+};
+
+function isInside(winding, evenOdd) {
+    return evenOdd ? winding % 2 !== 0 : winding !== 0;
+}
+
+function crossing(a, b, p) {
+    const side = (b.x - a.x) * (p.y - a.y) - (p.x - a.x) * (b.y - a.y);
+    if (a.y <= p.y) return b.y > p.y && side > 0 ? 1 : 0;
+    return b.y <= p.y && side < 0 ? -1 : 0;
+}
+
+function ringEdges(rings) {
+    const edges = [];
+    for (const ring of rings) {
+        if (!ring || ring.length < 3) continue;
+        for (let i = 0; i < ring.length; i += 1) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            if (a.x !== b.x || a.y !== b.y) edges.push([a, b]);
+        }
+    }
+    return edges;
+}
+
+function edgeExtent(edges) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const [a, b] of edges) {
+        minX = Math.min(minX, a.x, b.x);
+        minY = Math.min(minY, a.y, b.y);
+        maxX = Math.max(maxX, a.x, b.x);
+        maxY = Math.max(maxY, a.y, b.y);
+    }
+    return Math.max(maxX - minX, maxY - minY, 1e-9);
+}
+
+/** Merges points closer than `eps` so split pieces share exact vertices. */
+function createSnapper(eps) {
+    const cells = new Map();
+    return (p) => {
+        const key = `${Math.round(p.x / eps)},${Math.round(p.y / eps)}`;
+        if (!cells.has(key)) cells.set(key, { x: p.x, y: p.y, key });
+        return cells.get(key);
+    };
+}
+
+/**
+ * Splits every edge at every crossing, touching endpoint and collinear
+ * overlap, and returns the unique undirected pieces.
+ */
+function splitEdges(edges, snap) {
+    const items = edges.map(([a, b]) => ({
+        a,
+        b,
+        minX: Math.min(a.x, b.x),
+        maxX: Math.max(a.x, b.x),
+        minY: Math.min(a.y, b.y),
+        maxY: Math.max(a.y, b.y),
+        cuts: [],
+    }));
+    const order = [...items].sort((p, q) => p.minX - q.minX);
+    for (let i = 0; i < order.length; i += 1) {
+        const e = order[i];
+        for (let j = i + 1; j < order.length && order[j].minX <= e.maxX; j += 1) {
+            const f = order[j];
+            if (f.minY > e.maxY || f.maxY < e.minY) continue;
+            intersectEdges(e, f);
+        }
+    }
+
+    const pieces = new Map();
+    for (const item of items) {
+        const cuts = item.cuts.sort((p, q) => p.t - q.t);
+        let prev = snap(item.a);
+        for (const cut of [...cuts, { t: 1, point: item.b }]) {
+            const next = snap(cut.point);
+            if (next !== prev) {
+                const key = prev.key < next.key ? `${prev.key}|${next.key}` : `${next.key}|${prev.key}`;
+                if (!pieces.has(key)) pieces.set(key, [prev, next]);
+            }
+            prev = next;
+        }
+    }
+    return [...pieces.values()];
+}
+
+function intersectEdges(e, f) {
+    const r = { x: e.b.x - e.a.x, y: e.b.y - e.a.y };
+    const s = { x: f.b.x - f.a.x, y: f.b.y - f.a.y };
+    const qp = { x: f.a.x - e.a.x, y: f.a.y - e.a.y };
+    const denom = cross(r, s);
+    const scale = Math.hypot(r.x, r.y) * Math.hypot(s.x, s.y);
+    if (Math.abs(denom) > PARAM_EPS * scale) {
+        const t = cross(qp, s) / denom;
+        const u = cross(qp, r) / denom;
+        if (t < -PARAM_EPS || t > 1 + PARAM_EPS || u < -PARAM_EPS || u > 1 + PARAM_EPS) return;
+        // Reuse an existing endpoint when the crossing lands on one (T-junctions).
+        let point = { x: e.a.x + t * r.x, y: e.a.y + t * r.y };
+        if (u <= PARAM_EPS) point = f.a;
+        else if (u >= 1 - PARAM_EPS) point = f.b;
+        else if (t <= PARAM_EPS) point = e.a;
+        else if (t >= 1 - PARAM_EPS) point = e.b;
+        addCut(e, t, point);
+        addCut(f, u, point);
+        return;
+    }
+    // Parallel: only collinear overlaps matter.
+    const lenR = Math.hypot(r.x, r.y);
+    if (Math.abs(cross(qp, r)) > PARAM_EPS * lenR * Math.max(lenR, Math.hypot(qp.x, qp.y))) return;
+    addCut(e, projectParam(e, f.a), f.a);
+    addCut(e, projectParam(e, f.b), f.b);
+    addCut(f, projectParam(f, e.a), e.a);
+    addCut(f, projectParam(f, e.b), e.b);
+}
+
+function projectParam(edge, p) {
+    const dx = edge.b.x - edge.a.x;
+    const dy = edge.b.y - edge.a.y;
+    return ((p.x - edge.a.x) * dx + (p.y - edge.a.y) * dy) / (dx * dx + dy * dy);
+}
+
+function addCut(edge, t, point) {
+    if (t > PARAM_EPS && t < 1 - PARAM_EPS) edge.cuts.push({ t, point });
+}
+
+function cross(a, b) {
+    return a.x * b.y - a.y * b.x;
+}
+
+/**
+ * Winding-number lookup bucketed into horizontal bands, so each query only
+ * visits edges that straddle its y coordinate.
+ */
+function createWindingLocator(edges) {
+    if (edges.length === 0) return () => 0;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const [a, b] of edges) {
+        minY = Math.min(minY, a.y, b.y);
+        maxY = Math.max(maxY, a.y, b.y);
+    }
+    const bandCount = Math.max(1, Math.min(1024, Math.ceil(Math.sqrt(edges.length))));
+    const height = (maxY - minY) / bandCount || 1;
+    const bands = Array.from({ length: bandCount }, () => []);
+    const bandOf = (y) => Math.min(bandCount - 1, Math.max(0, Math.floor((y - minY) / height)));
+    for (const edge of edges) {
+        const lo = bandOf(Math.min(edge[0].y, edge[1].y));
+        const hi = bandOf(Math.max(edge[0].y, edge[1].y));
+        for (let k = lo; k <= hi; k += 1) bands[k].push(edge);
+    }
+    return (p) => {
+        if (p.y < minY || p.y > maxY) return 0;
+        let winding = 0;
+        for (const [a, b] of bands[bandOf(p.y)]) winding += crossing(a, b, p);
+        return winding;
+    };
+}
+
+/**
+ * Chains directed edges into closed rings. At vertices with several exits
+ * the sharpest left turn is taken, which keeps the result on the left and
+ * splits rings that only touch at a point.
+ */
+function linkRings(edges) {
+    const outgoing = new Map();
+    for (const edge of edges) {
+        const list = outgoing.get(edge[0]) || [];
+        list.push({ edge, used: false });
+        outgoing.set(edge[0], list);
+    }
+    const rings = [];
+    for (const list of outgoing.values()) {
+        for (const entry of list) {
+            if (entry.used) continue;
+            entry.used = true;
+            const start = entry.edge[0];
+            const ring = [start];
+            let [prev, cur] = entry.edge;
+            while (cur !== start) {
+                ring.push(cur);
+                const next = pickExit(outgoing.get(cur), prev, cur);
+                if (!next) break;
+                next.used = true;
+                prev = cur;
+                cur = next.edge[1];
+            }
+            if (cur !== start) continue;
+            const clean = removeCollinear(ring);
+            if (clean.length >= 3 && ringArea(clean) !== 0) rings.push(clean.map(({ x, y }) => ({ x, y })));
+        }
+    }
+    return rings;
+}
+
+function pickExit(candidates, prev, cur) {
+    let best = null;
+    let bestTurn = -Infinity;
+    const din = { x: cur.x - prev.x, y: cur.y - prev.y };
+    for (const entry of candidates || []) {
+        if (entry.used) continue;
+        const dout = { x: entry.edge[1].x - cur.x, y: entry.edge[1].y - cur.y };
+        const turn = Math.atan2(cross(din, dout), din.x * dout.x + din.y * dout.y);
+        if (turn > bestTurn) {
+            bestTurn = turn;
+            best = entry;
+        }
+    }
+    return best;
+}
+
+function removeCollinear(ring) {
+    const out = [];
+    for (let i = 0; i < ring.length; i += 1) {
+        const prev = out.length ? out[out.length - 1] : ring[ring.length - 1];
+        const cur = ring[i];
+        const next = ring[(i + 1) % ring.length];
+        const turn = cross({ x: cur.x - prev.x, y: cur.y - prev.y }, { x: next.x - cur.x, y: next.y - cur.y });
+        const scale = Math.hypot(cur.x - prev.x, cur.y - prev.y) * Math.hypot(next.x - cur.x, next.y - cur.y);
+        if (Math.abs(turn) > 1e-12 * scale) out.push(cur);
+    }
+    return out;
+}
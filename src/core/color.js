@@ -0,0 +1,215 @@
+/**
+ * @module Core/Color
+ * @description CSS color parsing/formatting and perceptual color interpolation (OKLab, HSL, RGB).
+ * Checks: Dependency-free.
+ * @input Color strings
+ * @output RGBA, Color strings
+ */
+
+/** @typedef {{r:number, g:number, b:number, a:number}} RGBA */
+
+/** @typedef {'oklab'|'hsl'|'rgb'} ColorSpace */
+
+const NAMED = {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    green: '#008000',
+    lime: '#00ff00',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    cyan: '#00ffff',
+    magenta: '#ff00ff',
+    orange: '#ffa500',
+    purple: '#800080',
+    gray: '#808080',
+    grey: '#808080',
+    transparent: '#00000000',
+};
+
+/**
+ * Parses `#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`, `rgb()/rgba()`,
+ * `hsl()/hsla()` and a few CSS names. Channels are 0..255, alpha 0..1.
+ * @param {unknown} value
+ * @returns {RGBA|null}
+ */
+export function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim().toLowerCase();
+    if (NAMED[text]) return parseColor(NAMED[text]);
+    if (text.startsWith('#')) return parseHex(text.slice(1));
+    const fn = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(text);
+    if (!fn) return null;
+    const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const alpha = parts.length > 3 ? parseChannel(parts[3], 1) : 1;
+    if (fn[1].startsWith('rgb')) {
+        return {
+            r: parseChannel(parts[0], 255),
+            g: parseChannel(parts[1], 255),
+            b: parseChannel(parts[2], 255),
+            a: alpha,
+        };
+    }
+    const h = parseFloat(parts[0]);
+    const s = parseFloat(parts[1]) / 100;
+    const l = parseFloat(parts[2]) / 100;
+    return { ...hslToRgb(h, s, l), a: alpha };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isColor(value) {
+    return parseColor(value) !== null;
+}
+
+/**
+ * Formats as `#rrggbb`, or `rgba()` when the color is translucent.
+ * @param {RGBA} color
+ * @returns {string}
+ */
+export function formatColor(color) {
+    const r = clampByte(color.r);
+    const g = clampByte(color.g);
+    const b = clampByte(color.b);
+    const a = Math.min(Math.max(color.a ?? 1, 0), 1);
+    if (a < 1) return `rgba(${r}, ${g}, ${b}, ${Number(a.toFixed(3))})`;
+    return `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Interpolates two colors. OKLab keeps perceived lightness even; HSL takes
+ * the short way around the hue circle; RGB is a plain channel blend.
+ * Alpha is always blended linearly.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} k
+ * @param {ColorSpace} [space]
+ * @returns {string}
+ */
+export function mixColor(a, b, k, space = 'oklab') {
+    const ca = parseColor(a);
+    const cb = parseColor(b);
+    if (!ca || !cb) return k < 0.5 ? a : b;
+    const alpha = ca.a + (cb.a - ca.a) * k;
+    if (space === 'rgb') {
+        return formatColor({
+            r: ca.r + (cb.r - ca.r) * k,
+            g: ca.g + (cb.g - ca.g) * k,
+            b: ca.b + (cb.b - ca.b) * k,
+            a: alpha,
+        });
+    }
+    if (space === 'hsl') {
+        const ha = rgbToHsl(ca);
+        const hb = rgbToHsl(cb);
+        // Achromatic ends have no meaningful hue; borrow the other one.
+        const h0 = ha.s === 0 ? hb.h : ha.h;
+        const h1 = hb.s === 0 ? h0 : hb.h;
+        const dh = ((h1 - h0 + 540) % 360) - 180;
+        const rgb = hslToRgb(h0 + dh * k, ha.s + (hb.s - ha.s) * k, ha.l + (hb.l - ha.l) * k);
+        return formatColor({ ...rgb, a: alpha });
+    }
+    const la = rgbToOklab(ca);
+    const lb = rgbToOklab(cb);
+    const rgb = oklabToRgb({
+        L: la.L + (lb.L - la.L) * k,
+        a: la.a + (lb.a - la.a) * k,
+        b: la.b + (lb.b - la.b) * k,
+    });
+    return formatColor({ ...rgb, a: alpha });
+}
+
+/**
+ * @param {number} h Hue in degrees
+ * @param {number} s Saturation 0..1
+ * @param {number} l Lightness 0..1
+ * @returns {{r:number, g:number, b:number}}
+ */
+export function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs(((hue / 60) % 2) - 1));
+    const m = l - c / 2;
+    const [r, g, b] = hue < 60 ? [c, x, 0]
+        : hue < 120 ? [x, c, 0]
+            : hue < 180 ? [0, c, x]
+                : hue < 240 ? [0, x, c]
+                    : hue < 300 ? [x, 0, c]
+                        : [c, 0, x];
+    return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 };
+}
+
+function rgbToHsl({ r, g, b }) {
+    const rn = r / 255;
+    const gn = g / 255;
+    const bn = b / 255;
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d === 0) return { h: 0, s: 0, l };
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === rn) h = ((gn - bn) / d) % 6;
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+    return { h: (h * 60 + 360) % 360, s, l };
+}
+
+function rgbToOklab({ r, g, b }) {
+    const lr = toLinear(r / 255);
+    const lg = toLinear(g / 255);
+    const lb = toLinear(b / 255);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return {
+        L: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+    };
+}
+
+function oklabToRgb({ L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+    return {
+        r: fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s) * 255,
+        g: fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s) * 255,
+        b: fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s) * 255,
+    };
+}
+
+function toLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(c) {
+    const v = Math.min(Math.max(c, 0), 1);
+    return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+function parseHex(hex) {
+    if (!/^[0-9a-f]+$/.test(hex)) return null;
+    const full = hex.length <= 4 ? hex.split('').map((c) => c + c).join('') : hex;
+    if (full.length !== 6 && full.length !== 8) return null;
+    return {
+        r: parseInt(full.slice(0, 2), 16),
+        g: parseInt(full.slice(2, 4), 16),
+        b: parseInt(full.slice(4, 6), 16),
+        a: full.length === 8 ? parseInt(full.slice(6, 8), 16) / 255 : 1,
+    };
+}
+
+function parseChannel(text, scale) {
+    if (text.endsWith('%')) return (parseFloat(text) / 100) * scale;
+    return parseFloat(text);
+}
+
+function clampByte(value) {
+    return Math.round(Math.min(Math.max(value, 0), 255));
+}
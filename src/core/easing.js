@@ -0,0 +1,133 @@
+/**
+ * @module Core/Easing
+ * @description Easing curves for keyframe segments (presets and cubic-bezier timing functions).
+ * Checks: Dependency-free.
+ * @input EasingSpec, Normalized time
+ * @output Eased time
+ */
+
+/**
+ * A cubic-bezier timing function in the CSS / Lottie convention: the curve
+ * runs from (0,0) to (1,1) with the two handles given in normalized
+ * segment time (x) and progress (y).
+ * @typedef {{type:'cubicBezier', x1:number, y1:number, x2:number, y2:number}} CubicBezierEasing
+ */
+
+/**
+ * `hermite` and `catmullRom` are value-space curves handled by the keyframe
+ * evaluator; every other name maps to a timing function below.
+ * @typedef {'step'|'linear'|'smooth'|'hermite'|'catmullRom'|keyof typeof PRESETS|CubicBezierEasing|[number, number, number, number]} EasingSpec
+ */
+
+const PRESETS = {
+    linear: (k) => k,
+    step: () => 0,
+    smooth: (k) => k * k * (3 - 2 * k),
+    ease: cubicBezier(0.25, 0.1, 0.25, 1),
+    easeIn: cubicBezier(0.42, 0, 1, 1),
+    easeOut: cubicBezier(0, 0, 0.58, 1),
+    easeInOut: cubicBezier(0.42, 0, 0.58, 1),
+    easeInQuad: (k) => k * k,
+    easeOutQuad: (k) => 1 - (1 - k) * (1 - k),
+    easeInOutQuad: (k) => (k < 0.5 ? 2 * k * k : 1 - Math.pow(-2 * k + 2, 2) / 2),
+    easeInCubic: (k) => k * k * k,
+    easeOutCubic: (k) => 1 - Math.pow(1 - k, 3),
+    easeInOutCubic: (k) => (k < 0.5 ? 4 * k * k * k : 1 - Math.pow(-2 * k + 2, 3) / 2),
+    easeInQuart: (k) => k * k * k * k,
+    easeOutQuart: (k) => 1 - Math.pow(1 - k, 4),
+    easeInOutQuart: (k) => (k < 0.5 ? 8 * k * k * k * k : 1 - Math.pow(-2 * k + 2, 4) / 2),
+    easeInSine: (k) => 1 - Math.cos((k * Math.PI) / 2),
+    easeOutSine: (k) => Math.sin((k * Math.PI) / 2),
+    easeInOutSine: (k) => -(Math.cos(Math.PI * k) - 1) / 2,
+    easeInExpo: (k) => (k === 0 ? 0 : Math.pow(2, 10 * k - 10)),
+    easeOutExpo: (k) => (k === 1 ? 1 : 1 - Math.pow(2, -10 * k)),
+    easeInOutExpo: (k) => {
+        if (k === 0 || k === 1) return k;
+        return k < 0.5 ? Math.pow(2, 20 * k - 10) / 2 : (2 - Math.pow(2, -20 * k + 10)) / 2;
+    },
+    easeInBack: (k) => 2.70158 * k * k * k - 1.70158 * k * k,
+    easeOutBack: (k) => 1 + 2.70158 * Math.pow(k - 1, 3) + 1.70158 * Math.pow(k - 1, 2),
+};
+
+const bezierCache = new Map();
+
+/**
+ * Resolves an easing spec into a timing function `k -> eased k`.
+ * Unknown names fall back to linear.
+ * @param {EasingSpec|undefined} spec
+ * @returns {(k:number) => number}
+ */
+export function resolveEasing(spec) {
+    if (!spec) return PRESETS.linear;
+    if (typeof spec === 'string') return PRESETS[spec] || PRESETS.linear;
+    const [x1, y1, x2, y2] = Array.isArray(spec) ? spec : [spec.x1, spec.y1, spec.x2, spec.y2];
+    const key = `${x1},${y1},${x2},${y2}`;
+    if (!bezierCache.has(key)) bezierCache.set(key, cubicBezier(x1, y1, x2, y2));
+    return bezierCache.get(key);
+}
+
+/**
+ * Builds a CSS-style cubic-bezier timing function. The x handles are clamped
+ * to [0,1] so the curve stays a function of time.
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @returns {(k:number) => number}
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+    const ax1 = Math.min(Math.max(x1, 0), 1);
+    const ax2 = Math.min(Math.max(x2, 0), 1);
+    // Polynomial coefficients of B(s) = ((a*s + b)*s + c)*s.
+    const cx = 3 * ax1;
+    const bx = 3 * (ax2 - ax1) - cx;
+    const axc = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ayc = 1 - cy - by;
+    const sampleX = (s) => ((axc * s + bx) * s + cx) * s;
+    const sampleY = (s) => ((ayc * s + by) * s + cy) * s;
+    const slopeX = (s) => (3 * axc * s + 2 * bx) * s + cx;
+
+    const solveS = (x) => {
+        // Newton first, bisection as the fallback for flat slopes.
+        let s = x;
+        for (let i = 0; i < 8; i += 1) {
+            const err = sampleX(s) - x;
+            if (Math.abs(err) < 1e-7) return s;
+            const d = slopeX(s);
+            if (Math.abs(d) < 1e-6) break;
+            s -= err / d;
+        }
+        let lo = 0;
+        let hi = 1;
+        s = x;
+        while (lo < hi) {
+            const value = sampleX(s);
+            if (Math.abs(value - x) < 1e-7) return s;
+            if (x > value) lo = s;
+            else hi = s;
+            const mid = (lo + hi) / 2;
+            if (mid === s) break;
+            s = mid;
+        }
+        return s;
+    };
+
+    return (k) => {
+        if (k <= 0) return 0;
+        if (k >= 1) return 1;
+        return sampleY(solveS(k));
+    };
+}
+
+/**
+ * Cubic Hermite basis weights for (p0, m0, p1, m1) at k in [0,1].
+ * @param {number} k
+ * @returns {[number, number, number, number]}
+ */
+export function hermiteWeights(k) {
+    const k2 = k * k;
+    const k3 = k2 * k;
+    return [2 * k3 - 3 * k2 + 1, k3 - 2 * k2 + k, -2 * k3 + 3 * k2, k3 - k2];
+}
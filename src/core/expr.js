@@ -0,0 +1,563 @@
+/**
+ * @module Core/Expr
+ * @description Sandboxed expression language for `{type:'expr'}` params (tokenizer → parser → AST evaluator).
+ * @input Expression source, ExprScope
+ * @output ExprNode, Value
+ * @dependencies ./color.js, ./random.js
+ */
+
+import { formatColor, hslToRgb, mixColor } from './color.js';
+import { fractalNoise, hashSeed, randomAt } from './random.js';
+
+/**
+ * Expressions never reach `eval`/`new Function`. The source is tokenized and
+ * parsed into a small AST, and the evaluator only knows the operators below,
+ * the variables supplied by the caller and the functions in FUNCTIONS.
+ *
+ * Grammar (lowest precedence first):
+ *   ternary  := or ('?' ternary ':' ternary)?
+ *   or       := and ('||' and)*
+ *   and      := equality ('&&' equality)*
+ *   equality := compare (('=='|'!=') compare)*
+ *   compare  := additive (('<'|'<='|'>'|'>=') additive)*
+ *   additive := term (('+'|'-') term)*
+ *   term     := unary (('*'|'/'|'%') unary)*
+ *   unary    := ('-'|'+'|'!') unary | power
+ *   power    := postfix ('^' unary)?
+ *   postfix  := primary ('.' ident)*
+ *   primary  := number | string | ident | ident '(' args ')' | '@' path | '[' ternary ',' ternary ']' | '(' ternary ')'
+ *
+ * Values are numbers, booleans, vec2 objects `{x, y}` or strings (colors);
+ * `+ - * /` work component-wise on vec2 and broadcast scalars.
+ */
+
+/** @typedef {number|boolean|string|{x:number, y:number}} ExprValue */
+
+/**
+ * @typedef {{type:'num', value:number, pos:number}
+ *   | {type:'str', value:string, pos:number}
+ *   | {type:'var', name:string, pos:number}
+ *   | {type:'ref', targetId:string, targetProp:string, pos:number}
+ *   | {type:'call', name:string, args:ExprNode[], pos:number}
+ *   | {type:'unary', op:string, arg:ExprNode, pos:number}
+ *   | {type:'binary', op:string, left:ExprNode, right:ExprNode, pos:number}
+ *   | {type:'ternary', test:ExprNode, then:ExprNode, otherwise:ExprNode, pos:number}
+ *   | {type:'member', object:ExprNode, prop:string, pos:number}
+ *   | {type:'vec2', x:ExprNode, y:ExprNode, pos:number}} ExprNode
+ */
+
+/**
+ * `seed` feeds the seeded functions (`rand`, `noise`).
+ * @typedef {{vars?: Record<string, ExprValue>, resolveRef?: (targetId:string, targetProp:string) => unknown, seed?: number}} ExprScope
+ */
+
+const CONSTANTS = {
+    PI: Math.PI,
+    TAU: Math.PI * 2,
+    E: Math.E,
+};
+
+const scalar = (fn) => (v) => (isVec2(v) ? { x: fn(v.x), y: fn(v.y) } : fn(toNumber(v)));
+
+/**
+ * Seeded entries receive the scope seed as their first argument.
+ * @type {Record<string, {arity:[number, number], seeded?: boolean, fn:(...args:any[]) => ExprValue}>}
+ */
+const FUNCTIONS = {
+    sin: { arity: [1, 1], fn: scalar(Math.sin) },
+    cos: { arity: [1, 1], fn: scalar(Math.cos) },
+    tan: { arity: [1, 1], fn: scalar(Math.tan) },
+    asin: { arity: [1, 1], fn: scalar(Math.asin) },
+    acos: { arity: [1, 1], fn: scalar(Math.acos) },
+    atan: { arity: [1, 1], fn: scalar(Math.atan) },
+    atan2: { arity: [2, 2], fn: (y, x) => Math.atan2(toNumber(y), toNumber(x)) },
+    abs: { arity: [1, 1], fn: scalar(Math.abs) },
+    sign: { arity: [1, 1], fn: scalar(Math.sign) },
+    floor: { arity: [1, 1], fn: scalar(Math.floor) },
+    ceil: { arity: [1, 1], fn: scalar(Math.ceil) },
+    round: { arity: [1, 1], fn: scalar(Math.round) },
+    fract: { arity: [1, 1], fn: scalar((v) => v - Math.floor(v)) },
+    sqrt: { arity: [1, 1], fn: scalar(Math.sqrt) },
+    exp: { arity: [1, 1], fn: scalar(Math.exp) },
+    log: { arity: [1, 1], fn: scalar(Math.log) },
+    pow: { arity: [2, 2], fn: (a, b) => Math.pow(toNumber(a), toNumber(b)) },
+    min: { arity: [1, Infinity], fn: (...args) => Math.min(...args.map(toNumber)) },
+    max: { arity: [1, Infinity], fn: (...args) => Math.max(...args.map(toNumber)) },
+    hypot: { arity: [1, Infinity], fn: (...args) => Math.hypot(...args.map(toNumber)) },
+    mod: { arity: [2, 2], fn: (a, b) => arith('%', a, b) },
+    clamp: {
+        arity: [3, 3],
+        fn: (v, lo, hi) => Math.min(Math.max(toNumber(v), toNumber(lo)), toNumber(hi)),
+    },
+    lerp: { arity: [3, 3], fn: (a, b, k) => arith('+', a, arith('*', arith('-', b, a), k)) },
+    step: { arity: [2, 2], fn: (edge, v) => (toNumber(v) < toNumber(edge) ? 0 : 1) },
+    smoothstep: {
+        arity: [3, 3],
+        fn: (e0, e1, v) => {
+            const k = Math.min(Math.max((toNumber(v) - toNumber(e0)) / (toNumber(e1) - toNumber(e0)), 0), 1);
+            return k * k * (3 - 2 * k);
+        },
+    },
+    rad: { arity: [1, 1], fn: scalar((deg) => (deg * Math.PI) / 180) },
+    deg: { arity: [1, 1], fn: scalar((r) => (r * 180) / Math.PI) },
+    vec2: { arity: [1, 2], fn: (x, y = x) => ({ x: toNumber(x), y: toNumber(y) }) },
+    length: { arity: [1, 1], fn: (v) => (isVec2(v) ? Math.hypot(v.x, v.y) : Math.abs(toNumber(v))) },
+    dot: { arity: [2, 2], fn: (a, b) => toVec2(a).x * toVec2(b).x + toVec2(a).y * toVec2(b).y },
+    normalize: {
+        arity: [1, 1],
+        fn: (v) => {
+            const p = toVec2(v);
+            const len = Math.hypot(p.x, p.y) || 1;
+            return { x: p.x / len, y: p.y / len };
+        },
+    },
+    rgb: {
+        arity: [3, 4],
+        fn: (r, g, b, a = 1) => formatColor({ r: toNumber(r), g: toNumber(g), b: toNumber(b), a: toNumber(a) }),
+    },
+    hsl: {
+        arity: [3, 4],
+        fn: (h, sat, l, a = 1) => formatColor({
+            ...hslToRgb(toNumber(h), toNumber(sat) / 100, toNumber(l) / 100),
+            a: toNumber(a),
+        }),
+    },
+    mixColor: {
+        arity: [3, 4],
+        fn: (a, b, k, space = 'oklab') => mixColor(toText(a), toText(b), toNumber(k), /** @type {any} */ (toText(space))),
+    },
+    rand: {
+        arity: [0, 2],
+        seeded: true,
+        fn: (seed, index = 0, salt = 0) => randomAt(hashSeed(seed, toNumber(salt)), toNumber(index)),
+    },
+    noise: {
+        arity: [1, 3],
+        seeded: true,
+        fn: (seed, x, y, octaves = 1) => fractalNoise(toNumber(x), y === undefined ? undefined : toNumber(y), {
+            seed,
+            octaves: toNumber(octaves),
+        }),
+    },
+    polar: {
+        arity: [2, 2],
+        fn: (r, angle) => ({ x: Math.cos(toNumber(angle)) * toNumber(r), y: Math.sin(toNumber(angle)) * toNumber(r) }),
+    },
+};
+
+/** The FUNCTIONS entry for `name`; inherited keys such as `constructor` are not functions. */
+function functionDef(name) {
+    return Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : undefined;
+}
+
+/**
+ * Parses an expression string into an AST. Throws an Error carrying the
+ * character position on malformed input.
+ * @param {string} source
+ * @returns {ExprNode}
+ */
+export function parseExpr(source) {
+    const parser = new Parser(tokenize(String(source)));
+    const node = parser.parseTernary();
+    parser.expect('eof');
+    return node;
+}
+
+const compiled = new Map();
+const COMPILE_CACHE_LIMIT = 512;
+
+/**
+ * Parses with memoization; parse failures are cached as well so a broken
+ * expression costs one parse per session instead of one per frame.
+ * @param {string} source
+ * @returns {{ast: ExprNode|null, error: string|null}}
+ */
+export function compileExpr(source) {
+    const key = String(source);
+    if (compiled.has(key)) return compiled.get(key);
+    let entry;
+    try {
+        entry = { ast: parseExpr(key), error: null };
+    } catch (error) {
+        entry = { ast: null, error: error.message };
+    }
+    if (compiled.size >= COMPILE_CACHE_LIMIT) compiled.delete(compiled.keys().next().value);
+    compiled.set(key, entry);
+    return entry;
+}
+
+/**
+ * Lists the `@id.prop` references an expression reads, in source order.
+ * @param {ExprNode} node
+ * @param {Array<{targetId:string, targetProp:string}>} [out]
+ * @returns {Array<{targetId:string, targetProp:string}>}
+ */
+export function collectExprRefs(node, out = []) {
+    switch (node.type) {
+        case 'ref':
+            out.push({ targetId: node.targetId, targetProp: node.targetProp });
+            break;
+        case 'call':
+            node.args.forEach((arg) => collectExprRefs(arg, out));
+            break;
+        case 'unary':
+            collectExprRefs(node.arg, out);
+            break;
+        case 'binary':
+            collectExprRefs(node.left, out);
+            collectExprRefs(node.right, out);
+            break;
+        case 'ternary':
+            collectExprRefs(node.test, out);
+            collectExprRefs(node.then, out);
+            collectExprRefs(node.otherwise, out);
+            break;
+        case 'member':
+            collectExprRefs(node.object, out);
+            break;
+        case 'vec2':
+            collectExprRefs(node.x, out);
+            collectExprRefs(node.y, out);
+            break;
+        default:
+            break;
+    }
+    return out;
+}
+
+/**
+ * Evaluates a parsed expression.
+ * @param {ExprNode} node
+ * @param {ExprScope} [scope]
+ * @returns {ExprValue}
+ */
+export function evaluateExprAst(node, scope = {}) {
+    switch (node.type) {
+        case 'num':
+        case 'str':
+            return node.value;
+        case 'var': {
+            const vars = scope.vars || {};
+            if (Object.prototype.hasOwnProperty.call(vars, node.name)) return vars[node.name];
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) return CONSTANTS[node.name];
+            throw new Error(`Unknown variable '${node.name}' at ${node.pos}`);
+        }
+        case 'ref': {
+            if (!scope.resolveRef) throw new Error(`Reference @${node.targetId}.${node.targetProp} cannot be resolved here`);
+            const value = scope.resolveRef(node.targetId, node.targetProp);
+            if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'string' || isVec2(value)) return value;
+            throw new Error(`Reference @${node.targetId}.${node.targetProp} is not a number, string or vec2`);
+        }
+        case 'call': {
+            const args = node.args.map((arg) => evaluateExprAst(arg, scope));
+            const def = functionDef(node.name);
+            if (!def) throw new Error(`Unknown function '${node.name}'`);
+            return def.seeded ? def.fn(scope.seed ?? 0, ...args) : def.fn(...args);
+        }
+        case 'unary': {
+            const value = evaluateExprAst(node.arg, scope);
+            if (node.op === '!') return !truthy(value);
+            if (node.op === '-') return arith('*', value, -1);
+            return isVec2(value) ? value : toNumber(value);
+        }
+        case 'binary':
+            return evaluateBinary(node, scope);
+        case 'ternary':
+            return truthy(evaluateExprAst(node.test, scope))
+                ? evaluateExprAst(node.then, scope)
+                : evaluateExprAst(node.otherwise, scope);
+        case 'member': {
+            const value = evaluateExprAst(node.object, scope);
+            if (!isVec2(value)) throw new Error(`Cannot read .${node.prop} of a scalar at ${node.pos}`);
+            return value[node.prop];
+        }
+        case 'vec2':
+            return { x: toNumber(evaluateExprAst(node.x, scope)), y: toNumber(evaluateExprAst(node.y, scope)) };
+        default:
+            throw new Error(`Unknown expression node ${(/** @type {{type:string}} */ (node)).type}`);
+    }
+}
+
+function evaluateBinary(node, scope) {
+    const { op } = node;
+    if (op === '&&') {
+        const left = evaluateExprAst(node.left, scope);
+        return truthy(left) ? evaluateExprAst(node.right, scope) : left;
+    }
+    if (op === '||') {
+        const left = evaluateExprAst(node.left, scope);
+        return truthy(left) ? left : evaluateExprAst(node.right, scope);
+    }
+    const left = evaluateExprAst(node.left, scope);
+    const right = evaluateExprAst(node.right, scope);
+    switch (op) {
+        case '==':
+            if (typeof left === 'string' || typeof right === 'string') return left === right;
+            return isVec2(left) || isVec2(right)
+                ? toVec2(left).x === toVec2(right).x && toVec2(left).y === toVec2(right).y
+                : toNumber(left) === toNumber(right);
+        case '!=':
+            return !evaluateBinary({ ...node, op: '==' }, scope);
+        case '<':
+            return toNumber(left) < toNumber(right);
+        case '<=':
+            return toNumber(left) <= toNumber(right);
+        case '>':
+            return toNumber(left) > toNumber(right);
+        case '>=':
+            return toNumber(left) >= toNumber(right);
+        case '^':
+            return Math.pow(toNumber(left), toNumber(right));
+        default:
+            return arith(op, left, right);
+    }
+}
+
+/**
+ * Component-wise arithmetic with scalar broadcasting.
+ * @param {string} op
+ * @param {ExprValue} a
+ * @param {ExprValue} b
+ * @returns {ExprValue}
+ */
+function arith(op, a, b) {
+    if (isVec2(a) || isVec2(b)) {
+        const va = toVec2(a);
+        const vb = toVec2(b);
+        return { x: arith(op, va.x, vb.x), y: arith(op, va.y, vb.y) };
+    }
+    const x = toNumber(a);
+    const y = toNumber(b);
+    switch (op) {
+        case '+':
+            return x + y;
+        case '-':
+            return x - y;
+        case '*':
+            return x * y;
+        case '/':
+            return x / y;
+        case '%':
+            return ((x % y) + y) % y;
+        default:
+            throw new Error(`Unknown operator ${op}`);
+    }
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    throw new Error(`Expected a number but got ${isVec2(value) ? 'a vec2' : 'a string'}`);
+}
+
+function toText(value) {
+    if (typeof value === 'string') return value;
+    throw new Error('Expected a string');
+}
+
+function toVec2(value) {
+    if (isVec2(value)) return value;
+    const n = toNumber(value);
+    return { x: n, y: n };
+}
+
+function truthy(value) {
+    return isVec2(value) ? value.x !== 0 || value.y !== 0 : Boolean(value);
+}
+
+function isVec2(value) {
+    return Boolean(value && typeof value === 'object' && 'x' in value && 'y' in value);
+}
+
+// --- Tokenizer -------------------------------------------------------------
+
+const PUNCTUATORS = ['&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+/**
+ * @param {string} source
+ * @returns {Array<{kind:'num'|'str'|'ident'|'ref'|'punct'|'eof', value:string, pos:number}>}
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i += 1;
+            continue;
+        }
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+            tokens.push({ kind: 'num', value: match[0], pos: i });
+            i += match[0].length;
+            continue;
+        }
+        if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            tokens.push({ kind: 'ident', value: match[0], pos: i });
+            i += match[0].length;
+            continue;
+        }
+        if (ch === '"' || ch === "'") {
+            const end = source.indexOf(ch, i + 1);
+            if (end < 0) throw new Error(`Unterminated string starting at ${i}`);
+            tokens.push({ kind: 'str', value: source.slice(i + 1, end), pos: i });
+            i = end + 1;
+            continue;
+        }
+        if (ch === '@') {
+            const match = /^@([A-Za-z0-9_]+(?:\.[A-Za-z0-9_]+)*)/.exec(source.slice(i));
+            if (!match) throw new Error(`Expected a reference path after '@' at ${i}`);
+            tokens.push({ kind: 'ref', value: match[1], pos: i });
+            i += match[0].length;
+            continue;
+        }
+        const punct = PUNCTUATORS.find((p) => source.startsWith(p, i));
+        if (!punct) throw new Error(`Unexpected character '${ch}' at ${i}`);
+        tokens.push({ kind: 'punct', value: punct, pos: i });
+        i += punct.length;
+    }
+    tokens.push({ kind: 'eof', value: '', pos: source.length });
+    return tokens;
+}
+
+// --- Parser ----------------------------------------------------------------
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        const token = this.tokens[this.index];
+        if (token.kind !== 'eof') this.index += 1;
+        return token;
+    }
+
+    match(value) {
+        const token = this.peek();
+        if (token.kind === 'punct' && token.value === value) {
+            this.index += 1;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        const token = this.peek();
+        if (value === 'eof') {
+            if (token.kind !== 'eof') throw new Error(`Unexpected '${token.value}' at ${token.pos}`);
+            return token;
+        }
+        if (token.kind !== 'punct' || token.value !== value) {
+            const found = token.kind === 'eof' ? 'end of input' : `'${token.value}'`;
+            throw new Error(`Expected '${value}' but found ${found} at ${token.pos}`);
+        }
+        return this.next();
+    }
+
+    parseTernary() {
+        const test = this.parseBinary(0);
+        const token = this.peek();
+        if (!this.match('?')) return test;
+        const then = this.parseTernary();
+        this.expect(':');
+        const otherwise = this.parseTernary();
+        return { type: 'ternary', test, then, otherwise, pos: token.pos };
+    }
+
+    parseBinary(level) {
+        const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+        if (level >= levels.length) return this.parseUnary();
+        let left = this.parseBinary(level + 1);
+        for (;;) {
+            const token = this.peek();
+            if (token.kind !== 'punct' || !levels[level].includes(token.value)) return left;
+            this.next();
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', op: token.value, left, right, pos: token.pos };
+        }
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token.kind === 'punct' && (token.value === '-' || token.value === '+' || token.value === '!')) {
+            this.next();
+            return { type: 'unary', op: token.value, arg: this.parseUnary(), pos: token.pos };
+        }
+        const base = this.parsePostfix();
+        const caret = this.peek();
+        if (this.match('^')) {
+            return { type: 'binary', op: '^', left: base, right: this.parseUnary(), pos: caret.pos };
+        }
+        return base;
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+        for (;;) {
+            const dot = this.peek();
+            if (!this.match('.')) return node;
+            const prop = this.next();
+            if (prop.kind !== 'ident' || (prop.value !== 'x' && prop.value !== 'y')) {
+                throw new Error(`Expected .x or .y at ${dot.pos}`);
+            }
+            node = { type: 'member', object: node, prop: prop.value, pos: dot.pos };
+        }
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        switch (token.kind) {
+            case 'num':
+                return { type: 'num', value: Number(token.value), pos: token.pos };
+            case 'str':
+                return { type: 'str', value: token.value, pos: token.pos };
+            case 'ref': {
+                const [targetId, ...rest] = token.value.split('.');
+                return { type: 'ref', targetId, targetProp: rest.length ? rest.join('.') : 'value', pos: token.pos };
+            }
+            case 'ident':
+                if (this.match('(')) return this.parseCall(token);
+                return { type: 'var', name: token.value, pos: token.pos };
+            case 'punct':
+                if (token.value === '(') {
+                    const inner = this.parseTernary();
+                    this.expect(')');
+                    return inner;
+                }
+                if (token.value === '[') {
+                    const x = this.parseTernary();
+                    this.expect(',');
+                    const y = this.parseTernary();
+                    this.expect(']');
+                    return { type: 'vec2', x, y, pos: token.pos };
+                }
+                throw new Error(`Unexpected '${token.value}' at ${token.pos}`);
+            default:
+                throw new Error(`Unexpected end of input at ${token.pos}`);
+        }
+    }
+
+    parseCall(nameToken) {
+        const def = functionDef(nameToken.value);
+        if (!def) throw new Error(`Unknown function '${nameToken.value}' at ${nameToken.pos}`);
+        const args = [];
+        if (!this.match(')')) {
+            do {
+                args.push(this.parseTernary());
+            } while (this.match(','));
+            this.expect(')');
+        }
+        const [minArgs, maxArgs] = def.arity;
+        if (args.length < minArgs || args.length > maxArgs) {
+            throw new Error(`Function '${nameToken.value}' called with ${args.length} argument(s) at ${nameToken.pos}`);
+        }
+        return { type: 'call', name: nameToken.value, args, pos: nameToken.pos };
+    }
+}
@@ -0,0 +1,924 @@
+/**
+ * @module Core/Font
+ * @description TrueType/OpenType parsing: glyph outlines (glyf and CFF), character mapping, metrics and pair kerning.
+ * @input Font file bytes (ArrayBuffer / typed array), or a URL / file path via loadFont
+ * @output Font
+ * Checks: Dependency-free.
+ */
+
+/**
+ * Outlines are in font units with y up, as stored in the file. Glyph
+ * segments use the path module's M/L/Q/C/Z form (quadratic for TrueType,
+ * cubic for CFF) and every contour ends with Z.
+ * @typedef {{advanceWidth: number, segments: Array<import('./path.js').PathSegment>}} Glyph
+ */
+
+/**
+ * `glyphIndex` maps a Unicode code point to a glyph (0 = .notdef);
+ * `kerning` is the advance adjustment in font units between two glyphs,
+ * from GPOS `kern` pair positioning or the legacy `kern` table.
+ * @typedef {{
+ *   format: 'truetype'|'cff',
+ *   familyName: string,
+ *   unitsPerEm: number,
+ *   ascender: number,
+ *   descender: number,
+ *   lineGap: number,
+ *   numGlyphs: number,
+ *   glyphIndex: (codePoint: number) => number,
+ *   glyph: (index: number) => Glyph,
+ *   kerning: (left: number, right: number) => number,
+ * }} Font
+ */
+
+const MAX_COMPOSITE_DEPTH = 8;
+const MAX_SUBR_DEPTH = 10;
+
+/**
+ * Parses a TrueType (.ttf), OpenType/CFF (.otf) or the first face of a
+ * collection (.ttc). Glyph outlines and kerning pairs are decoded lazily
+ * and cached. Throws on data that is not a supported font.
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Font}
+ */
+export function parseFont(data) {
+    const view = data instanceof ArrayBuffer
+        ? new DataView(data)
+        : new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let start = 0;
+    if (tag(view, 0) === 'ttcf') start = view.getUint32(12);
+    const version = view.getUint32(start);
+    if (version !== 0x00010000 && version !== 0x74727565 && tag(view, start) !== 'OTTO') {
+        throw new Error('Unsupported font format');
+    }
+
+    const tables = {};
+    const numTables = view.getUint16(start + 4);
+    for (let i = 0; i < numTables; i += 1) {
+        const rec = start + 12 + i * 16;
+        tables[tag(view, rec)] = { offset: view.getUint32(rec + 8), length: view.getUint32(rec + 12) };
+    }
+    for (const required of ['head', 'hhea', 'hmtx', 'maxp', 'cmap']) {
+        if (!tables[required]) throw new Error(`Font is missing the ${required} table`);
+    }
+
+    const head = tables.head.offset;
+    const hhea = tables.hhea.offset;
+    const unitsPerEm = view.getUint16(head + 18) || 1000;
+    const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+    const advances = readAdvances(view, tables.hmtx.offset, view.getUint16(hhea + 34), numGlyphs);
+    const lookupCmap = parseCmap(view, tables.cmap.offset);
+
+    let outline;
+    let format;
+    if (tables.glyf && tables.loca) {
+        format = 'truetype';
+        outline = createGlyfReader(view, tables, view.getInt16(head + 50), numGlyphs);
+    } else if (tables['CFF ']) {
+        format = 'cff';
+        outline = createCffReader(view, tables['CFF '].offset, numGlyphs);
+    } else {
+        throw new Error('Font has no glyf or CFF outlines');
+    }
+
+    const glyphs = new Map();
+    const kerning = createKerning(view, tables);
+    return {
+        format,
+        familyName: tables.name ? readFamilyName(view, tables.name.offset) : '',
+        unitsPerEm,
+        ascender: view.getInt16(hhea + 4),
+        descender: view.getInt16(hhea + 6),
+        lineGap: view.getInt16(hhea + 8),
+        numGlyphs,
+        glyphIndex: (codePoint) => lookupCmap(codePoint),
+        glyph: (index) => {
+            const i = index >= 0 && index < numGlyphs ? index : 0;
+            if (!glyphs.has(i)) glyphs.set(i, { advanceWidth: advances[i], segments: outline(i) });
+            return glyphs.get(i);
+        },
+        kerning,
+    };
+}
+
+/**
+ * Loads and parses a font from bytes, a Blob/File, or a URL (fetched in the
+ * browser; read from disk for plain paths under Node).
+ * @param {ArrayBuffer|ArrayBufferView|Blob|string} source
+ * @returns {Promise<Font>}
+ */
+export async function loadFont(source) {
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) return parseFont(source);
+    if (typeof Blob !== 'undefined' && source instanceof Blob) return parseFont(await source.arrayBuffer());
+    const url = String(source);
+    const isNode = typeof window === 'undefined' && typeof process !== 'undefined' && !!process.versions?.node;
+    if (isNode && !/^(https?|blob|data):/.test(url)) {
+        const { readFile } = await import('node:fs/promises');
+        return parseFont(await readFile(url.startsWith('file:') ? new URL(url) : url));
+    }
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Font ${url}: HTTP ${response.status}`);
+    return parseFont(await response.arrayBuffer());
+}
+
+/**
+ * Resolves a font asset: loads `asset.data` (or `asset.source`) and returns
+ * a copy carrying the parsed `font`, with `loadState` 'ready' or 'error'.
+ * @param {import('../scene.js').Asset} asset
+ * @returns {Promise<import('../scene.js').Asset & {font?: Font, error?: string}>}
+ */
+export async function loadFontAsset(asset) {
+    try {
+        const font = await loadFont(asset.data ?? asset.source);
+        return { ...asset, font, loadState: 'ready', metadata: { ...asset.metadata, fontName: font.familyName } };
+    } catch (error) {
+        return { ...asset, loadState: 'error', error: error.message };
+    }
+}
+
+/**
+ * Outline of placed glyphs (see `layoutText`) in output units, y down.
+ * @param {Font} font
+ * @param {Array<import('./text.js').PlacedGlyph>} glyphs
+ * @param {number} size
+ * @returns {Array<import('./path.js').PathSegment>}
+ */
+export function glyphSegments(font, glyphs, size) {
+    const scale = size / font.unitsPerEm;
+    const out = [];
+    for (const placed of glyphs) {
+        const cos = Math.cos(placed.rotation || 0);
+        const sin = Math.sin(placed.rotation || 0);
+        const map = (x, y) => {
+            const lx = x * scale;
+            const ly = -y * scale;
+            return { x: placed.x + cos * lx - sin * ly, y: placed.y + sin * lx + cos * ly };
+        };
+        for (const seg of font.glyph(placed.glyphIndex).segments) {
+            if (seg.type === 'Z') {
+                out.push(seg);
+                continue;
+            }
+            const end = map(seg.x, seg.y);
+            if (seg.type === 'Q') {
+                const c = map(seg.x1, seg.y1);
+                out.push({ type: 'Q', x1: c.x, y1: c.y, x: end.x, y: end.y });
+            } else if (seg.type === 'C') {
+                const c1 = map(seg.x1, seg.y1);
+                const c2 = map(seg.x2, seg.y2);
+                out.push({ type: 'C', x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y, x: end.x, y: end.y });
+            } else {
+                out.push({ type: seg.type, x: end.x, y: end.y });
+            }
+        }
+    }
+    return out;
+}
+
+function tag(view, offset) {
+    return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+function readAdvances(view, offset, numberOfHMetrics, numGlyphs) {
+    const advances = new Array(numGlyphs);
+    let last = 0;
+    for (let i = 0; i < numGlyphs; i += 1) {
+        if (i < numberOfHMetrics) last = view.getUint16(offset + i * 4);
+        advances[i] = last;
+    }
+    return advances;
+}
+
+function readFamilyName(view, offset) {
+    const count = view.getUint16(offset + 2);
+    const storage = offset + view.getUint16(offset + 4);
+    let fallback = '';
+    for (let i = 0; i < count; i += 1) {
+        const rec = offset + 6 + i * 12;
+        if (view.getUint16(rec + 6) !== 1) continue;
+        const platform = view.getUint16(rec);
+        const length = view.getUint16(rec + 8);
+        const at = storage + view.getUint16(rec + 10);
+        if (platform === 3 || platform === 0) {
+            let name = '';
+            for (let k = 0; k + 1 < length; k += 2) name += String.fromCharCode(view.getUint16(at + k));
+            return name;
+        }
+        if (platform === 1 && !fallback) {
+            for (let k = 0; k < length; k += 1) fallback += String.fromCharCode(view.getUint8(at + k));
+        }
+    }
+    return fallback;
+}
+
+
+/** Picks the best Unicode subtable: full repertoire (format 12) over BMP. */
+function parseCmap(view, offset) {
+    const count = view.getUint16(offset + 2);
+    const candidates = [];
+    for (let i = 0; i < count; i += 1) {
+        const rec = offset + 4 + i * 8;
+        const platform = view.getUint16(rec);
+        const encoding = view.getUint16(rec + 2);
+        const sub = offset + view.getUint32(rec + 4);
+        const format = view.getUint16(sub);
+        const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+        if (!unicode && !(platform === 3 && encoding === 0)) continue;
+        const rank = (format === 12 ? 0 : 2) + (unicode ? 0 : 4) + (format === 4 || format === 12 ? 0 : 1);
+        candidates.push({ rank, sub, format, symbol: !unicode });
+    }
+    candidates.sort((a, b) => a.rank - b.rank);
+    const best = candidates.find((c) => [0, 4, 6, 12].includes(c.format));
+    if (!best) return () => 0;
+    const lookup = cmapLookup(view, best.sub, best.format);
+    // Symbol fonts map U+F0xx; let plain ASCII reach them.
+    return best.symbol ? (cp) => lookup(cp) || lookup(0xF000 + cp) : lookup;
+}
+
+function cmapLookup(view, sub, format) {
+    switch (format) {
+        case 0:
+            return (cp) => (cp < 256 ? view.getUint8(sub + 6 + cp) : 0);
+        case 6: {
+            const first = view.getUint16(sub + 6);
+            const count = view.getUint16(sub + 8);
+            return (cp) => (cp >= first && cp < first + count ? view.getUint16(sub + 10 + (cp - first) * 2) : 0);
+        }
+        case 12: {
+            const groups = view.getUint32(sub + 12);
+            return (cp) => {
+                let lo = 0;
+                let hi = groups - 1;
+                while (lo <= hi) {
+                    const mid = (lo + hi) >> 1;
+                    const g = sub + 16 + mid * 12;
+                    if (cp < view.getUint32(g)) hi = mid - 1;
+                    else if (cp > view.getUint32(g + 4)) lo = mid + 1;
+                    else return view.getUint32(g + 8) + cp - view.getUint32(g);
+                }
+                return 0;
+            };
+        }
+        default: {
+            const segX2 = view.getUint16(sub + 6);
+            const ends = sub + 14;
+            const starts = ends + segX2 + 2;
+            const deltas = starts + segX2;
+            const ranges = deltas + segX2;
+            return (cp) => {
+                if (cp > 0xFFFF) return 0;
+                let lo = 0;
+                let hi = segX2 / 2 - 1;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (view.getUint16(ends + mid * 2) < cp) lo = mid + 1;
+                    else hi = mid;
+                }
+                const seg = lo * 2;
+                const startCode = view.getUint16(starts + seg);
+                if (cp < startCode || cp > view.getUint16(ends + seg)) return 0;
+                const delta = view.getUint16(deltas + seg);
+                const rangeOffset = view.getUint16(ranges + seg);
+                if (rangeOffset === 0) return (cp + delta) & 0xFFFF;
+                const glyph = view.getUint16(ranges + seg + rangeOffset + (cp - startCode) * 2);
+                return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+            };
+        }
+    }
+}
+
+
+function createGlyfReader(view, tables, indexToLocFormat, numGlyphs) {
+    const loca = tables.loca.offset;
+    const glyf = tables.glyf.offset;
+    const location = (i) => (indexToLocFormat === 0 ? view.getUint16(loca + i * 2) * 2 : view.getUint32(loca + i * 4));
+    const read = (index, depth) => {
+        if (index < 0 || index >= numGlyphs) return [];
+        const from = location(index);
+        if (location(index + 1) <= from) return [];
+        const at = glyf + from;
+        const contours = view.getInt16(at);
+        if (contours >= 0) return simpleGlyph(view, at, contours);
+        return depth < MAX_COMPOSITE_DEPTH ? compositeGlyph(view, at, (i) => read(i, depth + 1)) : [];
+    };
+    return (index) => read(index, 0);
+}
+
+function simpleGlyph(view, at, contourCount) {
+    const endPoints = [];
+    for (let i = 0; i < contourCount; i += 1) endPoints.push(view.getUint16(at + 10 + i * 2));
+    const pointCount = contourCount ? endPoints[contourCount - 1] + 1 : 0;
+    let p = at + 10 + contourCount * 2;
+    p += 2 + view.getUint16(p);
+
+    const flags = new Uint8Array(pointCount);
+    for (let i = 0; i < pointCount;) {
+        const flag = view.getUint8(p++);
+        flags[i++] = flag;
+        if (flag & 8) {
+            for (let repeat = view.getUint8(p++); repeat > 0 && i < pointCount; repeat -= 1) flags[i++] = flag;
+        }
+    }
+    const readCoords = (shortBit, sameBit) => {
+        const coords = new Array(pointCount);
+        let value = 0;
+        for (let i = 0; i < pointCount; i += 1) {
+            const flag = flags[i];
+            if (flag & shortBit) {
+                const d = view.getUint8(p++);
+                value += flag & sameBit ? d : -d;
+            } else if (!(flag & sameBit)) {
+                value += view.getInt16(p);
+                p += 2;
+            }
+            coords[i] = value;
+        }
+        return coords;
+    };
+    const xs = readCoords(2, 16);
+    const ys = readCoords(4, 32);
+
+    const segments = [];
+    let first = 0;
+    for (const last of endPoints) {
+        const contour = [];
+        for (let i = first; i <= last; i += 1) contour.push({ x: xs[i], y: ys[i], on: (flags[i] & 1) !== 0 });
+        first = last + 1;
+        quadraticContour(contour, segments);
+    }
+    return segments;
+}
+
+/** TrueType contours: implied on-curve points sit midway between two off-curve ones. */
+function quadraticContour(points, out) {
+    const n = points.length;
+    if (n === 0) return;
+    // Start on an on-curve point, or midway between the last and first
+    // controls when there is none.
+    const firstOn = points.findIndex((pt) => pt.on);
+    const start = firstOn >= 0 ? points[firstOn] : midpoint(points[n - 1], points[0]);
+    const from = firstOn + 1;
+    const count = firstOn >= 0 ? n - 1 : n;
+    out.push({ type: 'M', x: start.x, y: start.y });
+    let control = null;
+    for (let k = 0; k < count; k += 1) {
+        const pt = points[(from + k) % n];
+        if (pt.on) {
+            if (control) out.push({ type: 'Q', x1: control.x, y1: control.y, x: pt.x, y: pt.y });
+            else out.push({ type: 'L', x: pt.x, y: pt.y });
+            control = null;
+        } else {
+            if (control) {
+                const mid = midpoint(control, pt);
+                out.push({ type: 'Q', x1: control.x, y1: control.y, x: mid.x, y: mid.y });
+            }
+            control = pt;
+        }
+    }
+    if (control) out.push({ type: 'Q', x1: control.x, y1: control.y, x: start.x, y: start.y });
+    out.push({ type: 'Z' });
+}
+
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, on: true };
+}
+
+function compositeGlyph(view, at, readComponent) {
+    const segments = [];
+    let p = at + 10;
+    let more = true;
+    while (more) {
+        const flags = view.getUint16(p);
+        const component = view.getUint16(p + 2);
+        p += 4;
+        let dx;
+        let dy;
+        if (flags & 1) {
+            dx = view.getInt16(p);
+            dy = view.getInt16(p + 2);
+            p += 4;
+        } else {
+            dx = view.getInt8(p);
+            dy = view.getInt8(p + 1);
+            p += 2;
+        }
+        let [a, b, c, d] = [1, 0, 0, 1];
+        const f2dot14 = (offset) => view.getInt16(offset) / 16384;
+        if (flags & 8) {
+            a = d = f2dot14(p);
+            p += 2;
+        } else if (flags & 0x40) {
+            a = f2dot14(p);
+            d = f2dot14(p + 2);
+            p += 4;
+        } else if (flags & 0x80) {
+            [a, b, c, d] = [f2dot14(p), f2dot14(p + 2), f2dot14(p + 4), f2dot14(p + 6)];
+            p += 8;
+        }
+        // Point-matching placement (ARGS_ARE_XY_VALUES unset) is rare; it is
+        // treated as no offset.
+        if (!(flags & 2)) dx = dy = 0;
+        const map = (x, y) => ({ x: a * x + c * y + dx, y: b * x + d * y + dy });
+        for (const seg of readComponent(component)) {
+            if (seg.type === 'Z') {
+                segments.push(seg);
+                continue;
+            }
+            const end = map(seg.x, seg.y);
+            if (seg.type === 'Q') {
+                const ctl = map(seg.x1, seg.y1);
+                segments.push({ type: 'Q', x1: ctl.x, y1: ctl.y, x: end.x, y: end.y });
+            } else {
+                segments.push({ type: seg.type, x: end.x, y: end.y });
+            }
+        }
+        more = (flags & 0x20) !== 0;
+    }
+    return segments;
+}
+
+
+function readIndex(view, offset) {
+    const count = view.getUint16(offset);
+    if (count === 0) return { items: [], end: offset + 2 };
+    const offSize = view.getUint8(offset + 2);
+    const readOffset = (i) => {
+        let value = 0;
+        for (let k = 0; k < offSize; k += 1) value = value * 256 + view.getUint8(offset + 3 + i * offSize + k);
+        return value;
+    };
+    const base = offset + 2 + (count + 1) * offSize;
+    const items = [];
+    for (let i = 0; i < count; i += 1) items.push({ start: base + readOffset(i), end: base + readOffset(i + 1) });
+    return { items, end: base + readOffset(count) };
+}
+
+function readDict(view, start, end) {
+    const dict = {};
+    const operands = [];
+    let p = start;
+    while (p < end) {
+        const b0 = view.getUint8(p++);
+        if (b0 <= 21) {
+            const key = b0 === 12 ? 1200 + view.getUint8(p++) : b0;
+            dict[key] = operands.splice(0);
+        } else if (b0 === 28) {
+            operands.push(view.getInt16(p));
+            p += 2;
+        } else if (b0 === 29) {
+            operands.push(view.getInt32(p));
+            p += 4;
+        } else if (b0 === 30) {
+            let text = '';
+            for (let done = false; !done;) {
+                const byte = view.getUint8(p++);
+                for (const nibble of [byte >> 4, byte & 15]) {
+                    if (nibble === 15) {
+                        done = true;
+                        break;
+                    }
+                    text += ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-'][nibble];
+                }
+            }
+            operands.push(parseFloat(text));
+        } else if (b0 >= 32 && b0 <= 246) {
+            operands.push(b0 - 139);
+        } else if (b0 >= 247 && b0 <= 250) {
+            operands.push((b0 - 247) * 256 + view.getUint8(p++) + 108);
+        } else if (b0 >= 251 && b0 <= 254) {
+            operands.push(-(b0 - 251) * 256 - view.getUint8(p++) - 108);
+        }
+    }
+    return dict;
+}
+
+function subrBias(count) {
+    if (count < 1240) return 107;
+    return count < 33900 ? 1131 : 32768;
+}
+
+function readPrivate(view, cff, entry) {
+    if (!entry) return { subrs: [], bias: 107 };
+    const [size, offset] = entry;
+    const dict = readDict(view, cff + offset, cff + offset + size);
+    const subrs = dict[19] ? readIndex(view, cff + offset + dict[19][0]).items : [];
+    return { subrs, bias: subrBias(subrs.length) };
+}
+
+function createCffReader(view, cff, numGlyphs) {
+    const nameIndex = readIndex(view, cff + view.getUint8(cff + 2));
+    const topIndex = readIndex(view, nameIndex.end);
+    const stringIndex = readIndex(view, topIndex.end);
+    const gsubrs = readIndex(view, stringIndex.end).items;
+    const top = readDict(view, topIndex.items[0].start, topIndex.items[0].end);
+    const charStrings = readIndex(view, cff + top[17][0]).items;
+
+    // CID-keyed fonts pick a Private dict per glyph through FDSelect.
+    let privateFor;
+    if (top[1236] && top[1237]) {
+        const fonts = readIndex(view, cff + top[1236][0]).items
+            .map((item) => readPrivate(view, cff, readDict(view, item.start, item.end)[18]));
+        const select = cff + top[1237][0];
+        const format = view.getUint8(select);
+        privateFor = (glyph) => {
+            if (format === 0) return fonts[view.getUint8(select + 1 + glyph)] || fonts[0];
+            const ranges = view.getUint16(select + 1);
+            for (let i = 0; i < ranges; i += 1) {
+                const first = view.getUint16(select + 3 + i * 3);
+                const next = view.getUint16(select + 3 + (i + 1) * 3);
+                if (glyph >= first && glyph < next) return fonts[view.getUint8(select + 5 + i * 3)] || fonts[0];
+            }
+            return fonts[0];
+        };
+    } else {
+        const priv = readPrivate(view, cff, top[18]);
+        privateFor = () => priv;
+    }
+
+    const global = { subrs: gsubrs, bias: subrBias(gsubrs.length) };
+    return (index) => (index < charStrings.length && index < numGlyphs
+        ? runCharString(view, charStrings[index], privateFor(index), global)
+        : []);
+}
+
+/** Type 2 charstring interpreter. Hints are skipped; widths come from hmtx. */
+function runCharString(view, charString, local, global) {
+    const out = [];
+    const stack = [];
+    let x = 0;
+    let y = 0;
+    let stems = 0;
+    let open = false;
+    let widthSeen = false;
+    let ended = false;
+
+    const takeWidth = (even) => {
+        if (!widthSeen && stack.length % 2 !== (even ? 0 : 1)) stack.shift();
+        widthSeen = true;
+    };
+    const moveTo = (dx, dy) => {
+        if (open) out.push({ type: 'Z' });
+        x += dx;
+        y += dy;
+        out.push({ type: 'M', x, y });
+        open = true;
+    };
+    const lineTo = (dx, dy) => {
+        x += dx;
+        y += dy;
+        out.push({ type: 'L', x, y });
+    };
+    const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+        const x1 = x + dx1;
+        const y1 = y + dy1;
+        const x2 = x1 + dx2;
+        const y2 = y1 + dy2;
+        x = x2 + dx3;
+        y = y2 + dy3;
+        out.push({ type: 'C', x1, y1, x2, y2, x, y });
+    };
+    const stemHints = () => {
+        takeWidth(true);
+        stems += stack.length >> 1;
+        stack.length = 0;
+    };
+
+    const run = (item, depth) => {
+        let p = item.start;
+        while (p < item.end && !ended) {
+            const b0 = view.getUint8(p++);
+            if (b0 >= 32 || b0 === 28) {
+                if (b0 === 28) {
+                    stack.push(view.getInt16(p));
+                    p += 2;
+                } else if (b0 <= 246) {
+                    stack.push(b0 - 139);
+                } else if (b0 <= 250) {
+                    stack.push((b0 - 247) * 256 + view.getUint8(p++) + 108);
+                } else if (b0 <= 254) {
+                    stack.push(-(b0 - 251) * 256 - view.getUint8(p++) - 108);
+                } else {
+                    stack.push(view.getInt32(p) / 65536);
+                    p += 4;
+                }
+                continue;
+            }
+            switch (b0) {
+                case 1: case 3: case 18: case 23:
+                    stemHints();
+                    break;
+                case 19: case 20:
+                    stemHints();
+                    p += (stems + 7) >> 3;
+                    break;
+                case 21:
+                    takeWidth(true);
+                    moveTo(stack[0], stack[1]);
+                    stack.length = 0;
+                    break;
+                case 22:
+                    takeWidth(false);
+                    moveTo(stack[0], 0);
+                    stack.length = 0;
+                    break;
+                case 4:
+                    takeWidth(false);
+                    moveTo(0, stack[0]);
+                    stack.length = 0;
+                    break;
+                case 5:
+                    for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                    stack.length = 0;
+                    break;
+                case 6: case 7: {
+                    let horizontal = b0 === 6;
+                    for (const d of stack) {
+                        if (horizontal) lineTo(d, 0);
+                        else lineTo(0, d);
+                        horizontal = !horizontal;
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                case 8:
+                    for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+                    stack.length = 0;
+                    break;
+                case 24: {
+                    let i = 0;
+                    for (; i + 5 < stack.length - 2; i += 6) curveTo(...stack.slice(i, i + 6));
+                    lineTo(stack[i], stack[i + 1]);
+                    stack.length = 0;
+                    break;
+                }
+                case 25: {
+                    let i = 0;
+                    for (; i + 1 < stack.length - 6; i += 2) lineTo(stack[i], stack[i + 1]);
+                    curveTo(...stack.slice(i, i + 6));
+                    stack.length = 0;
+                    break;
+                }
+                case 26: case 27: {
+                    // vvcurveto / hhcurveto: an odd count leads with the cross-axis delta.
+                    let i = 0;
+                    let lead = 0;
+                    if (stack.length % 2) lead = stack[i++];
+                    for (; i + 3 < stack.length; i += 4) {
+                        const [a, b, c, d] = stack.slice(i, i + 4);
+                        if (b0 === 26) curveTo(lead, a, b, c, 0, d);
+                        else curveTo(a, lead, b, c, d, 0);
+                        lead = 0;
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                case 30: case 31: {
+                    // vhcurveto / hvcurveto alternate start tangents; a trailing
+                    // fifth value bends the final end tangent.
+                    let horizontal = b0 === 31;
+                    for (let i = 0; i + 3 < stack.length; i += 4) {
+                        const [a, b, c, d] = stack.slice(i, i + 4);
+                        const last = i + 5 === stack.length ? stack[i + 4] : 0;
+                        if (horizontal) curveTo(a, 0, b, c, last, d);
+                        else curveTo(0, a, b, c, d, last);
+                        horizontal = !horizontal;
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                case 10: case 29: {
+                    const subrs = b0 === 10 ? local : global;
+                    const target = subrs.subrs[stack.pop() + subrs.bias];
+                    if (target && depth < MAX_SUBR_DEPTH) run(target, depth + 1);
+                    break;
+                }
+                case 11:
+                    return;
+                case 14:
+                    takeWidth(true);
+                    if (open) out.push({ type: 'Z' });
+                    open = false;
+                    ended = true;
+                    stack.length = 0;
+                    return;
+                case 12:
+                    flex(view.getUint8(p++));
+                    stack.length = 0;
+                    break;
+                default:
+                    stack.length = 0;
+                    break;
+            }
+        }
+    };
+
+    // Flex curves are drawn as their two cubics.
+    const flex = (op) => {
+        const s = stack;
+        switch (op) {
+            case 35:
+                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                break;
+            case 34:
+                curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                curveTo(s[4], 0, s[5], -s[2], s[6], 0);
+                break;
+            case 36:
+                curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                curveTo(s[5], 0, s[6], s[7], s[8], -(s[1] + s[3] + s[7]));
+                break;
+            case 37: {
+                let dx = 0;
+                let dy = 0;
+                for (let i = 0; i < 10; i += 2) {
+                    dx += s[i];
+                    dy += s[i + 1];
+                }
+                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                if (Math.abs(dx) > Math.abs(dy)) curveTo(s[6], s[7], s[8], s[9], s[10], -dy);
+                else curveTo(s[6], s[7], s[8], s[9], -dx, s[10]);
+                break;
+            }
+            default:
+                break;
+        }
+    };
+
+    run(charString, 0);
+    if (open) out.push({ type: 'Z' });
+    return out;
+}
+
+
+function createKerning(view, tables) {
+    const pairs = tables.kern ? parseKernTable(view, tables.kern.offset) : null;
+    const gpos = tables.GPOS ? gposPairLookups(view, tables.GPOS.offset) : [];
+    if (!pairs && gpos.length === 0) return () => 0;
+    const cache = new Map();
+    return (left, right) => {
+        const key = left * 65536 + right;
+        if (cache.has(key)) return cache.get(key);
+        let value = 0;
+        if (gpos.length) {
+            for (const subtables of gpos) {
+                for (const subtable of subtables) {
+                    const adjust = pairAdjustment(view, subtable, left, right);
+                    if (adjust !== null) {
+                        value += adjust;
+                        break;
+                    }
+                }
+            }
+        } else {
+            value = pairs.get(key) || 0;
+        }
+        cache.set(key, value);
+        return value;
+    };
+}
+
+/** Format 0 horizontal subtables of a version 0 `kern` table. */
+function parseKernTable(view, offset) {
+    const pairs = new Map();
+    if (view.getUint16(offset) !== 0) return pairs;
+    const count = view.getUint16(offset + 2);
+    let sub = offset + 4;
+    for (let i = 0; i < count; i += 1) {
+        const length = view.getUint16(sub + 2);
+        const coverage = view.getUint16(sub + 4);
+        if ((coverage >> 8) === 0 && (coverage & 1)) {
+            const nPairs = view.getUint16(sub + 6);
+            for (let k = 0; k < nPairs; k += 1) {
+                const rec = sub + 14 + k * 6;
+                const key = view.getUint16(rec) * 65536 + view.getUint16(rec + 2);
+                pairs.set(key, (pairs.get(key) || 0) + view.getInt16(rec + 4));
+            }
+        }
+        sub += length;
+    }
+    return pairs;
+}
+
+/** Pair-positioning subtables (type 2, unwrapping type 9) of every `kern` feature lookup. */
+function gposPairLookups(view, gpos) {
+    const featureList = gpos + view.getUint16(gpos + 6);
+    const lookupList = gpos + view.getUint16(gpos + 8);
+    const indices = new Set();
+    const featureCount = view.getUint16(featureList);
+    for (let i = 0; i < featureCount; i += 1) {
+        const rec = featureList + 2 + i * 6;
+        if (tag(view, rec) !== 'kern') continue;
+        const feature = featureList + view.getUint16(rec + 4);
+        const count = view.getUint16(feature + 2);
+        for (let k = 0; k < count; k += 1) indices.add(view.getUint16(feature + 4 + k * 2));
+    }
+    const lookups = [];
+    for (const index of [...indices].sort((a, b) => a - b)) {
+        const lookup = lookupList + view.getUint16(lookupList + 2 + index * 2);
+        const type = view.getUint16(lookup);
+        const count = view.getUint16(lookup + 4);
+        const subtables = [];
+        for (let k = 0; k < count; k += 1) {
+            let sub = lookup + view.getUint16(lookup + 6 + k * 2);
+            let subType = type;
+            if (type === 9) {
+                subType = view.getUint16(sub + 2);
+                sub += view.getUint32(sub + 4);
+            }
+            if (subType === 2) subtables.push(sub);
+        }
+        if (subtables.length) lookups.push(subtables);
+    }
+    return lookups;
+}
+
+/** X advance of the first glyph's value record, or null when the subtable does not cover the pair. */
+function pairAdjustment(view, sub, left, right) {
+    const format = view.getUint16(sub);
+    const coverageIndex = coverage(view, sub + view.getUint16(sub + 2), left);
+    if (coverageIndex < 0) return null;
+    const format1 = view.getUint16(sub + 4);
+    const format2 = view.getUint16(sub + 6);
+    const size1 = valueRecordSize(format1);
+    const size2 = valueRecordSize(format2);
+    const xAdvance = (record) => (format1 & 4 ? view.getInt16(record + valueFieldOffset(format1, 4)) : 0);
+
+    if (format === 1) {
+        const set = sub + view.getUint16(sub + 10 + coverageIndex * 2);
+        const count = view.getUint16(set);
+        const recordSize = 2 + size1 + size2;
+        let lo = 0;
+        let hi = count - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const rec = set + 2 + mid * recordSize;
+            const second = view.getUint16(rec);
+            if (second < right) lo = mid + 1;
+            else if (second > right) hi = mid - 1;
+            else return xAdvance(rec + 2);
+        }
+        return null;
+    }
+    if (format === 2) {
+        const class1 = classOf(view, sub + view.getUint16(sub + 8), left);
+        const class2 = classOf(view, sub + view.getUint16(sub + 10), right);
+        const class1Count = view.getUint16(sub + 12);
+        const class2Count = view.getUint16(sub + 14);
+        if (class1 >= class1Count || class2 >= class2Count) return null;
+        return xAdvance(sub + 16 + (class1 * class2Count + class2) * (size1 + size2));
+    }
+    return null;
+}
+
+function valueRecordSize(format) {
+    let size = 0;
+    for (let bit = format & 0xFF; bit; bit >>= 1) size += (bit & 1) * 2;
+    return size;
+}
+
+function valueFieldOffset(format, field) {
+    return valueRecordSize(format & (field - 1));
+}
+
+function coverage(view, offset, glyph) {
+    const format = view.getUint16(offset);
+    const count = view.getUint16(offset + 2);
+    let lo = 0;
+    let hi = count - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (format === 1) {
+            const g = view.getUint16(offset + 4 + mid * 2);
+            if (g < glyph) lo = mid + 1;
+            else if (g > glyph) hi = mid - 1;
+            else return mid;
+        } else {
+            const rec = offset + 4 + mid * 6;
+            if (view.getUint16(rec + 2) < glyph) lo = mid + 1;
+            else if (view.getUint16(rec) > glyph) hi = mid - 1;
+            else return view.getUint16(rec + 4) + glyph - view.getUint16(rec);
+        }
+    }
+    return -1;
+}
+
+function classOf(view, offset, glyph) {
+    const format = view.getUint16(offset);
+    if (format === 1) {
+        const first = view.getUint16(offset + 2);
+        const count = view.getUint16(offset + 4);
+        return glyph >= first && glyph < first + count ? view.getUint16(offset + 6 + (glyph - first) * 2) : 0;
+    }
+    const count = view.getUint16(offset + 2);
+    let lo = 0;
+    let hi = count - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        const rec = offset + 4 + mid * 6;
+        if (view.getUint16(rec + 2) < glyph) lo = mid + 1;
+        else if (view.getUint16(rec) > glyph) hi = mid - 1;
+        else return view.getUint16(rec + 4);
+    }
+    return 0;
+}
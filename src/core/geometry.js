@@ -3,14 +3,15 @@
  * @description Pure geometry evaluation utilities.
  * @input GeometrySpec, TransformSpec
  * @output EvaluatedGeometry
- * @dependencies ./math.js, ./transform.js
+ * @dependencies ./math.js, ./transform.js, ./path.js
  */
 
 import { computeBounds } from './math.js';
 import { transformPoints, evaluateTransform } from './transform.js';
+import { DEFAULT_PATH_TOLERANCE, flattenPath, pathSegments, transformPathSegments } from './path.js';
 
 /**
- * @typedef {'point'|'line'|'polyline'|'polygon'|'rect'|'circle'} PrimitiveKind
+ * @typedef {'point'|'line'|'polyline'|'polygon'|'rect'|'circle'|'ellipse'|'arc'|'ngon'|'star'|'path'} PrimitiveKind
  */
 
 /**
@@ -19,11 +20,18 @@ import { transformPoints, evaluateTransform } from './transform.js';
  * @typedef {{type:'polyline'|'polygon', points:Array<{x:number,y:number}>}} PathGeometry
  * @typedef {{type:'rect', width:number, height:number, cornerRadius?:number}} RectGeometry
  * @typedef {{type:'circle', radius:number}} CircleGeometry
- * @typedef {PointGeometry|LineGeometry|PathGeometry|RectGeometry|CircleGeometry} GeometrySpec
+ * @typedef {{type:'ellipse', rx:number, ry:number}} EllipseGeometry
+ * @typedef {{type:'arc', radius:number, startAngle:number, endAngle:number, closure?:'open'|'chord'|'pie'}} ArcGeometry
+ * @typedef {{type:'ngon', radius:number, sides:number, rotation?:number}} NgonGeometry
+ * @typedef {{type:'star', count:number, outerRadius:number, innerRadius:number, rotation?:number}} StarGeometry
+ * @typedef {{type:'path', d?:string, segments?:Array<import('./path.js').PathSegment>, tolerance?:number}} CurvePathGeometry
+ * Curved shapes (circle, rounded rect, ellipse, arc, path) may set `tolerance`
+ * to override the render tolerance, in output pixels.
+ * @typedef {PointGeometry|LineGeometry|PathGeometry|RectGeometry|CircleGeometry|EllipseGeometry|ArcGeometry|NgonGeometry|StarGeometry|CurvePathGeometry} GeometrySpec
  */
 
 /**
- * @typedef {{strokeColor?: string, strokeWidth?: number, fillColor?: string, fillEnabled?: boolean, blendMode?: string, alpha?: number, join?: string, cap?: string}} StyleSpec
+ * @typedef {{strokeColor?: string|import('./params.js').Param<string>, strokeWidth?: number|import('./params.js').Param<number>, fillColor?: string|import('./params.js').Param<string>, fillEnabled?: boolean, blendMode?: string, alpha?: number|import('./params.js').Param<number>, join?: string, cap?: string}} StyleSpec
  */
 
 /**
@@ -32,7 +40,7 @@ import { transformPoints, evaluateTransform } from './transform.js';
 
 /**
  * @typedef {{fontAssetId:string, char:string, size:number, outlineMode:'vector'|'raster', vectorQuality?:number, rasterAA?:number}} GlyphGeometry
- * @typedef {{fontAssetId:string, text:string, size:number, layout?: object, glyphMode?:'glyph'|'text'}} TextRunGeometry
+ * @typedef {{fontAssetId:string, text:string, size:number, layout?: import('./text.js').LayoutSpec, glyphMode?:'glyph'|'text'}} TextRunGeometry
  * @typedef {{id:string, kind:'text', name?:string, geometry: GlyphGeometry|TextRunGeometry, transform?: import('./transform.js').TransformSpec, style?: StyleSpec, visibility?: boolean, tags?: string[]}} TextObject
  */
 
@@ -56,23 +64,45 @@ import { transformPoints, evaluateTransform } from './transform.js';
  */
 
 /**
- * @typedef {{type:'point'|'line'|'polyline'|'polygon'|'rect'|'circle', points:Array<{x:number,y:number}>, bounds: {min:{x:number,y:number}, max:{x:number,y:number}}|null}} EvaluatedGeometry
+ * `contours` is set for paths and curved primitives: one polyline per
+ * subpath, and `points` then holds all of them concatenated. `fillRule`
+ * defaults to nonzero; boolean operator results are even-odd.
+ * @typedef {{type:PrimitiveKind|'text', points:Array<{x:number,y:number}>, contours?: Array<import('./path.js').Contour>, fillRule?: 'nonzero'|'evenodd', bounds: {min:{x:number,y:number}, max:{x:number,y:number}}|null}} EvaluatedGeometry
  */
 
 /**
  * @typedef {{width:number, height:number, pixels:Uint8ClampedArray, channel:'alpha'|'luma', meta?: object}} EvaluatedRaster
  */
 
+/**
+ * Flattening settings for curved geometry. `tolerance` is the maximum
+ * deviation in output pixels; `pixelScale` is output pixels per world unit
+ * (view zoom times pixel density).
+ * @typedef {import('./params.js').ParamContext & {tolerance?: number, pixelScale?: number}} GeometryContext
+ */
+
 /**
  * Evaluates a primitive geometry into world space.
  * @param {GeometrySpec} geometry
  * @param {import('./transform.js').TransformSpec|undefined} transform
  * @param {number} t
+ * @param {GeometryContext} [ctx]
  * @returns {EvaluatedGeometry}
  */
-export function evaluatePrimitiveGeometry(geometry, transform, t) {
+export function evaluatePrimitiveGeometry(geometry, transform, t, ctx) {
+    const matrix = evaluateTransform(transform, t, ctx);
+    const segments = curveSegments(geometry, ctx);
+    if (segments) {
+        // Curves go through the world matrix before flattening, so the step
+        // count follows on-screen size: big circles stay smooth, tiny
+        // instances get a handful of points.
+        const tolerance = (geometry.tolerance ?? ctx?.tolerance ?? DEFAULT_PATH_TOLERANCE) / (ctx?.pixelScale || 1);
+        const contours = flattenPath(transformPathSegments(segments, matrix, tolerance), tolerance);
+        const points = contours.flatMap((contour) => contour.points);
+        return { type: geometry.type, points, contours, bounds: computeBounds(points) };
+    }
     const basePoints = geometryToPoints(geometry);
-    const worldPoints = transformPoints(evaluateTransform(transform, t), basePoints);
+    const worldPoints = transformPoints(matrix, basePoints);
     const bounds = computeBounds(worldPoints);
     return {
         type: geometry.type,
@@ -83,10 +113,18 @@ export function evaluatePrimitiveGeometry(geometry, transform, t) {
 
 /**
  * Converts a geometry spec to a list of points in local coordinates.
+ * Curves are flattened to `options.tolerance` in local units (or the
+ * geometry's own tolerance).
  * @param {GeometrySpec} geometry
+ * @param {{tolerance?: number}} [options]
  * @returns {Array<{x:number,y:number}>}
  */
-export function geometryToPoints(geometry) {
+export function geometryToPoints(geometry, options = {}) {
+    const segments = curveSegments(geometry);
+    if (segments) {
+        const tolerance = options.tolerance ?? geometry.tolerance ?? DEFAULT_PATH_TOLERANCE;
+        return flattenPath(segments, tolerance).flatMap((contour) => contour.points);
+    }
     switch (geometry.type) {
         case 'point':
             return [{ x: 0, y: 0 }];
@@ -108,17 +146,106 @@ export function geometryToPoints(geometry) {
                 { x: x0, y: y1 },
             ];
         }
-        case 'circle': {
-            // Approximate the circle with 32 points for evaluation purposes.
-            const steps = 32;
-            const points = [];
-            for (let i = 0; i < steps; i += 1) {
-                const angle = (i / steps) * Math.PI * 2;
-                points.push({ x: Math.cos(angle) * geometry.radius, y: Math.sin(angle) * geometry.radius });
-            }
-            return points;
+        case 'ngon': {
+            const sides = Math.max(3, Math.floor(geometry.sides));
+            return ringPoints(sides, () => geometry.radius, geometry.rotation);
+        }
+        case 'star': {
+            const count = Math.max(2, Math.floor(geometry.count));
+            return ringPoints(count * 2, (i) => (i % 2 === 0 ? geometry.outerRadius : geometry.innerRadius), geometry.rotation);
         }
         default:
             throw new Error(`Unsupported geometry type ${(/** @type {{type:string}} */ (geometry)).type}`);
     }
 }
+
+/**
+ * Path segments for shapes with curved edges (in local space), or null for
+ * shapes that are plain point lists.
+ * @param {GeometrySpec} geometry
+ * @param {import('./params.js').ParamContext} [ctx]
+ * @returns {Array<import('./path.js').PathSegment>|null}
+ */
+function curveSegments(geometry, ctx) {
+    switch (geometry.type) {
+        case 'path': {
+            const { segments, error } = pathSegments(geometry);
+            if (error) reportGeometryWarning(ctx, `Path data: ${error}`);
+            return segments;
+        }
+        case 'rect':
+            return geometry.cornerRadius > 0 ? roundedRectSegments(geometry) : null;
+        case 'circle':
+        case 'ellipse': {
+            const rx = geometry.type === 'circle' ? geometry.radius : geometry.rx;
+            const ry = geometry.type === 'circle' ? geometry.radius : geometry.ry;
+            return [
+                { type: 'M', x: rx, y: 0 },
+                { type: 'A', rx, ry, angle: 0, largeArc: false, sweep: true, x: -rx, y: 0 },
+                { type: 'A', rx, ry, angle: 0, largeArc: false, sweep: true, x: rx, y: 0 },
+                { type: 'Z' },
+            ];
+        }
+        case 'arc':
+            return arcSegments(geometry);
+        default:
+            return null;
+    }
+}
+
+function roundedRectSegments({ width, height, cornerRadius }) {
+    const x1 = Math.abs(width) / 2;
+    const y1 = Math.abs(height) / 2;
+    const r = Math.min(cornerRadius, x1, y1);
+    const corner = (x, y) => ({ type: 'A', rx: r, ry: r, angle: 0, largeArc: false, sweep: true, x, y });
+    return [
+        { type: 'M', x: -x1 + r, y: -y1 },
+        { type: 'L', x: x1 - r, y: -y1 },
+        corner(x1, -y1 + r),
+        { type: 'L', x: x1, y: y1 - r },
+        corner(x1 - r, y1),
+        { type: 'L', x: -x1 + r, y: y1 },
+        corner(-x1, y1 - r),
+        { type: 'L', x: -x1, y: -y1 + r },
+        corner(-x1 + r, -y1),
+        { type: 'Z' },
+    ];
+}
+
+/** Angles are in radians, measured like `angleRange` (positive = clockwise on screen). */
+function arcSegments({ radius, startAngle = 0, endAngle = Math.PI * 2, closure = 'open' }) {
+    const span = Math.max(-Math.PI * 2, Math.min(Math.PI * 2, endAngle - startAngle));
+    const at = (angle) => ({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+    const start = at(startAngle);
+    const arcTo = (angle, largeArc) => ({ type: 'A', rx: radius, ry: radius, angle: 0, largeArc, sweep: span > 0, ...at(angle) });
+    const segments = closure === 'pie'
+        ? [{ type: 'M', x: 0, y: 0 }, { type: 'L', ...start }]
+        : [{ type: 'M', ...start }];
+    if (Math.abs(span) >= Math.PI * 2 - 1e-9) {
+        // A single SVG arc cannot close on itself; go halfway twice.
+        segments.push(arcTo(startAngle + span / 2, false), arcTo(startAngle, false));
+    } else {
+        segments.push(arcTo(startAngle + span, Math.abs(span) > Math.PI));
+    }
+    if (closure !== 'open') segments.push({ type: 'Z' });
+    return segments;
+}
+
+function ringPoints(count, radiusAt, rotation = 0) {
+    // First vertex points up.
+    const points = [];
+    for (let i = 0; i < count; i += 1) {
+        const angle = rotation - Math.PI / 2 + (i / count) * Math.PI * 2;
+        const r = radiusAt(i);
+        points.push({ x: Math.cos(angle) * r, y: Math.sin(angle) * r });
+    }
+    return points;
+}
+
+function reportGeometryWarning(ctx, message) {
+    if (!ctx || !ctx.warnings) {
+        console.warn(message);
+        return;
+    }
+    if (!ctx.warnings.includes(message)) ctx.warnings.push(message);
+}
@@ -76,6 +76,62 @@ export function topologicalSort(nodes, getId, getDependencies) {
     });
 }
 
+/**
+ * Groups nodes into strongly connected components (Tarjan). Components are
+ * returned dependencies-first, so each one only depends on itself and on
+ * components before it; a component with more than one node is a cycle.
+ * Inside a component, nodes keep their input order.
+ * @template T
+ * @param {T[]} nodes
+ * @param {function(T): string} getId
+ * @param {function(T): string[]} getDependencies
+ * @returns {T[][]} Components in dependency order
+ */
+export function stronglyConnectedComponents(nodes, getId, getDependencies) {
+    const nodeMap = new Map(nodes.map(n => [getId(n), n]));
+    const inputOrder = new Map(nodes.map((n, i) => [getId(n), i]));
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    function visit(id) {
+        const i = index.size;
+        index.set(id, i);
+        low.set(id, i);
+        stack.push(id);
+        onStack.add(id);
+
+        for (const depId of getDependencies(nodeMap.get(id))) {
+            if (!nodeMap.has(depId)) continue;
+            if (!index.has(depId)) {
+                visit(depId);
+                low.set(id, Math.min(low.get(id), low.get(depId)));
+            } else if (onStack.has(depId)) {
+                low.set(id, Math.min(low.get(id), index.get(depId)));
+            }
+        }
+
+        if (low.get(id) !== index.get(id)) return;
+        const component = [];
+        let top;
+        do {
+            top = stack.pop();
+            onStack.delete(top);
+            component.push(top);
+        } while (top !== id);
+        component.sort((a, b) => inputOrder.get(a) - inputOrder.get(b));
+        components.push(component.map(c => nodeMap.get(c)));
+    }
+
+    for (const node of nodes) {
+        if (!index.has(getId(node))) visit(getId(node));
+    }
+
+    return components;
+}
+
 /**
  * Checks if adding a dependency (Target depends on Source) would create a cycle.
  * This effectively checks if Source is already an ancestor of Target.
@@ -0,0 +1,102 @@
+/**
+ * @module Core/HitTest
+ * @description Point picking against evaluated geometry: fill by winding rule, strokes and open paths by distance.
+ * @input Point, EvaluatedGeometry, Pick options
+ * @output Hit or null
+ * @dependencies ./clipping.js
+ */
+
+import { windingNumber } from './clipping.js';
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/**
+ * `filled` says whether the interior counts (fill enabled); `strokeWidth`
+ * is the drawn outline width; `tolerance` is extra slack around outlines
+ * and points, in world units, so hairlines stay clickable.
+ * @typedef {{filled?: boolean, strokeWidth?: number, tolerance?: number}} HitOptions
+ */
+
+/**
+ * `part` is where the point landed; `distance` is the distance to the
+ * outline (0 inside a fill), useful to rank near misses.
+ * @typedef {{part: 'fill'|'stroke'|'point', distance: number}} GeometryHit
+ */
+
+/** Rendered size of a `point` primitive (see the renderer). */
+export const POINT_SIZE = 5;
+
+/**
+ * Outline width as the renderer draws it: no style draws a 1px outline,
+ * a style without `strokeColor` draws none.
+ * @param {import('./geometry.js').StyleSpec|undefined} style
+ * @returns {number}
+ */
+export function paintedStrokeWidth(style) {
+    if (!style) return 1;
+    return style.strokeColor ? (style.strokeWidth ?? 1) : 0;
+}
+
+/**
+ * Line, polyline and open subpaths are outline-only. Text always counts its
+ * interior: the glyph outlines, or the box of placeholder text.
+ * @param {Vec2} point
+ * @param {import('./geometry.js').EvaluatedGeometry} geometry
+ * @param {HitOptions} [options]
+ * @returns {GeometryHit|null}
+ */
+export function hitTestGeometry(point, geometry, options = {}) {
+    const tolerance = options.tolerance ?? 0;
+    const halfStroke = Math.max(0, options.strokeWidth ?? 1) / 2;
+    const points = geometry.points || [];
+    if (points.length === 0) return null;
+
+    if (geometry.type === 'point') {
+        const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+        return distance <= Math.max(POINT_SIZE / 2, halfStroke) + tolerance ? { part: 'point', distance } : null;
+    }
+
+    const contours = geometry.contours || [{ points, closed: !['line', 'polyline'].includes(geometry.type) }];
+    const filled = geometry.type === 'text' || options.filled;
+    const closedRings = contours.filter((c) => c.closed).map((c) => c.points);
+    if (filled && closedRings.length) {
+        const winding = windingNumber(point, closedRings);
+        const inside = geometry.fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+        if (inside) return { part: 'fill', distance: 0 };
+    }
+    const distance = distanceToContours(point, contours);
+    return distance <= halfStroke + tolerance ? { part: 'stroke', distance } : null;
+}
+
+/**
+ * Distance from `point` to the nearest edge of any contour (closed ones
+ * include their closing edge).
+ * @param {Vec2} point
+ * @param {Array<{points: Vec2[], closed: boolean}>} contours
+ * @returns {number}
+ */
+export function distanceToContours(point, contours) {
+    let best = Infinity;
+    for (const { points, closed } of contours) {
+        if (points.length === 1) best = Math.min(best, Math.hypot(point.x - points[0].x, point.y - points[0].y));
+        const edges = closed ? points.length : points.length - 1;
+        for (let i = 0; i < edges; i += 1) {
+            best = Math.min(best, distanceToSegment(point, points[i], points[(i + 1) % points.length]));
+        }
+    }
+    return best;
+}
+
+/**
+ * @param {Vec2} p
+ * @param {Vec2} a
+ * @param {Vec2} b
+ * @returns {number}
+ */
+export function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    const k = lenSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)) : 0;
+    return Math.hypot(p.x - (a.x + dx * k), p.y - (a.y + dy * k));
+}
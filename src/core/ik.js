@@ -0,0 +1,145 @@
+/**
+ * @module Core/IK
+ * @description Inverse kinematics for planar bone chains: FABRIK and CCD solvers with per-joint angle limits.
+ * @input Chain (root, lengths, joint angles, limits), Target point
+ * @output Joint angles, Joint positions
+ * Checks: Dependency-free.
+ */
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/**
+ * Bounds on a joint angle in radians, relative to the previous bone (the
+ * base direction for the first bone). Either side may be left open.
+ * @typedef {{min?: number, max?: number}} JointLimit
+ */
+
+/**
+ * A chain of bones from a fixed `root`. Bone k starts at joint k and points
+ * along `angles[k]` radians relative to bone k-1 (bone 0 relative to
+ * `baseAngle`); its tip is joint k+1. The tip of the last bone is the end
+ * effector.
+ * @typedef {{root: Vec2, baseAngle?: number, lengths: number[], angles: number[], limits?: Array<JointLimit|null|undefined>}} IKChain
+ */
+
+/**
+ * @typedef {{angles: number[], joints: Vec2[], error: number, iterations: number, reached: boolean}} IKResult
+ */
+
+/**
+ * Turns the chain's joints so the end effector gets as close to `target` as
+ * the bone lengths and limits allow, starting from the chain's current
+ * angles. `fabrik` moves joint positions back and forth along the chain and
+ * then clamps the angles; `ccd` turns one joint at a time from the tip
+ * inwards. A limited FABRIK pass is followed by a CCD pass, so bones above
+ * a joint stuck at its limit still turn towards the target. Out of reach,
+ * the chain ends up pointing at the target. `error` is the distance left
+ * between end effector and target.
+ * @param {IKChain} chain
+ * @param {Vec2} target
+ * @param {{method?: 'fabrik'|'ccd', iterations?: number, tolerance?: number}} [options]
+ * @returns {IKResult}
+ */
+export function solveIKChain(chain, target, { method = 'fabrik', iterations = 20, tolerance = 1e-3 } = {}) {
+    const { root, baseAngle = 0, lengths, limits = [] } = chain;
+    const limited = limits.some(Boolean);
+    let angles = chain.angles.map((a, k) => clampAngle(wrapAngle(a), limits[k]));
+    let joints = chainJoints(root, baseAngle, lengths, angles);
+    let count = 0;
+    const distance = () => Math.hypot(target.x - joints[joints.length - 1].x, target.y - joints[joints.length - 1].y);
+    while (count < iterations && lengths.length && distance() > tolerance) {
+        count += 1;
+        if (method !== 'ccd') angles = fabrikSweep(joints, baseAngle, lengths, angles, limits, target);
+        if (method === 'ccd' || limited) angles = ccdSweep(root, baseAngle, lengths, angles, limits, target);
+        const next = chainJoints(root, baseAngle, lengths, angles);
+        const moved = next.some((p, k) => Math.hypot(p.x - joints[k].x, p.y - joints[k].y) > tolerance * 1e-3);
+        joints = next;
+        if (!moved) break;
+    }
+    const error = distance();
+    return { angles, joints, error, iterations: count, reached: error <= tolerance };
+}
+
+/**
+ * Forward kinematics: positions of every joint, root first and end
+ * effector last (`lengths.length + 1` points).
+ * @param {Vec2} root
+ * @param {number} baseAngle
+ * @param {number[]} lengths
+ * @param {number[]} angles relative joint angles in radians
+ * @returns {Vec2[]}
+ */
+export function chainJoints(root, baseAngle, lengths, angles) {
+    const joints = [{ x: root.x, y: root.y }];
+    let heading = baseAngle;
+    lengths.forEach((length, k) => {
+        heading += angles[k];
+        const from = joints[k];
+        joints.push({ x: from.x + Math.cos(heading) * length, y: from.y + Math.sin(heading) * length });
+    });
+    return joints;
+}
+
+/**
+ * One backward and forward FABRIK pass over copies of `joints`, turned back
+ * into limited angles. Zero-length bones keep their angle.
+ */
+function fabrikSweep(joints, baseAngle, lengths, angles, limits, target) {
+    const p = joints.map((q) => ({ ...q }));
+    const last = lengths.length;
+    p[last] = { ...target };
+    for (let k = last - 1; k >= 0; k -= 1) p[k] = towards(p[k + 1], p[k], lengths[k]);
+    p[0] = { ...joints[0] };
+    for (let k = 0; k < last; k += 1) p[k + 1] = towards(p[k], p[k + 1], lengths[k]);
+
+    const next = [];
+    let heading = baseAngle;
+    for (let k = 0; k < last; k += 1) {
+        const dx = p[k + 1].x - p[k].x;
+        const dy = p[k + 1].y - p[k].y;
+        const wanted = lengths[k] > 0 && (dx || dy) ? wrapAngle(Math.atan2(dy, dx) - heading) : angles[k];
+        next.push(clampAngle(wanted, limits[k]));
+        heading += next[k];
+        // The next bone is measured from where the limited one really ends.
+        p[k + 1] = { x: p[k].x + Math.cos(heading) * lengths[k], y: p[k].y + Math.sin(heading) * lengths[k] };
+    }
+    return next;
+}
+
+/** One CCD pass: each joint from the tip inwards turns the end effector towards the target. */
+function ccdSweep(root, baseAngle, lengths, angles, limits, target) {
+    const next = [...angles];
+    for (let k = lengths.length - 1; k >= 0; k -= 1) {
+        const joints = chainJoints(root, baseAngle, lengths, next);
+        const pivot = joints[k];
+        const end = joints[joints.length - 1];
+        const toEnd = Math.atan2(end.y - pivot.y, end.x - pivot.x);
+        const toTarget = Math.atan2(target.y - pivot.y, target.x - pivot.x);
+        if (Math.hypot(end.x - pivot.x, end.y - pivot.y) < 1e-12) continue;
+        next[k] = clampAngle(wrapAngle(next[k] + toTarget - toEnd), limits[k]);
+    }
+    return next;
+}
+
+/** The point `length` from `from` in the direction of `to` (or `to` itself when they meet). */
+function towards(from, to, length) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const d = Math.hypot(dx, dy);
+    if (d < 1e-12) return { ...to };
+    return { x: from.x + (dx / d) * length, y: from.y + (dy / d) * length };
+}
+
+/** Angle in [-π, π). */
+function wrapAngle(angle) {
+    const a = (angle + Math.PI) % (2 * Math.PI);
+    return (a < 0 ? a + 2 * Math.PI : a) - Math.PI;
+}
+
+function clampAngle(angle, limit) {
+    if (!limit) return angle;
+    let a = angle;
+    if (Number.isFinite(limit.min)) a = Math.max(limit.min, a);
+    if (Number.isFinite(limit.max)) a = Math.min(limit.max, a);
+    return a;
+}
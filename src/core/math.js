@@ -50,6 +50,21 @@ export function applyMat3(m, v) {
     };
 }
 
+/**
+ * Inverse of an affine matrix, or null when it is singular.
+ * @param {Mat3} m
+ * @returns {Mat3|null}
+ */
+export function mat3Invert(m) {
+    const det = m[0] * m[4] - m[1] * m[3];
+    if (Math.abs(det) < 1e-12) return null;
+    const a = m[4] / det;
+    const b = -m[1] / det;
+    const c = -m[3] / det;
+    const d = m[0] / det;
+    return [a, b, 0, c, d, 0, -(a * m[6] + c * m[7]), -(b * m[6] + d * m[7]), 1];
+}
+
 /**
  * Creates a translation matrix.
  * @param {number} tx
@@ -0,0 +1,131 @@
+/**
+ * @module Core/Measure
+ * @description Metrics of evaluated geometry (area, perimeter, centroid, size) and rasters (coverage).
+ * @input EvaluatedGeometry or EvaluatedRaster
+ * @output Measurement record
+ * @dependencies ./clipping.js, ./math.js
+ */
+
+import { booleanPolygons, ringArea } from './clipping.js';
+import { computeBounds } from './math.js';
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/**
+ * Everything `@measure.prop` can read. Closed outlines contribute area and
+ * perimeter; `length` is the total length of every contour, open or closed,
+ * so it is the travel distance for open paths. Overlaps and holes follow
+ * the geometry's fill rule, so a ring drawn twice is not counted twice.
+ * @typedef {{area:number, perimeter:number, length:number, centroid:Vec2, bounds:{min:Vec2,max:Vec2}|null, width:number, height:number, vertexCount:number, contourCount:number}} GeometryMeasurement
+ */
+
+/**
+ * `coverage` is mean alpha (or luma) in [0,1]; `pixelCount` counts pixels at
+ * or above the threshold and `centroid` is their mean position in pixels.
+ * @typedef {{coverage:number, pixelCount:number, centroid:Vec2, width:number, height:number}} RasterMeasurement
+ */
+
+/**
+ * @param {import('./geometry.js').EvaluatedGeometry} geometry
+ * @returns {GeometryMeasurement}
+ */
+export function measureGeometry(geometry) {
+    const contours = geometryContours(geometry);
+    const bounds = geometry.bounds || computeBounds(contours.flatMap((c) => c.points));
+    let perimeter = 0;
+    let openLength = 0;
+    let lineMoment = { x: 0, y: 0 };
+    for (const { points, closed } of contours) {
+        const n = points.length;
+        const edges = closed ? n : n - 1;
+        for (let i = 0; i < edges; i += 1) {
+            const a = points[i];
+            const b = points[(i + 1) % n];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            if (closed) perimeter += len;
+            else openLength += len;
+            lineMoment = { x: lineMoment.x + ((a.x + b.x) / 2) * len, y: lineMoment.y + ((a.y + b.y) / 2) * len };
+        }
+    }
+    const length = perimeter + openLength;
+
+    const closedRings = contours.filter((c) => c.closed && c.points.length > 2).map((c) => c.points);
+    const rings = closedRings.length ? booleanPolygons([{ rings: closedRings, fillRule: geometry.fillRule }], 'union') : [];
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (const ring of rings) {
+        area += ringArea(ring);
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+            const cross = (ring[j].x * ring[i].y) - (ring[i].x * ring[j].y);
+            cx += (ring[j].x + ring[i].x) * cross;
+            cy += (ring[j].y + ring[i].y) * cross;
+        }
+    }
+
+    // Area-weighted centroid for filled shapes, then length-weighted for
+    // open paths, then the plain vertex mean (points).
+    let centroid;
+    if (Math.abs(area) > 1e-12) {
+        centroid = { x: cx / (6 * area), y: cy / (6 * area) };
+    } else if (length > 0) {
+        centroid = { x: lineMoment.x / length, y: lineMoment.y / length };
+    } else {
+        const all = contours.flatMap((c) => c.points);
+        centroid = all.length
+            ? { x: all.reduce((s, p) => s + p.x, 0) / all.length, y: all.reduce((s, p) => s + p.y, 0) / all.length }
+            : { x: 0, y: 0 };
+    }
+
+    return {
+        area: Math.abs(area),
+        perimeter,
+        length,
+        centroid,
+        bounds,
+        width: bounds ? bounds.max.x - bounds.min.x : 0,
+        height: bounds ? bounds.max.y - bounds.min.y : 0,
+        vertexCount: contours.reduce((sum, c) => sum + c.points.length, 0),
+        contourCount: contours.length,
+    };
+}
+
+/**
+ * @param {import('./geometry.js').EvaluatedRaster} raster
+ * @param {number} [threshold] Pixel value (0-255) that counts as covered.
+ * @returns {RasterMeasurement}
+ */
+export function measureRaster(raster, threshold = 128) {
+    const { width, height, pixels } = raster;
+    let sum = 0;
+    let count = 0;
+    let sx = 0;
+    let sy = 0;
+    for (let y = 0; y < height; y += 1) {
+        for (let x = 0; x < width; x += 1) {
+            const value = pixels[y * width + x];
+            sum += value;
+            if (value >= threshold) {
+                count += 1;
+                sx += x;
+                sy += y;
+            }
+        }
+    }
+    const total = width * height;
+    return {
+        coverage: total ? sum / (255 * total) : 0,
+        pixelCount: count,
+        centroid: count ? { x: sx / count, y: sy / count } : { x: 0, y: 0 },
+        width,
+        height,
+    };
+}
+
+/** Contours with closedness; plain point lists are closed unless they are lines. */
+function geometryContours(geometry) {
+    if (geometry.contours) return geometry.contours;
+    const points = geometry.points || [];
+    const closed = !['point', 'line', 'polyline'].includes(geometry.type);
+    return points.length ? [{ points, closed }] : [];
+}
@@ -0,0 +1,199 @@
+/**
+ * @module Core/Offset
+ * @description Vector offset (outset/inset) of filled regions and stroke expansion of open polylines.
+ * @input Region or polylines, Signed distance, Join options
+ * @output Rings
+ * @dependencies ./clipping.js
+ */
+
+import { booleanPolygons, ringArea } from './clipping.js';
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/**
+ * `tolerance` bounds the chord error of round joins and caps (same units
+ * as the geometry). `miterLimit` is the longest allowed miter as a multiple
+ * of the distance; longer miters fall back to a bevel, as in SVG.
+ * @typedef {{join?: 'miter'|'round'|'square', miterLimit?: number, tolerance?: number}} OffsetOptions
+ */
+
+/**
+ * The offset is built Minkowski-style: a band of width |distance| is laid
+ * along every edge, with a join shape at each corner where neighbouring
+ * bands open a gap. Outsetting unions the band with the region, insetting
+ * subtracts it; the boolean pass also removes the loops that naive
+ * edge-shifting would leave behind.
+ */
+
+/**
+ * Grows (`distance` > 0) or shrinks (`distance` < 0) a filled region.
+ * @param {import('./clipping.js').Region} region
+ * @param {number} distance
+ * @param {OffsetOptions} [options]
+ * @returns {Vec2[][]} Rings in the same convention as `booleanPolygons`.
+ */
+export function offsetRegion(region, distance, options = {}) {
+    // Normalized rings have the interior on their left, holes included.
+    const rings = booleanPolygons([region], 'union');
+    if (!distance || !Number.isFinite(distance)) return rings;
+    const d = Math.abs(distance);
+    const outward = distance > 0;
+    const pieces = [];
+    for (const ring of rings) {
+        const n = ring.length;
+        for (let i = 0; i < n; i += 1) {
+            const prev = ring[(i + n - 1) % n];
+            const v = ring[i];
+            const next = ring[(i + 1) % n];
+            const normal = sideNormal(v, next, outward);
+            pieces.push(quad(v, next, normal, d));
+            // Left turns are convex corners; the bands gap on the offset side there.
+            const turn = cross(sub(v, prev), sub(next, v));
+            if (outward ? turn > 0 : turn < 0) {
+                pieces.push(joinShape(v, sub(v, prev), sub(next, v), sideNormal(prev, v, outward), normal, d, options));
+            }
+        }
+    }
+    if (pieces.length === 0) return rings;
+    const band = { rings: pieces.map(orientPositive), fillRule: 'nonzero' };
+    return booleanPolygons([{ rings }, band], outward ? 'union' : 'difference');
+}
+
+/**
+ * Outlines open polylines as if stroked with width `2 * distance`. Joins
+ * follow `options.join`; round joins get round caps, square joins square
+ * caps, miter joins butt caps.
+ * @param {Vec2[][]} polylines
+ * @param {number} distance
+ * @param {OffsetOptions} [options]
+ * @returns {Vec2[][]}
+ */
+export function expandPolylines(polylines, distance, options = {}) {
+    const d = Math.abs(distance);
+    if (!d || !Number.isFinite(d)) return [];
+    const join = options.join || 'miter';
+    const pieces = [];
+    for (const line of polylines) {
+        const pts = line.filter((p, i) => i === 0 || p.x !== line[i - 1].x || p.y !== line[i - 1].y);
+        if (pts.length < 2) continue;
+        for (let i = 0; i < pts.length - 1; i += 1) {
+            const a = pts[i];
+            const b = pts[i + 1];
+            const normal = sideNormal(a, b, true);
+            pieces.push([add(a, scale(normal, -d)), add(b, scale(normal, -d)), add(b, scale(normal, d)), add(a, scale(normal, d))]);
+            if (i > 0) {
+                // The gap opens on the outside of the turn.
+                const prev = pts[i - 1];
+                const din = sub(a, prev);
+                const dout = sub(b, a);
+                const outside = cross(din, dout) > 0;
+                pieces.push(joinShape(a, din, dout, sideNormal(prev, a, outside), sideNormal(a, b, outside), d, options));
+            }
+        }
+        if (join !== 'miter') {
+            pieces.push(capShape(pts[0], sub(pts[0], pts[1]), d, join, options));
+            const last = pts.length - 1;
+            pieces.push(capShape(pts[last], sub(pts[last], pts[last - 1]), d, join, options));
+        }
+    }
+    if (pieces.length === 0) return [];
+    return booleanPolygons([{ rings: pieces.map(orientPositive), fillRule: 'nonzero' }], 'union');
+}
+
+/** Unit normal of a→b; with interior-on-left rings, `outward` picks the right-hand side. */
+function sideNormal(a, b, outward) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = Math.hypot(dx, dy) || 1;
+    return outward ? { x: dy / len, y: -dx / len } : { x: -dy / len, y: dx / len };
+}
+
+function quad(a, b, normal, d) {
+    return [a, b, add(b, scale(normal, d)), add(a, scale(normal, d))];
+}
+
+function joinShape(v, din, dout, n1, n2, d, options) {
+    const join = options.join || 'miter';
+    const p1 = add(v, scale(n1, d));
+    const p2 = add(v, scale(n2, d));
+    if (join === 'round') return [v, ...arcPoints(v, n1, n2, d, options.tolerance)];
+    if (join === 'square') {
+        const t1 = unit(din);
+        const t2 = unit(dout);
+        return [v, p1, add(p1, scale(t1, d)), sub(p2, scale(t2, d)), p2];
+    }
+    const bisector = add(n1, n2);
+    const cos = 1 + dot(n1, n2);
+    const limit = (options.miterLimit ?? 4) * d;
+    if (cos > 1e-12) {
+        const miter = add(v, scale(bisector, d / cos));
+        if (Math.hypot(miter.x - v.x, miter.y - v.y) <= limit) return [v, p1, miter, p2];
+    }
+    return [v, p1, p2];
+}
+
+function capShape(end, direction, d, join, options) {
+    const t = unit(direction);
+    const n = { x: -t.y, y: t.x };
+    const left = add(end, scale(n, d));
+    const right = sub(end, scale(n, d));
+    if (join === 'square') return [left, add(left, scale(t, d)), add(right, scale(t, d)), right];
+    return [end, ...arcPoints(end, n, { x: -n.x, y: -n.y }, d, options.tolerance, t)];
+}
+
+/**
+ * Points on the circle of radius d around c, from direction n1 to n2 the
+ * short way round (or through `via` when given, for half-circle caps).
+ */
+function arcPoints(c, n1, n2, d, tolerance = 0.25, via) {
+    const a1 = Math.atan2(n1.y, n1.x);
+    let sweep;
+    if (via) {
+        const mid = Math.atan2(via.y, via.x);
+        sweep = normalizeAngle(mid - a1) > 0 ? Math.PI : -Math.PI;
+    } else {
+        sweep = normalizeAngle(Math.atan2(n2.y, n2.x) - a1);
+    }
+    const tol = Math.max(tolerance, 1e-6);
+    const maxStep = tol >= d ? Math.PI / 2 : 2 * Math.acos(1 - tol / d);
+    const steps = Math.min(256, Math.max(1, Math.ceil(Math.abs(sweep) / maxStep)));
+    const points = [];
+    for (let i = 0; i <= steps; i += 1) {
+        const angle = a1 + (sweep * i) / steps;
+        points.push({ x: c.x + Math.cos(angle) * d, y: c.y + Math.sin(angle) * d });
+    }
+    return points;
+}
+
+function orientPositive(ring) {
+    return ringArea(ring) < 0 ? [...ring].reverse() : ring;
+}
+
+function normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function unit(v) {
+    const len = Math.hypot(v.x, v.y) || 1;
+    return { x: v.x / len, y: v.y / len };
+}
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y };
+}
+
+function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y };
+}
+
+function scale(v, k) {
+    return { x: v.x * k, y: v.y * k };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+}
+
+function cross(a, b) {
+    return a.x * b.y - a.y * b.x;
+}
@@ -1,21 +1,26 @@
 /**
  * @module Core/Params
- * @description Parameter Evaluation (Constant, Keyframe, Expression).
+ * @description Parameter Evaluation (Constant, Keyframe, Expression, Random, Noise).
  * @input ParamSpec, Time
  * @output Value
- * @dependencies ./math.js
+ * @dependencies ./math.js, ./expr.js, ./easing.js, ./color.js, ./random.js
  */
 
 import { lerp } from './math.js';
+import { isColor, mixColor } from './color.js';
+import { collectExprRefs, compileExpr, evaluateExprAst } from './expr.js';
+import { hermiteWeights, resolveEasing } from './easing.js';
+import { fractalNoise, hashSeed, randomAt } from './random.js';
 
 /**
  * Param evaluation utilities.
- * A Param can be constant, a set of keyframes, or an expression string.
- * The expression flavor is intentionally conservative and only supports
- * a limited whitelist of Math functions to avoid unsafe eval usage.
+ * A Param can be constant, a set of keyframes, an expression string, or a
+ * seeded random/noise source.
+ * Expressions are parsed and interpreted by ./expr.js (never `eval`), so
+ * scenes shared by other people cannot run arbitrary code.
  */
 
-/** @typedef {'constant'|'keyframes'|'expr'} ParamType */
+/** @typedef {'constant'|'keyframes'|'expr'|'random'|'noise'} ParamType */
 
 /**
  * @template T
@@ -23,8 +28,22 @@ import { lerp } from './math.js';
  */
 
 /**
+ * A keyframe's `easing` shapes the segment that starts at it and overrides
+ * the param-wide `interpolation`. `outHandle` on a keyframe and `inHandle` on
+ * the next one form a cubic-bezier timing curve (normalized, Lottie style).
+ * `inTangent`/`outTangent` are value slopes per unit of t used by `hermite`;
+ * missing tangents are estimated Catmull-Rom style from the neighbours.
  * @template T
- * @typedef {{type:'keyframes', keyframes:Array<{t:number, value:T}>, interpolation?:'step'|'linear'|'smooth', extrapolation?:'clamp'|'repeat'}} ParamKeyframes
+ * @typedef {{t:number, value:T, easing?: import('./easing.js').EasingSpec, outHandle?:{x:number,y:number}, inHandle?:{x:number,y:number}, inTangent?:T, outTangent?:T}} Keyframe
+ */
+
+/**
+ * `mirror` plays the keyframe range back and forth; `extend` continues the
+ * boundary slope linearly. Color string values blend in `colorSpace`
+ * (default OKLab). `input` keys the keyframes by an expression variable
+ * instead of t, e.g. `'u'` to step a palette across generated copies.
+ * @template T
+ * @typedef {{type:'keyframes', keyframes:Array<Keyframe<T>>, interpolation?: import('./easing.js').EasingSpec, extrapolation?:'clamp'|'repeat'|'mirror'|'extend', colorSpace?: import('./color.js').ColorSpace, input?: string}} ParamKeyframes
  */
 
 /**
@@ -32,8 +51,34 @@ import { lerp } from './math.js';
  * @typedef {{type:'expr', expr:string}} ParamExpr
  */
 
+/**
+ * Uniform value in [min, max). Without `step` the value is fixed for the
+ * seed; with `step` a new value is drawn every `step` units of t, or of
+ * the `input` variable (sample and hold).
+ * @typedef {{type:'random', seed?:number, min?:number, max?:number, step?:number, input?: string}} ParamRandom
+ */
+
+/**
+ * Fractal gradient noise sampled at `t * frequency` (1D), or at
+ * `(t * frequency, y)` when `y` is given (2D), mapped to
+ * `offset + amplitude * n` with n in [-1,1]. `input` samples along an
+ * expression variable instead of t.
+ * @typedef {{type:'noise', seed?:number, frequency?:number, amplitude?:number, offset?:number, octaves?:number, persistence?:number, lacunarity?:number, y?:number, input?: string}} ParamNoise
+ */
+
 /** @template T
- * @typedef {ParamConstant<T>|ParamKeyframes<T>|ParamExpr<T>} Param
+ * @typedef {ParamConstant<T>|ParamKeyframes<T>|ParamExpr<T>|ParamRandom|ParamNoise} Param
+ */
+
+const PARAM_TYPES = new Set(['constant', 'keyframes', 'expr', 'random', 'noise']);
+
+/**
+ * Evaluation context shared by every Param of one scene evaluation.
+ * `warnings` collects expression errors, `vars` adds expression variables
+ * next to `t`, `resolveRef` answers `@obj.prop` lookups, and `seed` (from
+ * the scene, or the generator that produced the object) feeds random and
+ * noise params.
+ * @typedef {{warnings?: string[], vars?: Record<string, unknown>, resolveRef?: (targetId:string, targetProp:string) => unknown, seed?: number}} ParamContext
  */
 
 /**
@@ -41,22 +86,77 @@ import { lerp } from './math.js';
  * @template T
  * @param {Param<T>} param
  * @param {number} t
+ * @param {ParamContext} [ctx]
  * @returns {T}
  */
-export function evaluateParam(param, t) {
+export function evaluateParam(param, t, ctx) {
     if (!param) throw new Error('Param is required');
     switch (param.type) {
         case 'constant':
             return /** @type {ParamConstant<T>} */ (param).value;
         case 'keyframes':
-            return evaluateKeyframes(/** @type {ParamKeyframes<T>} */(param), t);
+            return evaluateKeyframes(/** @type {ParamKeyframes<T>} */(param), paramInput(param, t, ctx));
         case 'expr':
-            return evaluateExpr(/** @type {ParamExpr<T>} */(param), t);
+            return evaluateExpr(/** @type {ParamExpr<T>} */(param), t, ctx);
+        case 'random':
+            return /** @type {T} */ (evaluateRandom(/** @type {ParamRandom} */(param), paramInput(param, t, ctx), ctx));
+        case 'noise':
+            return /** @type {T} */ (evaluateNoise(/** @type {ParamNoise} */(param), paramInput(param, t, ctx), ctx));
         default:
             throw new Error(`Unknown param type ${(/** @type {{type: string}} */ (param)).type}`);
     }
 }
 
+/**
+ * True for Param-shaped values (as opposed to plain literals).
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isParam(value) {
+    return Boolean(value && typeof value === 'object' && PARAM_TYPES.has(/** @type {{type:unknown}} */ (value).type));
+}
+
+/**
+ * Evaluates `value` when it is a Param and returns it unchanged otherwise,
+ * for fields that accept either a literal or a Param.
+ * @template T
+ * @param {T|Param<T>} value
+ * @param {number} t
+ * @param {ParamContext} [ctx]
+ * @returns {T}
+ */
+export function evaluateMaybeParam(value, t, ctx) {
+    return isParam(value) ? evaluateParam(/** @type {Param<T>} */ (value), t, ctx) : /** @type {T} */ (value);
+}
+
+/**
+ * Collects the ids of every object referenced from `value`: `{type:'ref'}`
+ * nodes at any depth (params, transforms, geometry, styles) and `@id.prop`
+ * references inside expression params. Used for dependency ordering.
+ * @param {unknown} value
+ * @param {Set<string>} [out]
+ * @returns {Set<string>}
+ */
+export function collectRefIds(value, out = new Set()) {
+    if (!value || typeof value !== 'object') return out;
+    if (Array.isArray(value)) {
+        value.forEach((item) => collectRefIds(item, out));
+        return out;
+    }
+    const node = /** @type {Record<string, unknown>} */ (value);
+    if (node.type === 'ref' && typeof node.targetId === 'string') {
+        out.add(node.targetId);
+        return out;
+    }
+    if (node.type === 'expr' && typeof node.expr === 'string') {
+        const { ast } = compileExpr(node.expr);
+        if (ast) collectExprRefs(ast).forEach((ref) => out.add(ref.targetId));
+        return out;
+    }
+    Object.values(node).forEach((item) => collectRefIds(item, out));
+    return out;
+}
+
 /**
  * @template T
  * @param {ParamKeyframes<T>} param
@@ -64,45 +164,119 @@ export function evaluateParam(param, t) {
  * @returns {T}
  */
 function evaluateKeyframes(param, t) {
-    const { keyframes, interpolation = 'linear', extrapolation = 'clamp' } = param;
+    const { keyframes, extrapolation = 'clamp' } = param;
     if (!keyframes.length) throw new Error('Keyframes must not be empty');
     const first = keyframes[0];
     const last = keyframes[keyframes.length - 1];
-    if (t <= first.t) {
-        return extrapolation === 'repeat' ? valueAtRepeatedTime(keyframes, t) : first.value;
-    }
-    if (t >= last.t) {
-        return extrapolation === 'repeat' ? valueAtRepeatedTime(keyframes, t) : last.value;
+    const duration = last.t - first.t;
+    if (t < first.t || t > last.t) {
+        if (duration === 0) return first.value;
+        switch (extrapolation) {
+            case 'repeat':
+                return valueInRange(param, ((t - first.t) % duration + duration) % duration + first.t);
+            case 'mirror': {
+                const phase = ((t - first.t) % (2 * duration) + 2 * duration) % (2 * duration);
+                return valueInRange(param, first.t + (phase > duration ? 2 * duration - phase : phase));
+            }
+            case 'extend':
+                return t < first.t ? extendValue(keyframes, 0, t) : extendValue(keyframes, keyframes.length - 1, t);
+            default:
+                return t < first.t ? first.value : last.value;
+        }
     }
+    return valueInRange(param, t);
+}
+
+/**
+ * Evaluates keyframes for a t inside [first.t, last.t].
+ * @template T
+ * @param {ParamKeyframes<T>} param
+ * @param {number} t
+ * @returns {T}
+ */
+function valueInRange(param, t) {
+    const { keyframes, interpolation = 'linear' } = param;
+    if (keyframes.length === 1) return keyframes[0].value;
     let i = 0;
-    while (i < keyframes.length - 1 && keyframes[i + 1].t < t) {
+    while (i < keyframes.length - 2 && keyframes[i + 1].t <= t) {
         i += 1;
     }
     const k0 = keyframes[i];
     const k1 = keyframes[i + 1];
     const span = k1.t - k0.t;
-    const localT = span === 0 ? 0 : (t - k0.t) / span;
-    if (interpolation === 'step') return k0.value;
-    if (interpolation === 'smooth') {
-        const smoothT = localT * localT * (3 - 2 * localT);
-        return interpolateValue(k0.value, k1.value, smoothT);
+    const localT = span === 0 ? 1 : Math.min(Math.max((t - k0.t) / span, 0), 1);
+    if (localT >= 1) return k1.value;
+    if (k0.outHandle || k1.inHandle) {
+        const out = k0.outHandle || { x: 0, y: 0 };
+        const inn = k1.inHandle || { x: 1, y: 1 };
+        return interpolateValue(k0.value, k1.value, resolveEasing([out.x, out.y, inn.x, inn.y])(localT), param.colorSpace);
+    }
+    const easing = k0.easing ?? interpolation;
+    if (easing === 'step') return k0.value;
+    if (easing === 'hermite' || easing === 'catmullRom') {
+        const useExplicit = easing === 'hermite';
+        const m0 = (useExplicit && k0.outTangent !== undefined) ? k0.outTangent : estimateTangent(keyframes, i);
+        const m1 = (useExplicit && k1.inTangent !== undefined) ? k1.inTangent : estimateTangent(keyframes, i + 1);
+        const [h00, h10, h01, h11] = hermiteWeights(localT);
+        const curve = combineValues([[k0.value, h00], [m0, h10 * span], [k1.value, h01], [m1, h11 * span]]);
+        if (curve !== null) return curve;
+        return interpolateValue(k0.value, k1.value, localT, param.colorSpace);
     }
-    return interpolateValue(k0.value, k1.value, localT);
+    return interpolateValue(k0.value, k1.value, resolveEasing(easing)(localT), param.colorSpace);
 }
 
 /**
+ * Catmull-Rom style slope (value per unit t) at keyframe `i`; one-sided at
+ * the ends. Returns null for values that cannot be differenced.
  * @template T
- * @param {ParamKeyframes<T>} param
+ * @param {Array<Keyframe<T>>} keyframes
+ * @param {number} i
+ * @returns {T|null}
+ */
+function estimateTangent(keyframes, i) {
+    const prev = keyframes[Math.max(0, i - 1)];
+    const next = keyframes[Math.min(keyframes.length - 1, i + 1)];
+    const dt = next.t - prev.t;
+    if (dt === 0) return combineValues([[keyframes[i].value, 0]]);
+    return combineValues([[next.value, 1 / dt], [prev.value, -1 / dt]]);
+}
+
+/**
+ * Linear extrapolation beyond the boundary keyframe at `index`, using its
+ * explicit tangent when present. Non-numeric values clamp.
+ * @template T
+ * @param {Array<Keyframe<T>>} keyframes
+ * @param {number} index
  * @param {number} t
  * @returns {T}
  */
-function valueAtRepeatedTime(keyframes, t) {
-    const first = keyframes[0];
-    const last = keyframes[keyframes.length - 1];
-    const duration = last.t - first.t;
-    if (duration === 0) return first.value;
-    let wrapped = ((t - first.t) % duration + duration) % duration + first.t;
-    return evaluateKeyframes({ type: 'keyframes', keyframes, extrapolation: 'clamp' }, wrapped);
+function extendValue(keyframes, index, t) {
+    const key = keyframes[index];
+    const explicit = index === 0 ? key.outTangent : key.inTangent;
+    let slope = explicit;
+    if (slope === undefined) {
+        const other = keyframes[index === 0 ? 1 : index - 1];
+        const dt = key.t - other.t;
+        slope = dt === 0 ? null : combineValues([[key.value, 1 / dt], [other.value, -1 / dt]]);
+    }
+    if (slope === null || slope === undefined) return key.value;
+    const extended = combineValues([[key.value, 1], [slope, t - key.t]]);
+    return extended === null ? key.value : extended;
+}
+
+/**
+ * Weighted sum of numbers or vec2 values; null when any term is neither.
+ * @param {Array<[unknown, number]>} terms
+ * @returns {any}
+ */
+function combineValues(terms) {
+    if (terms.every(([v]) => typeof v === 'number')) {
+        return terms.reduce((sum, [v, w]) => sum + v * w, 0);
+    }
+    if (terms.every(([v]) => isVec2(v))) {
+        return terms.reduce((sum, [v, w]) => ({ x: sum.x + v.x * w, y: sum.y + v.y * w }), { x: 0, y: 0 });
+    }
+    return null;
 }
 
 /**
@@ -110,43 +284,94 @@ function valueAtRepeatedTime(keyframes, t) {
  * @param {T} a
  * @param {T} b
  * @param {number} t
+ * @param {import('./color.js').ColorSpace} [colorSpace]
  * @returns {T}
  */
-function interpolateValue(a, b, t) {
+function interpolateValue(a, b, t, colorSpace) {
     if (typeof a === 'number' && typeof b === 'number') {
         return /** @type {T} */ (lerp(a, b, t));
     }
     if (isVec2(a) && isVec2(b)) {
         return /** @type {T} */ ({ x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t) });
     }
+    if (isColor(a) && isColor(b)) {
+        return /** @type {T} */ (mixColor(/** @type {string} */ (a), /** @type {string} */ (b), t, colorSpace));
+    }
     return t < 0.5 ? a : b;
 }
 
 /**
+ * Expression failures never throw: they are reported through
+ * `ctx.warnings` (or the console when evaluated without a context) and the
+ * param falls back to 0.
  * @template T
  * @param {ParamExpr<T>} param
  * @param {number} t
+ * @param {ParamContext} [ctx]
  * @returns {T}
  */
-function evaluateExpr(param, t) {
-    const scoped = buildSafeScope();
-    const evaluator = new Function('t', ...Object.keys(scoped), `return (${param.expr});`);
-    // eslint-disable-next-line unicorn/new-for-builtins
-    return /** @type {T} */ (evaluator(t, ...Object.values(scoped)));
-}
-
-function buildSafeScope() {
-    return {
-        sin: Math.sin,
-        cos: Math.cos,
-        tan: Math.tan,
-        abs: Math.abs,
-        min: Math.min,
-        max: Math.max,
-        pow: Math.pow,
-        sqrt: Math.sqrt,
-        PI: Math.PI,
-    };
+function evaluateExpr(param, t, ctx) {
+    const { ast, error } = compileExpr(param.expr);
+    if (error) {
+        reportParamWarning(ctx, `Expression "${param.expr}" parse error: ${error}`);
+        return /** @type {T} */ (0);
+    }
+    try {
+        const vars = { ...(ctx?.vars || {}), t };
+        return /** @type {T} */ (evaluateExprAst(ast, { vars, resolveRef: ctx?.resolveRef, seed: ctx?.seed }));
+    } catch (err) {
+        reportParamWarning(ctx, `Expression "${param.expr}" failed: ${err.message}`);
+        return /** @type {T} */ (0);
+    }
+}
+
+/**
+ * @param {ParamRandom} param
+ * @param {number} t
+ * @param {ParamContext} [ctx]
+ * @returns {number}
+ */
+function evaluateRandom(param, t, ctx) {
+    const { min = 0, max = 1, step } = param;
+    const index = step ? Math.floor(t / step) : 0;
+    return min + (max - min) * randomAt(hashSeed(ctx?.seed ?? 0, param.seed ?? 0), index);
+}
+
+/**
+ * @param {ParamNoise} param
+ * @param {number} t
+ * @param {ParamContext} [ctx]
+ * @returns {number}
+ */
+function evaluateNoise(param, t, ctx) {
+    const { frequency = 1, amplitude = 1, offset = 0, octaves = 1, persistence = 0.5, lacunarity = 2, y } = param;
+    const seed = hashSeed(ctx?.seed ?? 0, param.seed ?? 0);
+    return offset + amplitude * fractalNoise(t * frequency, y, { seed, octaves, persistence, lacunarity });
+}
+
+/**
+ * What keyframes, random steps and noise run along: t, or the expression
+ * variable named by `param.input` (0 when it is not set).
+ * @param {{input?: string}} param
+ * @param {number} t
+ * @param {ParamContext} [ctx]
+ * @returns {number}
+ */
+function paramInput(param, t, ctx) {
+    if (!param.input || param.input === 't') return t;
+    return Number(ctx?.vars?.[param.input]) || 0;
+}
+
+/**
+ * @param {ParamContext|undefined} ctx
+ * @param {string} message
+ */
+function reportParamWarning(ctx, message) {
+    if (!ctx?.warnings) {
+        console.warn(message);
+        return;
+    }
+    if (!ctx.warnings.includes(message)) ctx.warnings.push(message);
 }
 
 /**
@@ -0,0 +1,419 @@
+/**
+ * @module Core/Path
+ * @description SVG-style paths: parsing `d` data, affine transforms, and adaptive flattening to polylines.
+ * @input Path data, Mat3, Tolerance
+ * @output PathSegment[], Contours
+ * @dependencies ./math.js
+ */
+
+import { applyMat3 } from './math.js';
+
+/**
+ * Absolute path segments. `A` follows SVG arc semantics: radii, x-axis
+ * rotation in degrees, the two flags, and the end point.
+ * @typedef {{type:'M', x:number, y:number}
+ *   | {type:'L', x:number, y:number}
+ *   | {type:'Q', x1:number, y1:number, x:number, y:number}
+ *   | {type:'C', x1:number, y1:number, x2:number, y2:number, x:number, y:number}
+ *   | {type:'A', rx:number, ry:number, angle:number, largeArc:boolean, sweep:boolean, x:number, y:number}
+ *   | {type:'Z'}} PathSegment
+ */
+
+/** @typedef {{points: Array<import('./math.js').Vec2>, closed: boolean}} Contour */
+
+/** Default flattening tolerance: maximum distance between curve and polyline. */
+export const DEFAULT_PATH_TOLERANCE = 0.25;
+
+const MAX_CURVE_STEPS = 1024;
+const ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+const parsed = new Map();
+const PARSE_CACHE_LIMIT = 256;
+
+/**
+ * Parses SVG path data into absolute segments. Relative commands are made
+ * absolute and H/V/S/T are expanded to L/C/Q. Like SVG, malformed data
+ * keeps everything parsed before the error.
+ * @param {string} d
+ * @returns {{segments: PathSegment[], error: string|null}}
+ */
+export function parsePathData(d) {
+    const key = String(d);
+    if (parsed.has(key)) return parsed.get(key);
+    const entry = parseUncached(key);
+    if (parsed.size >= PARSE_CACHE_LIMIT) parsed.delete(parsed.keys().next().value);
+    parsed.set(key, entry);
+    return entry;
+}
+
+/**
+ * Segments of a path geometry, from `segments` or parsed from `d`.
+ * @param {{d?: string, segments?: PathSegment[]}} geometry
+ * @returns {{segments: PathSegment[], error: string|null}}
+ */
+export function pathSegments(geometry) {
+    if (Array.isArray(geometry.segments)) return { segments: geometry.segments, error: null };
+    if (typeof geometry.d === 'string') return parsePathData(geometry.d);
+    return { segments: [], error: null };
+}
+
+/**
+ * Applies an affine matrix to a path. Arcs are converted to cubics first so
+ * the result stays valid under non-uniform scale and skew; pass the
+ * flattening tolerance (in output units) to keep that conversion within it.
+ * @param {PathSegment[]} segments
+ * @param {import('./math.js').Mat3} matrix
+ * @param {number} [tolerance]
+ * @returns {PathSegment[]}
+ */
+export function transformPathSegments(segments, matrix, tolerance) {
+    const out = [];
+    const map = (x, y) => applyMat3(matrix, { x, y });
+    const scale = Math.max(Math.hypot(matrix[0], matrix[1]), Math.hypot(matrix[3], matrix[4])) || 1;
+    const localTolerance = tolerance === undefined ? undefined : tolerance / scale;
+    let cur = { x: 0, y: 0 };
+    let start = cur;
+    for (const seg of segments) {
+        if (seg.type === 'Z') {
+            out.push(seg);
+            cur = start;
+            continue;
+        }
+        const pieces = seg.type === 'A' ? arcToCubics(cur, seg, localTolerance) : [seg];
+        for (const piece of pieces) {
+            const end = map(piece.x, piece.y);
+            if (piece.type === 'Q') {
+                const c = map(piece.x1, piece.y1);
+                out.push({ type: 'Q', x1: c.x, y1: c.y, x: end.x, y: end.y });
+            } else if (piece.type === 'C') {
+                const c1 = map(piece.x1, piece.y1);
+                const c2 = map(piece.x2, piece.y2);
+                out.push({ type: 'C', x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y, x: end.x, y: end.y });
+            } else {
+                out.push({ type: piece.type, x: end.x, y: end.y });
+            }
+        }
+        cur = { x: seg.x, y: seg.y };
+        if (seg.type === 'M') start = cur;
+    }
+    return out;
+}
+
+/**
+ * Flattens a path into polylines whose distance from the true curve stays
+ * below `tolerance`. Bezier step counts come from Wang's formula, arc step
+ * counts from the sagitta of the larger radius.
+ * @param {PathSegment[]} segments
+ * @param {number} [tolerance]
+ * @returns {Contour[]}
+ */
+export function flattenPath(segments, tolerance = DEFAULT_PATH_TOLERANCE) {
+    const tol = Math.max(tolerance, 1e-6);
+    const contours = [];
+    let cur = { x: 0, y: 0 };
+    let start = cur;
+    let points = null;
+
+    const finish = (closed) => {
+        if (points && points.length > 1) {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (closed && points.length > 2 && first.x === last.x && first.y === last.y) points.pop();
+            contours.push({ points, closed });
+        }
+        points = null;
+    };
+    const lineTo = (p) => {
+        if (!points) points = [cur];
+        points.push(p);
+        cur = p;
+    };
+
+    for (const seg of segments) {
+        switch (seg.type) {
+            case 'M':
+                finish(false);
+                cur = { x: seg.x, y: seg.y };
+                start = cur;
+                break;
+            case 'L':
+                lineTo({ x: seg.x, y: seg.y });
+                break;
+            case 'Q': {
+                const p0 = cur;
+                const steps = curveSteps(0.25 * secondDifference(p0, { x: seg.x1, y: seg.y1 }, seg), tol);
+                for (let i = 1; i <= steps; i += 1) lineTo(quadraticPoint(p0, seg, i / steps));
+                break;
+            }
+            case 'C': {
+                const p0 = cur;
+                const c1 = { x: seg.x1, y: seg.y1 };
+                const c2 = { x: seg.x2, y: seg.y2 };
+                const m = Math.max(secondDifference(p0, c1, c2), secondDifference(c1, c2, seg));
+                const steps = curveSteps(0.75 * m, tol);
+                for (let i = 1; i <= steps; i += 1) lineTo(cubicPoint(p0, seg, i / steps));
+                break;
+            }
+            case 'A': {
+                const arc = arcCenter(cur, seg);
+                if (!arc) {
+                    lineTo({ x: seg.x, y: seg.y });
+                    break;
+                }
+                const radius = Math.max(arc.rx, arc.ry);
+                const maxStep = tol >= radius ? Math.PI / 2 : 2 * Math.acos(1 - tol / radius);
+                const steps = Math.min(MAX_CURVE_STEPS, Math.max(1, Math.ceil(Math.abs(arc.sweep) / maxStep)));
+                for (let i = 1; i < steps; i += 1) lineTo(ellipsePoint(arc, arc.start + (arc.sweep * i) / steps));
+                lineTo({ x: seg.x, y: seg.y });
+                break;
+            }
+            case 'Z':
+                if (points && (cur.x !== start.x || cur.y !== start.y)) lineTo(start);
+                finish(true);
+                cur = start;
+                break;
+            default:
+                break;
+        }
+    }
+    finish(false);
+    return contours;
+}
+
+/**
+ * Splits an SVG arc into cubic segments of at most 90 degrees each, and
+ * shorter when needed to keep the approximation error under `tolerance`.
+ * @param {import('./math.js').Vec2} from
+ * @param {Extract<PathSegment, {type:'A'}>} seg
+ * @param {number} [tolerance]
+ * @returns {Array<Extract<PathSegment, {type:'C'|'L'}>>}
+ */
+export function arcToCubics(from, seg, tolerance) {
+    const arc = arcCenter(from, seg);
+    if (!arc) return [{ type: 'L', x: seg.x, y: seg.y }];
+    let maxAngle = Math.PI / 2;
+    if (tolerance > 0) {
+        // A quarter-circle cubic deviates by ~2.7e-4 r; the error grows with angle^6.
+        // Spend at most a quarter of the tolerance here.
+        const ratio = tolerance / (4 * 2.73e-4 * Math.max(arc.rx, arc.ry));
+        maxAngle = Math.min(maxAngle, (Math.PI / 2) * Math.pow(ratio, 1 / 6));
+    }
+    const count = Math.min(MAX_CURVE_STEPS, Math.max(1, Math.ceil(Math.abs(arc.sweep) / maxAngle - 1e-9)));
+    const delta = arc.sweep / count;
+    const k = (4 / 3) * Math.tan(delta / 4);
+    const out = [];
+    let a0 = arc.start;
+    let p0 = ellipsePoint(arc, a0);
+    for (let i = 0; i < count; i += 1) {
+        const a1 = a0 + delta;
+        const p1 = i === count - 1 ? { x: seg.x, y: seg.y } : ellipsePoint(arc, a1);
+        const d0 = ellipseDerivative(arc, a0);
+        const d1 = ellipseDerivative(arc, a1);
+        out.push({
+            type: 'C',
+            x1: p0.x + k * d0.x,
+            y1: p0.y + k * d0.y,
+            x2: p1.x - k * d1.x,
+            y2: p1.y - k * d1.y,
+            x: p1.x,
+            y: p1.y,
+        });
+        a0 = a1;
+        p0 = p1;
+    }
+    return out;
+}
+
+function parseUncached(text) {
+    const segments = [];
+    let pos = 0;
+    let command = null;
+    let cur = { x: 0, y: 0 };
+    let start = cur;
+    // Last control point, for the reflected S/T shorthands.
+    let lastCubic = null;
+    let lastQuad = null;
+
+    const skip = () => {
+        while (pos < text.length && /[\s,]/.test(text[pos])) pos += 1;
+    };
+    const number = () => {
+        skip();
+        NUMBER.lastIndex = pos;
+        const match = NUMBER.exec(text);
+        if (!match) throw new Error(`Expected number at ${pos}`);
+        pos = NUMBER.lastIndex;
+        return parseFloat(match[0]);
+    };
+    const flag = () => {
+        skip();
+        const ch = text[pos];
+        if (ch !== '0' && ch !== '1') throw new Error(`Expected arc flag at ${pos}`);
+        pos += 1;
+        return ch === '1';
+    };
+
+    try {
+        skip();
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (/[a-zA-Z]/.test(ch)) {
+                if (!(ch.toUpperCase() in ARG_COUNTS)) throw new Error(`Unknown path command '${ch}' at ${pos}`);
+                command = ch;
+                pos += 1;
+            } else if (!command) {
+                throw new Error(`Path data must start with a command at ${pos}`);
+            }
+            const upper = command.toUpperCase();
+            const rel = command !== upper;
+            const ox = rel ? cur.x : 0;
+            const oy = rel ? cur.y : 0;
+            let cubicCtrl = null;
+            let quadCtrl = null;
+            switch (upper) {
+                case 'M': {
+                    cur = { x: ox + number(), y: oy + number() };
+                    start = cur;
+                    segments.push({ type: 'M', ...cur });
+                    // Further coordinate pairs are implicit line-tos.
+                    command = rel ? 'l' : 'L';
+                    break;
+                }
+                case 'L':
+                    cur = { x: ox + number(), y: oy + number() };
+                    segments.push({ type: 'L', ...cur });
+                    break;
+                case 'H':
+                    cur = { x: ox + number(), y: cur.y };
+                    segments.push({ type: 'L', ...cur });
+                    break;
+                case 'V':
+                    cur = { x: cur.x, y: oy + number() };
+                    segments.push({ type: 'L', ...cur });
+                    break;
+                case 'C':
+                case 'S': {
+                    const c1 = upper === 'C'
+                        ? { x: ox + number(), y: oy + number() }
+                        : lastCubic ? { x: 2 * cur.x - lastCubic.x, y: 2 * cur.y - lastCubic.y } : cur;
+                    const c2 = { x: ox + number(), y: oy + number() };
+                    cur = { x: ox + number(), y: oy + number() };
+                    segments.push({ type: 'C', x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y, ...cur });
+                    cubicCtrl = c2;
+                    break;
+                }
+                case 'Q':
+                case 'T': {
+                    const c = upper === 'Q'
+                        ? { x: ox + number(), y: oy + number() }
+                        : lastQuad ? { x: 2 * cur.x - lastQuad.x, y: 2 * cur.y - lastQuad.y } : cur;
+                    cur = { x: ox + number(), y: oy + number() };
+                    segments.push({ type: 'Q', x1: c.x, y1: c.y, ...cur });
+                    quadCtrl = c;
+                    break;
+                }
+                case 'A': {
+                    const rx = number();
+                    const ry = number();
+                    const angle = number();
+                    const largeArc = flag();
+                    const sweep = flag();
+                    cur = { x: ox + number(), y: oy + number() };
+                    segments.push({ type: 'A', rx, ry, angle, largeArc, sweep, ...cur });
+                    break;
+                }
+                case 'Z':
+                    segments.push({ type: 'Z' });
+                    cur = start;
+                    command = null;
+                    break;
+                default:
+                    break;
+            }
+            lastCubic = cubicCtrl;
+            lastQuad = quadCtrl;
+            skip();
+        }
+    } catch (error) {
+        return { segments, error: error.message };
+    }
+    return { segments, error: null };
+}
+
+/**
+ * SVG endpoint-to-center arc conversion (SVG 1.1 appendix F.6.5), with
+ * out-of-range radii scaled up. Returns null for degenerate arcs.
+ */
+function arcCenter(from, seg) {
+    let rx = Math.abs(seg.rx);
+    let ry = Math.abs(seg.ry);
+    if (rx === 0 || ry === 0 || (from.x === seg.x && from.y === seg.y)) return null;
+    const phi = (seg.angle * Math.PI) / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (from.x - seg.x) / 2;
+    const dy = (from.y - seg.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        const s = Math.sqrt(lambda);
+        rx *= s;
+        ry *= s;
+    }
+    const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (seg.largeArc === seg.sweep) coef = -coef;
+    const cx1 = (coef * rx * y1) / ry;
+    const cy1 = (-coef * ry * x1) / rx;
+    const cx = cos * cx1 - sin * cy1 + (from.x + seg.x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (from.y + seg.y) / 2;
+    const start = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    const end = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx);
+    let sweep = end - start;
+    if (seg.sweep && sweep < 0) sweep += Math.PI * 2;
+    if (!seg.sweep && sweep > 0) sweep -= Math.PI * 2;
+    return { cx, cy, rx, ry, cos, sin, start, sweep };
+}
+
+function ellipsePoint(arc, angle) {
+    const x = arc.rx * Math.cos(angle);
+    const y = arc.ry * Math.sin(angle);
+    return { x: arc.cx + arc.cos * x - arc.sin * y, y: arc.cy + arc.sin * x + arc.cos * y };
+}
+
+function ellipseDerivative(arc, angle) {
+    const x = -arc.rx * Math.sin(angle);
+    const y = arc.ry * Math.cos(angle);
+    return { x: arc.cos * x - arc.sin * y, y: arc.sin * x + arc.cos * y };
+}
+
+function secondDifference(a, b, c) {
+    return Math.hypot(a.x - 2 * b.x + c.x, a.y - 2 * b.y + c.y);
+}
+
+function curveSteps(bound, tol) {
+    return Math.min(MAX_CURVE_STEPS, Math.max(1, Math.ceil(Math.sqrt(bound / tol))));
+}
+
+function quadraticPoint(p0, seg, k) {
+    const mt = 1 - k;
+    return {
+        x: mt * mt * p0.x + 2 * mt * k * seg.x1 + k * k * seg.x,
+        y: mt * mt * p0.y + 2 * mt * k * seg.y1 + k * k * seg.y,
+    };
+}
+
+function cubicPoint(p0, seg, k) {
+    const mt = 1 - k;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * k;
+    const c = 3 * mt * k * k;
+    const d = k * k * k;
+    return {
+        x: a * p0.x + b * seg.x1 + c * seg.x2 + d * seg.x,
+        y: a * p0.y + b * seg.y1 + c * seg.y2 + d * seg.y,
+    };
+}
@@ -0,0 +1,391 @@
+/**
+ * @module Core/Polyline
+ * @description Arc-length measurement, sampling, simplification, resampling and smoothing of open and closed polylines.
+ * Checks: Dependency-free.
+ * @input Points, Distance or fraction, Tolerances
+ * @output Point, Tangent, Points
+ */
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/**
+ * A polyline with its cumulative lengths. For closed polylines `points`
+ * ends with a copy of the first point, so the closing edge is measured too.
+ * @typedef {{points: Vec2[], lengths: number[], length: number, closed: boolean}} MeasuredPolyline
+ */
+
+/**
+ * How a path parameter outside [0,1] maps back onto the path.
+ * @typedef {'clamp'|'wrap'|'pingpong'} PathWrapMode
+ */
+
+/**
+ * Measures a polyline. Zero-length edges are kept; sampling skips them.
+ * @param {Vec2[]} points
+ * @param {boolean} [closed]
+ * @returns {MeasuredPolyline}
+ */
+export function measurePolyline(points, closed = false) {
+    const path = closed && points.length > 1 ? [...points, points[0]] : [...points];
+    const lengths = [0];
+    for (let i = 1; i < path.length; i += 1) {
+        lengths.push(lengths[i - 1] + Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y));
+    }
+    return { points: path, lengths, length: lengths[lengths.length - 1], closed: closed && points.length > 1 };
+}
+
+/**
+ * Point and unit tangent at arc length `distance` (clamped to the path).
+ * @param {MeasuredPolyline} measured
+ * @param {number} distance
+ * @returns {{point: Vec2, tangent: Vec2}}
+ */
+export function sampleAtLength(measured, distance) {
+    const { points, lengths, length } = measured;
+    if (points.length === 0) return { point: { x: 0, y: 0 }, tangent: { x: 1, y: 0 } };
+    if (points.length === 1 || length === 0) return { point: { ...points[0] }, tangent: { x: 1, y: 0 } };
+    const s = Math.max(0, Math.min(length, distance));
+    const i = segmentAt(lengths, s);
+    const a = points[i];
+    const b = points[i + 1];
+    const span = lengths[i + 1] - lengths[i];
+    const k = span > 0 ? (s - lengths[i]) / span : 0;
+    return {
+        point: { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k },
+        tangent: { x: (b.x - a.x) / span, y: (b.y - a.y) / span },
+    };
+}
+
+/**
+ * Direction of travel at `distance`, averaged over `window` units of arc
+ * length on each side. A window of 0 gives the edge direction, which
+ * jumps at every vertex; a small window turns corners gradually instead.
+ * Closed paths average across the seam.
+ * @param {MeasuredPolyline} measured
+ * @param {number} distance
+ * @param {number} [window]
+ * @returns {Vec2}
+ */
+export function smoothedTangent(measured, distance, window = 0) {
+    if (!(window > 0) || measured.length === 0) return sampleAtLength(measured, distance).tangent;
+    const at = (s) => sampleAtLength(measured, measured.closed ? wrapLength(s, measured.length) : s).point;
+    const ahead = at(distance + window);
+    const behind = at(distance - window);
+    const dx = ahead.x - behind.x;
+    const dy = ahead.y - behind.y;
+    const len = Math.hypot(dx, dy);
+    return len > 1e-12 ? { x: dx / len, y: dy / len } : sampleAtLength(measured, distance).tangent;
+}
+
+/**
+ * Maps a path parameter onto [0,1]: `clamp` stops at the ends, `wrap`
+ * starts over (for loops), `pingpong` travels back and forth.
+ * @param {number} u
+ * @param {PathWrapMode} [mode]
+ * @returns {number}
+ */
+export function wrapParameter(u, mode = 'clamp') {
+    if (!Number.isFinite(u)) return 0;
+    switch (mode) {
+        case 'wrap':
+            return u - Math.floor(u);
+        case 'pingpong': {
+            const phase = u - 2 * Math.floor(u / 2);
+            return phase <= 1 ? phase : 2 - phase;
+        }
+        default:
+            return Math.max(0, Math.min(1, u));
+    }
+}
+
+function wrapLength(s, length) {
+    return length > 0 ? s - length * Math.floor(s / length) : 0;
+}
+
+/** Index of the last edge starting at or before `s`, skipping zero-length edges. */
+function segmentAt(lengths, s) {
+    let lo = 0;
+    let hi = lengths.length - 2;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lengths[mid] <= s) lo = mid;
+        else hi = mid - 1;
+    }
+    // At the very end, or on a degenerate edge, step back to one with length.
+    while (lo > 0 && lengths[lo + 1] - lengths[lo] === 0) lo -= 1;
+    while (lo < lengths.length - 2 && lengths[lo + 1] - lengths[lo] === 0) lo += 1;
+    return lo;
+}
+
+/**
+ * Douglas-Peucker simplification: drops points that lie within `tolerance`
+ * of the simplified line. Closed rings are split at the point farthest from
+ * their first point, so the result does not depend on an arbitrary seam.
+ * @param {Vec2[]} points
+ * @param {number} tolerance
+ * @param {boolean} [closed]
+ * @returns {Vec2[]}
+ */
+export function simplifyDouglasPeucker(points, tolerance, closed = false) {
+    if (!(tolerance > 0) || points.length < (closed ? 4 : 3)) return [...points];
+    const n = points.length;
+    const keep = new Uint8Array(n + 1);
+    const path = closed ? [...points, points[0]] : points;
+    let split = path.length - 1;
+    if (closed) {
+        let best = -1;
+        for (let i = 1; i < n; i += 1) {
+            const d = distanceSq(points[i], points[0]);
+            if (d > best) {
+                best = d;
+                split = i;
+            }
+        }
+    }
+    keep[0] = 1;
+    keep[split] = 1;
+    keep[path.length - 1] = 1;
+    const stack = closed ? [[0, split], [split, n]] : [[0, path.length - 1]];
+    const tolSq = tolerance * tolerance;
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        let farthest = -1;
+        let maxSq = tolSq;
+        for (let i = first + 1; i < last; i += 1) {
+            const d = segmentDistanceSq(path[i], path[first], path[last]);
+            if (d > maxSq) {
+                maxSq = d;
+                farthest = i;
+            }
+        }
+        if (farthest !== -1) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    const result = [];
+    const end = closed ? n : path.length;
+    for (let i = 0; i < end; i += 1) {
+        if (keep[i]) result.push(path[i]);
+    }
+    return result;
+}
+
+/**
+ * Visvalingam-Whyatt simplification: repeatedly removes the point whose
+ * triangle with its neighbours has the smallest area, until every remaining
+ * triangle is at least `minArea`. Keeps the overall shape better than
+ * Douglas-Peucker at strong reductions.
+ * @param {Vec2[]} points
+ * @param {number} minArea
+ * @param {boolean} [closed]
+ * @returns {Vec2[]}
+ */
+export function simplifyVisvalingam(points, minArea, closed = false) {
+    const n = points.length;
+    const minCount = closed ? 3 : 2;
+    if (!(minArea > 0) || n <= minCount) return [...points];
+    const prev = new Int32Array(n);
+    const next = new Int32Array(n);
+    const area = new Float64Array(n);
+    const removed = new Uint8Array(n);
+    for (let i = 0; i < n; i += 1) {
+        prev[i] = closed ? (i + n - 1) % n : i - 1;
+        next[i] = closed ? (i + 1) % n : (i + 1 < n ? i + 1 : -1);
+    }
+    const triangle = (i) => (prev[i] < 0 || next[i] < 0
+        ? Infinity
+        : Math.abs(cross3(points[prev[i]], points[i], points[next[i]])) / 2);
+    const heap = createMinHeap((a, b) => a.area - b.area);
+    for (let i = 0; i < n; i += 1) {
+        area[i] = triangle(i);
+        if (Number.isFinite(area[i])) heap.push({ index: i, area: area[i] });
+    }
+    let remaining = n;
+    while (heap.size() && remaining > minCount) {
+        const { index, area: value } = heap.pop();
+        // Stale entry: the point is gone or its area changed since it was queued.
+        if (removed[index] || value !== area[index]) continue;
+        if (value >= minArea) break;
+        removed[index] = 1;
+        remaining -= 1;
+        const p = prev[index];
+        const q = next[index];
+        if (p >= 0) next[p] = q;
+        if (q >= 0) prev[q] = p;
+        for (const neighbour of [p, q]) {
+            if (neighbour < 0) continue;
+            // Never let a neighbour's area drop below the one just removed,
+            // so removal order stays monotonic.
+            area[neighbour] = Math.max(triangle(neighbour), value);
+            if (Number.isFinite(area[neighbour])) heap.push({ index: neighbour, area: area[neighbour] });
+        }
+    }
+    return points.filter((_, i) => !removed[i]);
+}
+
+/**
+ * Evenly spaced points along the polyline by arc length. Pass either
+ * `count` (points in the result) or `spacing` (target distance between
+ * them, rounded so the path divides evenly). Open paths keep both ends;
+ * closed rings do not repeat their first point.
+ * @param {Vec2[]} points
+ * @param {{count?: number, spacing?: number}} options
+ * @param {boolean} [closed]
+ * @returns {Vec2[]}
+ */
+export function resamplePolyline(points, options, closed = false) {
+    if (points.length < 2) return [...points];
+    const measured = measurePolyline(points, closed);
+    const { length } = measured;
+    let count = Math.floor(options.count);
+    if (!(count > 0) && options.spacing > 0) {
+        count = Math.round(length / options.spacing) + (closed ? 0 : 1);
+    }
+    if (!(count > 0)) return [...points];
+    count = Math.min(MAX_RESAMPLE_POINTS, Math.max(closed ? 3 : 2, count));
+    const divisions = closed ? count : count - 1;
+    const result = [];
+    for (let i = 0; i < count; i += 1) {
+        result.push(sampleAtLength(measured, (length * i) / divisions).point);
+    }
+    return result;
+}
+
+/**
+ * Chaikin corner cutting: each pass replaces every edge by points at 1/4
+ * and 3/4 of its length. Converges to a quadratic B-spline; open paths
+ * keep their end points.
+ * @param {Vec2[]} points
+ * @param {number} [iterations]
+ * @param {boolean} [closed]
+ * @returns {Vec2[]}
+ */
+export function smoothChaikin(points, iterations = 1, closed = false) {
+    let current = [...points];
+    const passes = Math.max(0, Math.min(MAX_CHAIKIN_ITERATIONS, Math.floor(iterations)));
+    for (let pass = 0; pass < passes && current.length > 2; pass += 1) {
+        const n = current.length;
+        const edges = closed ? n : n - 1;
+        const next = closed ? [] : [current[0]];
+        for (let i = 0; i < edges; i += 1) {
+            const a = current[i];
+            const b = current[(i + 1) % n];
+            next.push(mix(a, b, 0.25), mix(a, b, 0.75));
+        }
+        if (!closed) next.push(current[n - 1]);
+        current = next;
+    }
+    return current;
+}
+
+/**
+ * Centripetal Catmull-Rom spline through every point, with `segments`
+ * samples per edge. Unlike Chaikin the curve passes through the input
+ * points, and the centripetal form never forms cusps or loops on an edge.
+ * @param {Vec2[]} points
+ * @param {number} [segments]
+ * @param {boolean} [closed]
+ * @returns {Vec2[]}
+ */
+export function smoothCatmullRom(points, segments = 8, closed = false) {
+    const n = points.length;
+    if (n < 3) return [...points];
+    const steps = Math.max(1, Math.min(64, Math.floor(segments)));
+    const at = (i) => {
+        if (closed) return points[((i % n) + n) % n];
+        // Mirror the neighbours of the end points so the ends stay on the curve.
+        if (i < 0) return mix(points[0], points[1], -1);
+        if (i >= n) return mix(points[n - 1], points[n - 2], -1);
+        return points[i];
+    };
+    const edges = closed ? n : n - 1;
+    const result = [];
+    for (let i = 0; i < edges; i += 1) {
+        const p0 = at(i - 1);
+        const p1 = at(i);
+        const p2 = at(i + 1);
+        const p3 = at(i + 2);
+        for (let s = 0; s < steps; s += 1) {
+            result.push(centripetalPoint(p0, p1, p2, p3, s / steps));
+        }
+    }
+    if (!closed) result.push(points[n - 1]);
+    return result;
+}
+
+const MAX_RESAMPLE_POINTS = 100000;
+const MAX_CHAIKIN_ITERATIONS = 10;
+
+/** Barry-Goldman evaluation of the segment p1→p2 with knot spacing |Δp|^0.5. */
+function centripetalPoint(p0, p1, p2, p3, u) {
+    const knot = (a, b) => Math.max(Math.sqrt(Math.hypot(b.x - a.x, b.y - a.y)), 1e-9);
+    const t0 = 0;
+    const t1 = t0 + knot(p0, p1);
+    const t2 = t1 + knot(p1, p2);
+    const t3 = t2 + knot(p2, p3);
+    const t = t1 + (t2 - t1) * u;
+    const lerpAt = (a, b, ta, tb) => mix(a, b, (t - ta) / (tb - ta));
+    const a1 = lerpAt(p0, p1, t0, t1);
+    const a2 = lerpAt(p1, p2, t1, t2);
+    const a3 = lerpAt(p2, p3, t2, t3);
+    const b1 = lerpAt(a1, a2, t0, t2);
+    const b2 = lerpAt(a2, a3, t1, t3);
+    return lerpAt(b1, b2, t1, t2);
+}
+
+function createMinHeap(compare) {
+    const items = [];
+    return {
+        size: () => items.length,
+        push(item) {
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (compare(items[i], items[parent]) >= 0) break;
+                [items[i], items[parent]] = [items[parent], items[i]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const l = 2 * i + 1;
+                    const r = l + 1;
+                    let smallest = i;
+                    if (l < items.length && compare(items[l], items[smallest]) < 0) smallest = l;
+                    if (r < items.length && compare(items[r], items[smallest]) < 0) smallest = r;
+                    if (smallest === i) break;
+                    [items[i], items[smallest]] = [items[smallest], items[i]];
+                    i = smallest;
+                }
+            }
+            return top;
+        },
+    };
+}
+
+function mix(a, b, k) {
+    return { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k };
+}
+
+function cross3(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function distanceSq(a, b) {
+    return (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+}
+
+function segmentDistanceSq(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    const k = lenSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)) : 0;
+    return distanceSq(p, { x: a.x + dx * k, y: a.y + dy * k });
+}
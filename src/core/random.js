@@ -0,0 +1,146 @@
+/**
+ * @module Core/Random
+ * @description Seeded, deterministic random numbers and gradient (Perlin) noise.
+ * Checks: Dependency-free.
+ * @input Seed, Coordinates
+ * @output Number
+ */
+
+/**
+ * Everything here is a pure function of its seed and coordinates, so the
+ * same scene evaluated at the same t always produces the same values
+ * (spec §12.1). Nothing reads Math.random().
+ */
+
+/**
+ * Mixes any number of numbers/strings into one 32-bit unsigned seed.
+ * @param {...(number|string|undefined)} parts
+ * @returns {number}
+ */
+export function hashSeed(...parts) {
+    let h = 0x811c9dc5;
+    for (const part of parts) {
+        const text = part === undefined ? '' : String(part);
+        for (let i = 0; i < text.length; i += 1) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        // Separator so hashSeed(1, 23) differs from hashSeed(12, 3).
+        h ^= 0xff;
+        h = Math.imul(h, 0x01000193);
+    }
+    return fmix32(h);
+}
+
+/**
+ * Returns a mulberry32 generator yielding floats in [0,1).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let r = Math.imul(state ^ (state >>> 15), 1 | state);
+        r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Stateless random value in [0,1) for an integer index.
+ * @param {number} seed
+ * @param {number} [index]
+ * @returns {number}
+ */
+export function randomAt(seed, index = 0) {
+    return fmix32((seed >>> 0) ^ Math.imul(Math.floor(index) | 0, 0x9e3779b1)) / 4294967296;
+}
+
+/**
+ * 1D gradient noise in [-1,1].
+ * @param {number} x
+ * @param {number} [seed]
+ * @returns {number}
+ */
+export function noise1D(x, seed = 0) {
+    const x0 = Math.floor(x);
+    const fx = x - x0;
+    const g0 = gradient1(seed, x0);
+    const g1 = gradient1(seed, x0 + 1);
+    // Peak amplitude of 1D Perlin noise is 0.5; rescale to [-1,1].
+    return 2 * lerpFade(g0 * fx, g1 * (fx - 1), fx);
+}
+
+/**
+ * 2D gradient (Perlin) noise in roughly [-1,1].
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [seed]
+ * @returns {number}
+ */
+export function noise2D(x, y, seed = 0) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const n00 = dotGradient2(seed, x0, y0, fx, fy);
+    const n10 = dotGradient2(seed, x0 + 1, y0, fx - 1, fy);
+    const n01 = dotGradient2(seed, x0, y0 + 1, fx, fy - 1);
+    const n11 = dotGradient2(seed, x0 + 1, y0 + 1, fx - 1, fy - 1);
+    const nx0 = lerpFade(n00, n10, fx);
+    const nx1 = lerpFade(n01, n11, fx);
+    return Math.SQRT2 * lerpFade(nx0, nx1, fy);
+}
+
+/**
+ * Fractal (fBm) noise: `octaves` layers of noise1D/noise2D, each at
+ * `lacunarity` times the frequency and `persistence` times the amplitude
+ * of the previous one. Normalized back to [-1,1].
+ * @param {number} x
+ * @param {number|undefined} y Pass undefined for 1D noise.
+ * @param {{seed?:number, octaves?:number, persistence?:number, lacunarity?:number}} [options]
+ * @returns {number}
+ */
+export function fractalNoise(x, y, options = {}) {
+    const { seed = 0, octaves = 1, persistence = 0.5, lacunarity = 2 } = options;
+    const layers = Math.max(1, Math.min(16, Math.floor(octaves)));
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let norm = 0;
+    for (let i = 0; i < layers; i += 1) {
+        const octaveSeed = hashSeed(seed, i);
+        sum += amplitude * (y === undefined
+            ? noise1D(x * frequency, octaveSeed)
+            : noise2D(x * frequency, y * frequency, octaveSeed));
+        norm += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    return norm === 0 ? 0 : sum / norm;
+}
+
+function gradient1(seed, ix) {
+    return randomAt(seed, ix) * 2 - 1;
+}
+
+function dotGradient2(seed, ix, iy, dx, dy) {
+    const angle = randomAt(hashSeed(seed, ix), iy) * Math.PI * 2;
+    return Math.cos(angle) * dx + Math.sin(angle) * dy;
+}
+
+function lerpFade(a, b, k) {
+    const f = k * k * k * (k * (k * 6 - 15) + 10);
+    return a + (b - a) * f;
+}
+
+function fmix32(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
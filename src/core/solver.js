@@ -0,0 +1,241 @@
+/**
+ * @module Core/Solver
+ * @description Damped least-squares (Levenberg-Marquardt) solver for systems of geometric constraint equations, with degree-of-freedom analysis.
+ * @input Initial values, Residual function
+ * @output Solution, Residuals, Rank
+ * Checks: Dependency-free.
+ */
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/**
+ * @typedef {{
+ *   values: number[],
+ *   residuals: number[],
+ *   error: number,
+ *   iterations: number,
+ *   converged: boolean,
+ *   rank: number,
+ * }} LeastSquaresResult
+ */
+
+/**
+ * Finds values that drive every residual to zero, starting from `initial`.
+ * The step is damped towards zero, so under-constrained systems settle on
+ * a solution close to where they started instead of drifting. The Jacobian
+ * is taken by forward differences. `error` is the largest absolute residual
+ * and `rank` the numeric rank of the Jacobian at the solution: free
+ * variables minus `rank` is the number of degrees of freedom left.
+ * @param {number[]} initial
+ * @param {(values: number[]) => number[]} residuals
+ * @param {{maxIterations?: number, tolerance?: number}} [options]
+ * @returns {LeastSquaresResult}
+ */
+export function solveLeastSquares(initial, residuals, { maxIterations = 100, tolerance = 1e-9 } = {}) {
+    let values = [...initial];
+    let current = residuals(values);
+    let cost = sumSquares(current);
+    let damping = 1e-3;
+    let iterations = 0;
+    while (iterations < maxIterations && maxAbs(current) > tolerance && values.length) {
+        iterations += 1;
+        const jacobian = numericJacobian(residuals, values, current);
+        const gradient = values.map((_, k) => current.reduce((sum, r, i) => sum + jacobian[i][k] * r, 0));
+        const normal = values.map((_, a) => values.map((__, b) => current.reduce((sum, r, i) => sum + jacobian[i][a] * jacobian[i][b], 0)));
+        let improved = false;
+        while (damping < 1e12) {
+            const system = normal.map((row, a) => row.map((v, b) => (a === b ? v + damping * (1 + v) : v)));
+            const step = solveLinear(system, gradient.map((g) => -g));
+            if (!step) {
+                damping *= 10;
+                continue;
+            }
+            const candidate = values.map((v, k) => v + step[k]);
+            const next = residuals(candidate);
+            const nextCost = sumSquares(next);
+            if (Number.isFinite(nextCost) && nextCost < cost) {
+                values = candidate;
+                current = next;
+                cost = nextCost;
+                damping = Math.max(damping / 3, 1e-12);
+                improved = true;
+                break;
+            }
+            damping *= 4;
+        }
+        if (!improved) break;
+    }
+    const error = maxAbs(current);
+    const rank = values.length && current.length ? matrixRank(numericJacobian(residuals, values, current)) : 0;
+    return { values, residuals: current, error, iterations, converged: error <= tolerance, rank };
+}
+
+/**
+ * Numeric rank of a matrix (rows of equal length) by Gaussian elimination
+ * with partial pivoting; pivots below `epsilon` times the largest entry
+ * count as zero.
+ * @param {number[][]} matrix
+ * @param {number} [epsilon]
+ * @returns {number}
+ */
+export function matrixRank(matrix, epsilon = 1e-7) {
+    const rows = matrix.map((row) => [...row]);
+    const cols = rows.length ? rows[0].length : 0;
+    const scale = Math.max(1e-300, ...rows.flat().map(Math.abs));
+    let rank = 0;
+    for (let col = 0; col < cols && rank < rows.length; col += 1) {
+        let pivot = rank;
+        for (let r = rank + 1; r < rows.length; r += 1) {
+            if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+        }
+        if (Math.abs(rows[pivot][col]) <= epsilon * scale) continue;
+        [rows[rank], rows[pivot]] = [rows[pivot], rows[rank]];
+        for (let r = rank + 1; r < rows.length; r += 1) {
+            const factor = rows[r][col] / rows[rank][col];
+            for (let c = col; c < cols; c += 1) rows[r][c] -= factor * rows[rank][c];
+        }
+        rank += 1;
+    }
+    return rank;
+}
+
+/**
+ * A part of an object a constraint is measured on, in world space. Lines
+ * are infinite for distance, tangency and on-curve tests.
+ * @typedef {{kind: 'point', point: Vec2}
+ *   | {kind: 'line', a: Vec2, b: Vec2}
+ *   | {kind: 'circle', center: Vec2, radius: number}
+ *   | {kind: 'curve', points: Vec2[], closed: boolean}} ConstraintFeature
+ */
+
+/**
+ * Residuals of one geometric constraint between features `a` and `b`
+ * (zero when it holds), or null when the constraint does not apply to that
+ * pair of features.
+ *
+ * - `distance`: point to point, or point to line, is `params.distance`.
+ * - `angle`: line b is turned `params.angle` degrees from line a.
+ * - `parallel` / `perpendicular`: between two lines.
+ * - `tangent`: a line or circle touches circle b (from inside with
+ *   `params.internal`).
+ * - `onCurve`: point a lies on b (a point, line, circle or curve).
+ * @param {'distance'|'angle'|'parallel'|'perpendicular'|'tangent'|'onCurve'} type
+ * @param {ConstraintFeature} a
+ * @param {ConstraintFeature} b
+ * @param {{distance?: number, angle?: number, internal?: boolean}} [params]
+ * @returns {number[]|null}
+ */
+export function constraintResiduals(type, a, b, params = {}) {
+    switch (type) {
+        case 'distance': {
+            const d = Number(params.distance) || 0;
+            if (a.kind === 'point' && b.kind === 'point') return [Math.hypot(b.point.x - a.point.x, b.point.y - a.point.y) - d];
+            if (a.kind === 'point' && b.kind === 'line') return [Math.abs(lineDistance(a.point, b)) - d];
+            if (a.kind === 'line' && b.kind === 'point') return [Math.abs(lineDistance(b.point, a)) - d];
+            return null;
+        }
+        case 'angle':
+        case 'parallel':
+        case 'perpendicular': {
+            if (a.kind !== 'line' || b.kind !== 'line') return null;
+            const u = direction(a);
+            const v = direction(b);
+            if (type === 'parallel') return [u.x * v.y - u.y * v.x];
+            if (type === 'perpendicular') return [u.x * v.x + u.y * v.y];
+            const angle = ((Number(params.angle) || 0) * Math.PI) / 180;
+            return [Math.sin(Math.atan2(v.y, v.x) - Math.atan2(u.y, u.x) - angle)];
+        }
+        case 'tangent': {
+            if (b.kind !== 'circle') return null;
+            if (a.kind === 'line') return [Math.abs(lineDistance(b.center, a)) - b.radius];
+            if (a.kind !== 'circle') return null;
+            const gap = Math.hypot(b.center.x - a.center.x, b.center.y - a.center.y);
+            return [gap - (params.internal ? Math.abs(a.radius - b.radius) : a.radius + b.radius)];
+        }
+        case 'onCurve': {
+            if (a.kind !== 'point') return null;
+            const p = a.point;
+            if (b.kind === 'point') return [p.x - b.point.x, p.y - b.point.y];
+            if (b.kind === 'line') return [lineDistance(p, b)];
+            if (b.kind === 'circle') return [Math.hypot(p.x - b.center.x, p.y - b.center.y) - b.radius];
+            return [curveDistance(p, b)];
+        }
+        default:
+            return null;
+    }
+}
+
+function numericJacobian(residuals, values, base) {
+    const jacobian = base.map(() => new Array(values.length).fill(0));
+    values.forEach((v, k) => {
+        const h = 1e-7 * Math.max(1, Math.abs(v));
+        const shifted = [...values];
+        shifted[k] = v + h;
+        const moved = residuals(shifted);
+        for (let i = 0; i < base.length; i += 1) jacobian[i][k] = (moved[i] - base[i]) / h;
+    });
+    return jacobian;
+}
+
+/** Gaussian elimination with partial pivoting; null when singular. */
+function solveLinear(matrix, rhs) {
+    const n = rhs.length;
+    const a = matrix.map((row, i) => [...row, rhs[i]]);
+    for (let col = 0; col < n; col += 1) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r += 1) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-300) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let r = col + 1; r < n; r += 1) {
+            const factor = a[r][col] / a[col][col];
+            for (let c = col; c <= n; c += 1) a[r][c] -= factor * a[col][c];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r -= 1) {
+        let sum = a[r][n];
+        for (let c = r + 1; c < n; c += 1) sum -= a[r][c] * x[c];
+        x[r] = sum / a[r][r];
+    }
+    return x.every(Number.isFinite) ? x : null;
+}
+
+function sumSquares(values) {
+    return values.reduce((sum, v) => sum + v * v, 0);
+}
+
+function maxAbs(values) {
+    return values.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+}
+
+function direction(line) {
+    const dx = line.b.x - line.a.x;
+    const dy = line.b.y - line.a.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: dx / length, y: dy / length };
+}
+
+/** Signed distance from `p` to the infinite line through `line`. */
+function lineDistance(p, line) {
+    const u = direction(line);
+    return (p.x - line.a.x) * u.y - (p.y - line.a.y) * u.x;
+}
+
+function curveDistance(p, curve) {
+    const { points, closed } = curve;
+    if (points.length === 1) return Math.hypot(p.x - points[0].x, p.y - points[0].y);
+    let best = Infinity;
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i += 1) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const s = lengthSq ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        best = Math.min(best, Math.hypot(p.x - a.x - s * dx, p.y - a.y - s * dy));
+    }
+    return best;
+}
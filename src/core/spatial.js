@@ -0,0 +1,172 @@
+/**
+ * @module Core/Spatial
+ * @description Bounding-volume hierarchy over axis-aligned bounds for point, rectangle and nearest-neighbour queries.
+ * @input Items with bounds
+ * @output SpatialIndex
+ * @dependencies ./hittest.js
+ */
+
+import { POINT_SIZE, paintedStrokeWidth } from './hittest.js';
+
+/** @typedef {{x:number, y:number}} Vec2 */
+/** @typedef {{min: Vec2, max: Vec2}} Bounds */
+
+/**
+ * A static index: build it once per evaluation and query it many times.
+ * `nearest` ranks by `distance(item, point)` when given (e.g. distance to
+ * an outline) and by distance to the item's bounds otherwise; either way
+ * whole subtrees are skipped once their bounds are farther than the
+ * current best.
+ * @template T
+ * @typedef {{
+ *   size: number,
+ *   bounds: Bounds|null,
+ *   queryPoint: (point: Vec2, margin?: number) => T[],
+ *   queryRect: (rect: Bounds) => T[],
+ *   nearest: (point: Vec2, options?: {count?: number, maxDistance?: number, distance?: (item: T, point: Vec2) => number}) => Array<{item: T, distance: number}>,
+ * }} SpatialIndex
+ */
+
+const LEAF_SIZE = 8;
+
+/**
+ * Builds a BVH by splitting on the median centre along the longer axis.
+ * Entries without bounds are left out.
+ * @template T
+ * @param {Array<{bounds: Bounds|null, item: T}>} entries
+ * @returns {SpatialIndex<T>}
+ */
+export function createSpatialIndex(entries) {
+    const valid = entries.filter((e) => e.bounds);
+    const root = valid.length ? buildNode(valid) : null;
+    return {
+        size: valid.length,
+        bounds: root ? root.bounds : null,
+        queryPoint: (point, margin = 0) => collect(root, (b) => containsPoint(b, point, margin)),
+        queryRect: (rect) => collect(root, (b) => overlaps(b, rect)),
+        nearest: (point, options = {}) => nearest(root, point, options),
+    };
+}
+
+/**
+ * Evaluated objects indexed by their painted bounds (geometry bounds grown
+ * by half the stroke width), with their draw order as `depth`. Cached per
+ * result array, so picking, culling and snapping on the same render share
+ * one build.
+ * @param {Array<{objectId:string, geometry?: import('./geometry.js').EvaluatedGeometry, style?: object}>} objects
+ * @returns {SpatialIndex<{object: object, depth: number}>}
+ */
+export function getObjectIndex(objects) {
+    let index = objectIndexCache.get(objects);
+    if (!index) {
+        index = createSpatialIndex(objects.map((object, depth) => ({
+            bounds: object.geometry && object.geometry.bounds ? inflate(object.geometry.bounds, paintMargin(object)) : null,
+            item: { object, depth },
+        })));
+        objectIndexCache.set(objects, index);
+    }
+    return index;
+}
+
+/**
+ * Distance from a point to a box (0 inside).
+ * @param {Vec2} point
+ * @param {Bounds} bounds
+ * @returns {number}
+ */
+export function boundsDistance(point, bounds) {
+    const dx = Math.max(bounds.min.x - point.x, 0, point.x - bounds.max.x);
+    const dy = Math.max(bounds.min.y - point.y, 0, point.y - bounds.max.y);
+    return Math.hypot(dx, dy);
+}
+
+const objectIndexCache = new WeakMap();
+
+function paintMargin(object) {
+    const stroke = paintedStrokeWidth(object.style);
+    return Math.max(stroke, object.geometry.type === 'point' ? POINT_SIZE : 0) / 2;
+}
+
+function buildNode(entries) {
+    const bounds = unionBounds(entries.map((e) => e.bounds));
+    if (entries.length <= LEAF_SIZE) return { bounds, entries };
+    const wide = bounds.max.x - bounds.min.x >= bounds.max.y - bounds.min.y;
+    const centre = (e) => (wide ? e.bounds.min.x + e.bounds.max.x : e.bounds.min.y + e.bounds.max.y);
+    const sorted = [...entries].sort((a, b) => centre(a) - centre(b));
+    const mid = sorted.length >> 1;
+    return { bounds, left: buildNode(sorted.slice(0, mid)), right: buildNode(sorted.slice(mid)) };
+}
+
+function collect(root, test) {
+    const out = [];
+    if (!root) return out;
+    const stack = [root];
+    while (stack.length) {
+        const node = stack.pop();
+        if (!test(node.bounds)) continue;
+        if (node.entries) {
+            for (const entry of node.entries) {
+                if (test(entry.bounds)) out.push(entry.item);
+            }
+        } else {
+            stack.push(node.left, node.right);
+        }
+    }
+    return out;
+}
+
+function nearest(root, point, { count = 1, maxDistance = Infinity, distance } = {}) {
+    const best = [];
+    const limit = () => (best.length < count ? maxDistance : best[best.length - 1].distance);
+    const visit = (node) => {
+        if (boundsDistance(point, node.bounds) > limit()) return;
+        if (node.entries) {
+            for (const entry of node.entries) {
+                if (boundsDistance(point, entry.bounds) > limit()) continue;
+                const d = distance ? distance(entry.item, point) : boundsDistance(point, entry.bounds);
+                if (d > limit()) continue;
+                best.push({ item: entry.item, distance: d });
+                best.sort((a, b) => a.distance - b.distance);
+                if (best.length > count) best.pop();
+            }
+            return;
+        }
+        // Closer child first so the bound tightens early.
+        const [first, second] = boundsDistance(point, node.left.bounds) <= boundsDistance(point, node.right.bounds)
+            ? [node.left, node.right]
+            : [node.right, node.left];
+        visit(first);
+        visit(second);
+    };
+    if (root && count > 0) visit(root);
+    return best;
+}
+
+function unionBounds(list) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const b of list) {
+        if (b.min.x < minX) minX = b.min.x;
+        if (b.min.y < minY) minY = b.min.y;
+        if (b.max.x > maxX) maxX = b.max.x;
+        if (b.max.y > maxY) maxY = b.max.y;
+    }
+    return { min: { x: minX, y: minY }, max: { x: maxX, y: maxY } };
+}
+
+function inflate(bounds, margin) {
+    return {
+        min: { x: bounds.min.x - margin, y: bounds.min.y - margin },
+        max: { x: bounds.max.x + margin, y: bounds.max.y + margin },
+    };
+}
+
+function containsPoint(b, p, margin) {
+    return p.x >= b.min.x - margin && p.x <= b.max.x + margin && p.y >= b.min.y - margin && p.y <= b.max.y + margin;
+}
+
+function overlaps(a, b) {
+    return a.min.x <= b.max.x && a.max.x >= b.min.x && a.min.y <= b.max.y && a.max.y >= b.min.y;
+}
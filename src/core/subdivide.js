@@ -0,0 +1,445 @@
+/**
+ * @module Core/Subdivide
+ * @description Splits a filled region into pieces: ear-clipped or Delaunay triangles, Voronoi cells, quad/BSP splits and grid cells.
+ * @input Region, Method options
+ * @output Pieces (outer ring followed by its holes)
+ * @dependencies ./clipping.js, ./math.js, ./random.js
+ */
+
+import { booleanPolygons, ringArea, windingNumber } from './clipping.js';
+import { computeBounds } from './math.js';
+import { createRandom } from './random.js';
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/** @typedef {'earclip'|'delaunay'|'voronoi'|'quad'|'bsp'|'grid'} SubdivideMethod */
+
+/**
+ * `count` is the number of seeded sites (voronoi) or extra interior points
+ * (delaunay); `depth` the recursion depth of quad/bsp; `jitter` in [0,1]
+ * moves split positions away from the middle; `relax` runs Lloyd
+ * iterations on Voronoi sites for more even cells. Grid cells are
+ * `cellSize` wide (number or {x,y}) or `rows` × `cols` over the bounds.
+ * @typedef {{method?: SubdivideMethod, seed?: number, count?: number, depth?: number, jitter?: number, relax?: number, cellSize?: number|Vec2, rows?: number, cols?: number}} SubdivideOptions
+ */
+
+/**
+ * All methods except `earclip` lay convex cells over the region's bounds
+ * and intersect each with the region, so concave outlines and holes cut
+ * pieces cleanly. Ear clipping triangulates the region itself.
+ */
+
+const MAX_SITES = 2000;
+const MAX_DEPTH = 10;
+
+/**
+ * @param {import('./clipping.js').Region} region
+ * @param {SubdivideOptions} [options]
+ * @returns {Vec2[][][]} One entry per piece: outer ring (positive area) then its holes.
+ */
+export function subdivideRegion(region, options = {}) {
+    const rings = booleanPolygons([region], 'union');
+    if (rings.length === 0) return [];
+    const method = options.method || 'earclip';
+    if (method === 'earclip') {
+        return groupRings(rings).flatMap((piece) => triangulatePolygon(piece)).map((tri) => [tri]);
+    }
+    const random = createRandom(options.seed ?? 0);
+    const bounds = ringsBounds(rings);
+    let cells;
+    switch (method) {
+        case 'delaunay': {
+            const points = [...rings.flat(), ...sampleInside(rings, bounds, options.count ?? 0, random)];
+            cells = delaunayTriangles(points);
+            break;
+        }
+        case 'voronoi': {
+            let sites = sampleInside(rings, bounds, options.count ?? 16, random);
+            const box = boundsRing(bounds);
+            cells = voronoiCells(sites, box);
+            for (let i = 0; i < Math.min(20, Math.floor(options.relax ?? 0)); i += 1) {
+                sites = cells.map((cell, k) => (cell.length > 2 ? ringCentroid(cell) : sites[k]));
+                cells = voronoiCells(sites, box);
+            }
+            break;
+        }
+        case 'quad':
+            cells = quadCells(bounds, clampDepth(options.depth ?? 2), options.jitter ?? 0, random);
+            break;
+        case 'bsp':
+            cells = bspCells(boundsRing(bounds), clampDepth(options.depth ?? 3), options.jitter ?? 0.5, random);
+            break;
+        case 'grid':
+            cells = gridCells(bounds, options);
+            break;
+        default:
+            throw new Error(`Unknown subdivide method ${method}`);
+    }
+    const pieces = [];
+    for (const cell of cells) {
+        if (cell.length < 3) continue;
+        pieces.push(...groupRings(booleanPolygons([{ rings: [cell] }, { rings }], 'intersect')));
+    }
+    return pieces;
+}
+
+/**
+ * Ear-clipping triangulation of a polygon with holes. Holes are first
+ * bridged into the outline through a mutually visible vertex pair.
+ * @param {Vec2[][]} rings Outer ring first (any orientation), then holes.
+ * @returns {Vec2[][]} Triangles with positive area.
+ */
+export function triangulatePolygon(rings) {
+    const [outer, ...holes] = rings;
+    if (!outer || outer.length < 3) return [];
+    let polygon = orient(outer, 1);
+    const sortedHoles = holes
+        .filter((h) => h.length >= 3)
+        .map((h) => orient(h, -1))
+        .sort((a, b) => maxX(b) - maxX(a));
+    for (let i = 0; i < sortedHoles.length; i += 1) {
+        polygon = bridgeHole(polygon, sortedHoles[i], sortedHoles.slice(i + 1));
+    }
+    return clipEars(polygon);
+}
+
+/**
+ * Bowyer-Watson Delaunay triangulation.
+ * @param {Vec2[]} points
+ * @returns {Vec2[][]} Triangles with positive area.
+ */
+export function delaunayTriangles(points) {
+    const unique = dedupePoints(points);
+    if (unique.length < 3) return [];
+    const b = ringsBounds([unique]);
+    const size = Math.max(b.max.x - b.min.x, b.max.y - b.min.y) || 1;
+    const cx = (b.min.x + b.max.x) / 2;
+    const cy = (b.min.y + b.max.y) / 2;
+    // A generous super-triangle, so hull edges with collinear points survive.
+    const verts = [...unique, { x: cx - 100 * size, y: cy - size }, { x: cx + 100 * size, y: cy - size }, { x: cx, y: cy + 100 * size }];
+    const n = unique.length;
+    let triangles = [makeTriangle(verts, n, n + 1, n + 2)];
+    for (let p = 0; p < n; p += 1) {
+        const point = verts[p];
+        const bad = [];
+        const good = [];
+        for (const tri of triangles) {
+            ((point.x - tri.cx) ** 2 + (point.y - tri.cy) ** 2 < tri.r2 ? bad : good).push(tri);
+        }
+        // The hole left by the bad triangles is bounded by their unshared edges.
+        const edgeCount = new Map();
+        for (const tri of bad) {
+            for (const [u, v] of [[tri.a, tri.b], [tri.b, tri.c], [tri.c, tri.a]]) {
+                const key = u < v ? `${u},${v}` : `${v},${u}`;
+                edgeCount.set(key, (edgeCount.get(key) || 0) + 1);
+            }
+        }
+        for (const tri of bad) {
+            for (const [u, v] of [[tri.a, tri.b], [tri.b, tri.c], [tri.c, tri.a]]) {
+                const key = u < v ? `${u},${v}` : `${v},${u}`;
+                if (edgeCount.get(key) === 1) good.push(makeTriangle(verts, u, v, p));
+            }
+        }
+        triangles = good;
+    }
+    return triangles
+        .filter((tri) => tri.a < n && tri.b < n && tri.c < n)
+        .map((tri) => orient([verts[tri.a], verts[tri.b], verts[tri.c]], 1))
+        .filter((tri) => ringArea(tri) > 1e-12);
+}
+
+/**
+ * Voronoi cells of `sites`, each clipped to the convex ring `box`.
+ * Cells come out in site order; a duplicate site gets an empty cell.
+ * @param {Vec2[]} sites
+ * @param {Vec2[]} box
+ * @returns {Vec2[][]}
+ */
+export function voronoiCells(sites, box) {
+    return sites.map((site, i) => {
+        let cell = orient(box, 1);
+        for (let j = 0; j < sites.length && cell.length > 2; j += 1) {
+            if (j === i) continue;
+            const other = sites[j];
+            if (other.x === site.x && other.y === site.y) {
+                if (j < i) return [];
+                continue;
+            }
+            // Keep the half-plane closer to `site`.
+            const mid = { x: (site.x + other.x) / 2, y: (site.y + other.y) / 2 };
+            cell = clipHalfPlane(cell, mid, { x: other.x - site.x, y: other.y - site.y });
+        }
+        return cell;
+    });
+}
+
+function clampDepth(depth) {
+    return Math.max(0, Math.min(MAX_DEPTH, Math.floor(depth)));
+}
+
+function quadCells(bounds, depth, jitter, random) {
+    let cells = [bounds];
+    for (let level = 0; level < depth; level += 1) {
+        const next = [];
+        for (const { min, max } of cells) {
+            const x = min.x + (max.x - min.x) * splitRatio(jitter, random);
+            const y = min.y + (max.y - min.y) * splitRatio(jitter, random);
+            next.push(
+                { min, max: { x, y } },
+                { min: { x, y: min.y }, max: { x: max.x, y } },
+                { min: { x: min.x, y }, max: { x, y: max.y } },
+                { min: { x, y }, max },
+            );
+        }
+        cells = next;
+    }
+    return cells.map(boundsRing);
+}
+
+/** Cuts each convex cell across its longest extent, `jitter` tilting and shifting the cut. */
+function bspCells(ring, depth, jitter, random) {
+    let cells = [ring];
+    for (let level = 0; level < depth; level += 1) {
+        const next = [];
+        for (const cell of cells) {
+            const b = ringsBounds([cell]);
+            const wide = b.max.x - b.min.x >= b.max.y - b.min.y;
+            const angle = (wide ? 0 : Math.PI / 2) + (random() - 0.5) * jitter * (Math.PI / 2);
+            const normal = { x: Math.cos(angle), y: Math.sin(angle) };
+            const k = splitRatio(jitter, random);
+            const point = { x: b.min.x + (b.max.x - b.min.x) * k, y: b.min.y + (b.max.y - b.min.y) * k };
+            const a = clipHalfPlane(cell, point, normal);
+            const c = clipHalfPlane(cell, point, { x: -normal.x, y: -normal.y });
+            if (a.length > 2) next.push(a);
+            if (c.length > 2) next.push(c);
+        }
+        cells = next;
+    }
+    return cells;
+}
+
+function gridCells(bounds, options) {
+    const width = bounds.max.x - bounds.min.x;
+    const height = bounds.max.y - bounds.min.y;
+    const size = typeof options.cellSize === 'number' ? { x: options.cellSize, y: options.cellSize } : options.cellSize;
+    let cols = Math.floor(options.cols) || 0;
+    let rows = Math.floor(options.rows) || 0;
+    if (size && size.x > 0 && size.y > 0) {
+        cols = Math.ceil(width / size.x);
+        rows = Math.ceil(height / size.y);
+    }
+    cols = Math.max(1, Math.min(MAX_SITES, cols || 4));
+    rows = Math.max(1, Math.min(MAX_SITES, rows || 4));
+    const stepX = size && size.x > 0 ? size.x : width / cols;
+    const stepY = size && size.y > 0 ? size.y : height / rows;
+    const cells = [];
+    for (let j = 0; j < rows && cells.length < MAX_SITES; j += 1) {
+        for (let i = 0; i < cols; i += 1) {
+            const min = { x: bounds.min.x + i * stepX, y: bounds.min.y + j * stepY };
+            cells.push(boundsRing({ min, max: { x: min.x + stepX, y: min.y + stepY } }));
+        }
+    }
+    return cells;
+}
+
+/** Split position in (0,1): the middle, moved up to ±jitter/2 at random. */
+function splitRatio(jitter, random) {
+    const j = Math.max(0, Math.min(1, jitter));
+    return 0.5 + (random() - 0.5) * j * 0.9;
+}
+
+function sampleInside(rings, bounds, count, random) {
+    const wanted = Math.max(0, Math.min(MAX_SITES, Math.floor(count)));
+    const points = [];
+    const width = bounds.max.x - bounds.min.x;
+    const height = bounds.max.y - bounds.min.y;
+    for (let attempt = 0; points.length < wanted && attempt < wanted * 100; attempt += 1) {
+        const p = { x: bounds.min.x + random() * width, y: bounds.min.y + random() * height };
+        if (windingNumber(p, rings) !== 0) points.push(p);
+    }
+    return points;
+}
+
+/** Sutherland-Hodgman clip of a convex ring to the side of `point` that `normal` points away from. */
+function clipHalfPlane(ring, point, normal) {
+    const side = (p) => (p.x - point.x) * normal.x + (p.y - point.y) * normal.y;
+    const out = [];
+    for (let i = 0; i < ring.length; i += 1) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        const sa = side(a);
+        const sb = side(b);
+        if (sa <= 0) out.push(a);
+        if ((sa < 0 && sb > 0) || (sa > 0 && sb < 0)) {
+            const k = sa / (sa - sb);
+            out.push({ x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k });
+        }
+    }
+    return out;
+}
+
+/** Pairs every outer ring (positive area) with the holes directly inside it. */
+function groupRings(rings) {
+    const outers = rings.filter((r) => ringArea(r) > 0).map((ring) => ({ ring, area: ringArea(ring), holes: [] }));
+    for (const hole of rings.filter((r) => ringArea(r) < 0)) {
+        let best = null;
+        for (const outer of outers) {
+            if (windingNumber(hole[0], [outer.ring]) !== 0 && (!best || outer.area < best.area)) best = outer;
+        }
+        if (best) best.holes.push(hole);
+    }
+    return outers.map((o) => [o.ring, ...o.holes]);
+}
+
+function bridgeHole(polygon, hole, laterHoles) {
+    const m = hole.reduce((best, p, i) => (p.x > hole[best].x ? i : best), 0);
+    const from = hole[m];
+    const blockers = [polygon, hole, ...laterHoles];
+    let bestIndex = -1;
+    let bestDist = Infinity;
+    for (let i = 0; i < polygon.length; i += 1) {
+        const v = polygon[i];
+        if (v.x < from.x) continue;
+        const d = (v.x - from.x) ** 2 + (v.y - from.y) ** 2;
+        if (d < bestDist && segmentIsClear(from, v, blockers)) {
+            bestDist = d;
+            bestIndex = i;
+        }
+    }
+    if (bestIndex === -1) {
+        // No vertex to the right is visible (degenerate input); take the nearest.
+        for (let i = 0; i < polygon.length; i += 1) {
+            const d = (polygon[i].x - from.x) ** 2 + (polygon[i].y - from.y) ** 2;
+            if (d < bestDist) {
+                bestDist = d;
+                bestIndex = i;
+            }
+        }
+    }
+    const rotated = [...hole.slice(m), ...hole.slice(0, m)];
+    return [
+        ...polygon.slice(0, bestIndex + 1),
+        ...rotated,
+        rotated[0],
+        polygon[bestIndex],
+        ...polygon.slice(bestIndex + 1),
+    ];
+}
+
+function segmentIsClear(a, b, rings) {
+    for (const ring of rings) {
+        for (let i = 0; i < ring.length; i += 1) {
+            const p = ring[i];
+            const q = ring[(i + 1) % ring.length];
+            if (samePoint(p, a) || samePoint(p, b) || samePoint(q, a) || samePoint(q, b)) continue;
+            if (segmentsCross(a, b, p, q)) return false;
+        }
+    }
+    return true;
+}
+
+function clipEars(input) {
+    const points = [...input];
+    const triangles = [];
+    let guard = points.length * points.length + 10;
+    while (points.length > 3 && guard > 0) {
+        guard -= 1;
+        let clipped = false;
+        for (let i = 0; i < points.length; i += 1) {
+            const a = points[(i + points.length - 1) % points.length];
+            const b = points[i];
+            const c = points[(i + 1) % points.length];
+            const turn = cross3(a, b, c);
+            if (Math.abs(turn) < 1e-12 && !samePoint(a, c)) {
+                // Collinear vertex: drop it without emitting a sliver.
+                points.splice(i, 1);
+                clipped = true;
+                break;
+            }
+            if (turn <= 0 || !isEar(points, a, b, c)) continue;
+            triangles.push([a, b, c]);
+            points.splice(i, 1);
+            clipped = true;
+            break;
+        }
+        if (!clipped) break;
+    }
+    if (points.length === 3 && cross3(points[0], points[1], points[2]) > 1e-12) triangles.push(points);
+    return triangles;
+}
+
+function isEar(points, a, b, c) {
+    for (const p of points) {
+        if (samePoint(p, a) || samePoint(p, b) || samePoint(p, c)) continue;
+        if (cross3(a, b, p) >= 0 && cross3(b, c, p) >= 0 && cross3(c, a, p) >= 0) return false;
+    }
+    return true;
+}
+
+function makeTriangle(verts, a, b, c) {
+    const A = verts[a];
+    const B = verts[b];
+    const C = verts[c];
+    const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+    const a2 = A.x * A.x + A.y * A.y;
+    const b2 = B.x * B.x + B.y * B.y;
+    const c2 = C.x * C.x + C.y * C.y;
+    const cx = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+    const cy = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+    return { a, b, c, cx, cy, r2: (A.x - cx) ** 2 + (A.y - cy) ** 2 };
+}
+
+function dedupePoints(points) {
+    const seen = new Set();
+    return points.filter((p) => {
+        const key = `${p.x},${p.y}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function ringCentroid(ring) {
+    const area = ringArea(ring);
+    if (Math.abs(area) < 1e-12) return ring[0];
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+        const cross = (ring[j].x * ring[i].y) - (ring[i].x * ring[j].y);
+        cx += (ring[j].x + ring[i].x) * cross;
+        cy += (ring[j].y + ring[i].y) * cross;
+    }
+    return { x: cx / (6 * area), y: cy / (6 * area) };
+}
+
+function ringsBounds(rings) {
+    return computeBounds(rings.flat());
+}
+
+function boundsRing({ min, max }) {
+    return [{ x: min.x, y: min.y }, { x: max.x, y: min.y }, { x: max.x, y: max.y }, { x: min.x, y: max.y }];
+}
+
+function orient(ring, sign) {
+    return Math.sign(ringArea(ring)) === sign ? ring : [...ring].reverse();
+}
+
+function maxX(ring) {
+    return ring.reduce((m, p) => Math.max(m, p.x), -Infinity);
+}
+
+function samePoint(a, b) {
+    return a.x === b.x && a.y === b.y;
+}
+
+function segmentsCross(a, b, c, d) {
+    const d1 = cross3(a, b, c);
+    const d2 = cross3(a, b, d);
+    const d3 = cross3(c, d, a);
+    const d4 = cross3(c, d, b);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function cross3(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
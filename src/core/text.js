@@ -0,0 +1,264 @@
+/**
+ * @module Core/Text
+ * @description Text layout: line breaking, alignment, letter spacing, vertical writing, and text on a circle or along a path.
+ * @input Font, Text, Size, LayoutSpec
+ * @output TextLayout (placed glyphs and metrics)
+ * @dependencies ./polyline.js
+ */
+
+import { measurePolyline, sampleAtLength } from './polyline.js';
+
+/** @typedef {{x:number, y:number}} Vec2 */
+
+/**
+ * How a text run is set. Lengths are in output units; `lineHeight` is a
+ * multiple of the font size (default: the font's own ascender + descender +
+ * line gap). With `maxWidth`, lines wrap at word boundaries (or at any
+ * character with `wrap: 'char'`; `'none'` only breaks at `\n`) and are
+ * aligned inside that width; otherwise inside the widest line. Vertical
+ * text runs top to bottom in columns that advance right to left, and
+ * `maxWidth` / `align` then apply to column height.
+ *
+ * `circle` sets the text on a circle around the object origin, starting at
+ * `startAngle` degrees (-90 = top), clockwise with glyph tops outward, or
+ * counter-clockwise with tops inward (`clockwise: false`, for text along the
+ * bottom). `path` sets it along another object's outline (an object id) or
+ * an inline `d` / `segments` path in local space. On an open curve, `align`
+ * places the line at its start, middle or end; on a closed one it is
+ * relative to the start point. `justify` spreads the line over the whole
+ * curve, and `startOffset` shifts it along the curve.
+ * @typedef {{
+ *   direction?: 'horizontal'|'vertical',
+ *   maxWidth?: number,
+ *   wrap?: 'word'|'char'|'none',
+ *   lineHeight?: number,
+ *   letterSpacing?: number,
+ *   align?: 'left'|'center'|'right'|'justify',
+ *   circle?: {radius: number, startAngle?: number, clockwise?: boolean},
+ *   path?: string|{d?: string, segments?: Array<import('./path.js').PathSegment>},
+ *   startOffset?: number,
+ * }} LayoutSpec
+ */
+
+/**
+ * A glyph placed with its origin on the baseline (output units, y down),
+ * turned by `rotation` radians about that origin.
+ * @typedef {{char: string, glyphIndex: number, x: number, y: number, advance: number, rotation?: number}} PlacedGlyph
+ */
+
+/**
+ * `ascent` / `descent` are the font's extents above and below a baseline;
+ * `width` / `height` are the block size in the writing direction (before
+ * any curve). The first baseline passes through the origin.
+ * @typedef {{ascent: number, descent: number, lineHeight: number, lineCount: number, width: number, height: number}} TextMetrics
+ */
+
+/**
+ * @typedef {{glyphs: PlacedGlyph[], lines: Array<{text: string, width: number}>, metrics: TextMetrics}} TextLayout
+ */
+
+/**
+ * A baseline curve: point and unit tangent at arc length `s`.
+ * @typedef {{length: number, closed: boolean, sample: (s: number) => {point: Vec2, tangent: Vec2}}} BaselineCurve
+ */
+
+/**
+ * Lays out `text` in `font` at `size`. Pass `curve` (see `circleCurve`,
+ * `polylineCurve`) to set the lines along it; `layout.circle` is turned into
+ * one automatically.
+ * @param {import('./font.js').Font} font
+ * @param {string} text
+ * @param {number} size
+ * @param {LayoutSpec} [layout]
+ * @param {BaselineCurve|null} [curve]
+ * @returns {TextLayout}
+ */
+export function layoutText(font, text, size, layout = {}, curve = null) {
+    const scale = size / font.unitsPerEm;
+    const vertical = layout.direction === 'vertical';
+    const letterSpacing = Number(layout.letterSpacing) || 0;
+    const lineHeight = layout.lineHeight > 0
+        ? layout.lineHeight * size
+        : (font.ascender - font.descender + font.lineGap) * scale;
+    const ascent = font.ascender * scale;
+    const descent = -font.descender * scale;
+
+    const items = [];
+    for (const char of String(text)) {
+        if (char === '\n') {
+            items.push({ char, newline: true });
+            continue;
+        }
+        const glyphIndex = font.glyphIndex(char.codePointAt(0));
+        const width = font.glyph(glyphIndex).advanceWidth * scale;
+        items.push({ char, glyphIndex, width, advance: vertical ? size : width, space: /\s/.test(char) });
+    }
+    // Kerning applies between neighbours on the same horizontal line.
+    const kern = (a, b) => (vertical ? 0 : font.kerning(a.glyphIndex, b.glyphIndex) * scale);
+
+    const maxWidth = layout.maxWidth > 0 && !curve && !layout.circle ? layout.maxWidth : Infinity;
+    const lines = breakLines(items, maxWidth, layout.wrap || 'word', letterSpacing, kern);
+    const blockWidth = Number.isFinite(maxWidth) ? maxWidth : Math.max(0, ...lines.map((l) => l.width));
+    const align = layout.align || 'left';
+
+    const baseline = curve || (layout.circle ? circleCurve(layout.circle) : null);
+    const glyphs = [];
+    lines.forEach((line, index) => {
+        const span = baseline ? baseline.length : blockWidth;
+        const justify = align === 'justify' && (baseline ? true : !line.hard) && line.glyphs.length > 1;
+        // On closed curves the start point is the anchor: centred lines sit
+        // around it and right-aligned ones end there.
+        const room = baseline && baseline.closed ? 0 : span;
+        let pos = 0;
+        if (align === 'center') pos = (room - line.width) / 2;
+        else if (align === 'right') pos = room - line.width;
+        pos += baseline ? Number(layout.startOffset) || 0 : 0;
+
+        // Justified lines share the slack between word gaps, or between
+        // glyphs when the line has no spaces.
+        const gaps = line.glyphs.slice(0, -1).filter((g) => g.space).length;
+        const slack = justify ? Math.max(0, span - line.width) : 0;
+        const perSpace = justify && gaps ? slack / gaps : 0;
+        const perGlyph = justify && !gaps ? slack / (line.glyphs.length - (baseline && baseline.closed ? 0 : 1)) : 0;
+
+        line.glyphs.forEach((item, i) => {
+            if (i > 0) pos += kern(line.glyphs[i - 1], item);
+            const placed = { char: item.char, glyphIndex: item.glyphIndex, advance: item.width };
+            const offset = index * lineHeight;
+            if (baseline) {
+                if (placeGlyphOnCurve(placed, baseline, pos, item.advance, offset)) glyphs.push(placed);
+            } else if (vertical) {
+                placed.x = -offset - item.width / 2;
+                placed.y = pos + (size * font.ascender) / (font.ascender - font.descender);
+                glyphs.push(placed);
+            } else {
+                placed.x = pos;
+                placed.y = offset;
+                glyphs.push(placed);
+            }
+            pos += item.advance + letterSpacing + perGlyph + (item.space ? perSpace : 0);
+        });
+    });
+
+    const extent = Math.max(0, lines.length - 1) * lineHeight;
+    return {
+        glyphs,
+        lines: lines.map((l) => ({ text: l.glyphs.map((g) => g.char).join(''), width: l.width })),
+        metrics: {
+            ascent,
+            descent,
+            lineHeight,
+            lineCount: lines.length,
+            width: vertical ? extent + size : blockWidth,
+            height: vertical ? blockWidth : extent + ascent + descent,
+        },
+    };
+}
+
+/**
+ * A circle of `radius` around the origin as a baseline, starting at
+ * `startAngle` degrees; clockwise on screen unless `clockwise` is false.
+ * @param {{radius: number, startAngle?: number, clockwise?: boolean}} circle
+ * @returns {BaselineCurve}
+ */
+export function circleCurve({ radius, startAngle = -90, clockwise = true }) {
+    const r = Math.max(Math.abs(Number(radius) || 0), 1e-9);
+    const dir = clockwise === false ? -1 : 1;
+    const start = (startAngle * Math.PI) / 180;
+    return {
+        length: 2 * Math.PI * r,
+        closed: true,
+        sample: (s) => {
+            const angle = start + (dir * s) / r;
+            return {
+                point: { x: r * Math.cos(angle), y: r * Math.sin(angle) },
+                tangent: { x: -dir * Math.sin(angle), y: dir * Math.cos(angle) },
+            };
+        },
+    };
+}
+
+/**
+ * A polyline (e.g. a flattened path outline) as a baseline.
+ * @param {Vec2[]} points
+ * @param {boolean} [closed]
+ * @returns {BaselineCurve}
+ */
+export function polylineCurve(points, closed = false) {
+    const measured = measurePolyline(points, closed);
+    return { length: measured.length, closed: measured.closed, sample: (s) => sampleAtLength(measured, s) };
+}
+
+/**
+ * Greedy line breaking. A line breaks before the item that would overflow
+ * `maxWidth`: at the last space in word mode, or right there for `char`
+ * mode and words longer than a line. Spaces at a soft break are dropped.
+ */
+function breakLines(items, maxWidth, wrap, letterSpacing, kern) {
+    const lines = [];
+    let current = [];
+    let lastSpace = -1;
+    const lineWidth = (glyphs) => {
+        let end = glyphs.length;
+        while (end > 0 && glyphs[end - 1].space) end -= 1;
+        let width = 0;
+        for (let i = 0; i < end; i += 1) {
+            if (i > 0) width += kern(glyphs[i - 1], glyphs[i]) + letterSpacing;
+            width += glyphs[i].advance;
+        }
+        return width;
+    };
+    const push = (glyphs, hard) => {
+        let end = glyphs.length;
+        if (!hard) while (end > 0 && glyphs[end - 1].space) end -= 1;
+        const kept = glyphs.slice(0, end);
+        lines.push({ glyphs: kept, width: lineWidth(kept), hard });
+    };
+
+    for (const item of items) {
+        if (item.newline) {
+            push(current, true);
+            current = [];
+            lastSpace = -1;
+            continue;
+        }
+        if (item.space) {
+            if (current.length || lines.length === 0 || lines[lines.length - 1].hard) current.push(item);
+            lastSpace = current.length - 1;
+            continue;
+        }
+        if (wrap !== 'none' && current.length && lineWidth([...current, item]) > maxWidth) {
+            if (wrap === 'word' && lastSpace >= 0) {
+                const rest = current.slice(lastSpace + 1);
+                push(current.slice(0, lastSpace + 1), false);
+                current = rest;
+            } else {
+                push(current, false);
+                current = [];
+            }
+            lastSpace = -1;
+        }
+        current.push(item);
+    }
+    push(current, true);
+    return lines;
+}
+
+/**
+ * Puts a glyph whose advance starts at arc length `s` on the curve, centred
+ * on the tangent at its middle and shifted `offset` below the baseline.
+ * Glyphs past either end of an open curve are dropped.
+ */
+function placeGlyphOnCurve(placed, curve, s, advance, offset) {
+    let mid = s + advance / 2;
+    if (curve.closed && curve.length > 0) mid = ((mid % curve.length) + curve.length) % curve.length;
+    else if (mid < 0 || mid > curve.length) return false;
+    const { point, tangent } = curve.sample(mid);
+    const rotation = Math.atan2(tangent.y, tangent.x);
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    placed.x = point.x - cos * (placed.advance / 2) - sin * offset;
+    placed.y = point.y - sin * (placed.advance / 2) + cos * offset;
+    placed.rotation = rotation;
+    return true;
+}
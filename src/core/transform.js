@@ -18,35 +18,46 @@ import { evaluateParam } from './params.js';
  * The order follows translate → rotate → scale → shear → matrix.
  * @param {TransformSpec|undefined} spec
  * @param {number} t
+ * @param {import('./params.js').ParamContext} [ctx]
  * @returns {import('./math.js').Mat3}
  */
-export function evaluateTransform(spec, t) {
+export function evaluateTransform(spec, t, ctx) {
     if (!spec) return mat3Identity();
     const operations = [];
     if (spec.translate) {
-        const tr = evaluateParam(spec.translate, t);
+        const tr = asVec2(evaluateParam(spec.translate, t, ctx));
         operations.push(mat3Translate(tr.x, tr.y));
     }
     if (spec.rotate) {
-        const angle = evaluateParam(spec.rotate, t);
+        const angle = evaluateParam(spec.rotate, t, ctx);
         operations.push(mat3Rotate(angle));
     }
     if (spec.scale) {
-        const scaleParam = evaluateParam(spec.scale, t);
+        const scaleParam = evaluateParam(spec.scale, t, ctx);
         const sx = typeof scaleParam === 'number' ? scaleParam : scaleParam.x;
         const sy = typeof scaleParam === 'number' ? scaleParam : scaleParam.y;
         operations.push(mat3Scale(sx, sy));
     }
     if (spec.shear) {
-        const sh = evaluateParam(spec.shear, t);
+        const sh = asVec2(evaluateParam(spec.shear, t, ctx));
         operations.push(mat3Shear(sh.x, sh.y));
     }
     if (spec.matrix) {
-        operations.push(evaluateParam(spec.matrix, t));
+        const matrix = evaluateParam(spec.matrix, t, ctx);
+        if (Array.isArray(matrix)) operations.push(matrix);
     }
     return operations.reduce(mat3Multiply, mat3Identity());
 }
 
+/**
+ * Vec2 slots accept a scalar (e.g. the 0 fallback of a failed expression).
+ * @param {{x:number,y:number}|number} value
+ * @returns {{x:number,y:number}}
+ */
+function asVec2(value) {
+    return typeof value === 'number' ? { x: value, y: value } : value;
+}
+
 /**
  * Applies a transform to all points.
  * @param {import('./math.js').Mat3} matrix
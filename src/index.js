@@ -1,8 +1,25 @@
 export * from './core/geometry.js';
+export * from './core/path.js';
+export * from './core/clipping.js';
+export * from './core/offset.js';
+export * from './core/polyline.js';
+export * from './core/measure.js';
+export * from './core/subdivide.js';
+export * from './core/hittest.js';
+export * from './core/spatial.js';
+export * from './core/solver.js';
+export * from './core/ik.js';
+export * from './core/font.js';
+export * from './core/text.js';
+export * from './core/raster.js';
 export * from './core/math.js';
 export * from './core/params.js';
+export * from './core/expr.js';
+export * from './core/easing.js';
+export * from './core/color.js';
+export * from './core/random.js';
 export * from './core/transform.js';
 export * from './core/graph.js';
 export * from './scene.js';
-export { evaluateScene as renderScene, evaluateScene, findHitObject } from './system/evaluator.js';
+export { evaluateScene as renderScene, evaluateScene, findHitObject, findHitObjects, findSnapPoint } from './system/evaluator.js';
 export * from './system/renderer.js';
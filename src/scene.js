@@ -1,4 +1,4 @@
-import { evaluateParam } from './core/params.js';
+import { collectRefIds, evaluateParam } from './core/params.js';
 import { computeBounds, mat3Identity, mat3Multiply, mat3Rotate, mat3Scale, mat3Translate } from './core/math.js';
 import { evaluatePrimitiveGeometry } from './core/geometry.js';
 import { evaluateTransform, transformPoints } from './core/transform.js';
@@ -16,23 +16,14 @@ import { topologicalSort, detectsCycle } from './core/graph.js';
 
 /**
  * Returns a flat list of objects sorted by Rank (Execution Order).
+ * An object depends on its generator inputs and on every object it
+ * references (`{type:'ref'}` params and `@id` inside expressions).
  * @param {Scene} scene
  * @returns {SceneObject[]}
  */
 export function getSortedExecutionOrder(scene) {
   const getId = (o) => o.id;
-
-  const getDependencies = (obj) => {
-    const inputs = [];
-    // Check Generators inputs
-    const gen = scene.generators ? scene.generators.find(g => g.outputIds && g.outputIds.includes(obj.id)) : null;
-    if (gen && gen.inputIds) {
-      inputs.push(...gen.inputIds);
-    }
-    // Future: Check property refs
-    return inputs;
-  };
-
+  const getDependencies = (obj) => getObjectDependencies(scene, obj);
   return topologicalSort(scene.objects, getId, getDependencies);
 }
 
@@ -46,14 +37,7 @@ export function getSortedExecutionOrder(scene) {
 export function validateConnection(scene, inputId, targetId) {
   const getDependenciesById = (id) => {
     const obj = scene.objects.find(o => o.id === id);
-    if (!obj) return [];
-
-    const inputs = [];
-    const gen = scene.generators ? scene.generators.find(g => g.outputIds && g.outputIds.includes(id)) : null;
-    if (gen && gen.inputIds) {
-      inputs.push(...gen.inputIds);
-    }
-    return inputs;
+    return obj ? getObjectDependencies(scene, obj) : [];
   };
 
   // Check if adding dependency Target depends on Input (inputId -> targetId) creates a cycle.
@@ -61,20 +45,97 @@ export function validateConnection(scene, inputId, targetId) {
   return !detectsCycle(inputId, targetId, getDependenciesById);
 }
 
-/** @typedef {{strokeColor?: string, strokeWidth?: number, fillColor?: string, fillEnabled?: boolean, blendMode?: string, alpha?: number, join?: string, cap?: string}} StyleSpec */
+function getObjectDependencies(scene, obj) {
+  const inputs = new Set();
+  const gen = scene.generators ? scene.generators.find(g => g.outputIds && g.outputIds.includes(obj.id)) : null;
+  if (gen && gen.inputIds) {
+    gen.inputIds.forEach((id) => inputs.add(id));
+  }
+  collectRefIds([obj.geometry, obj.transform, obj.params, obj.style], inputs);
+  // Measure nodes read their target's evaluated geometry.
+  if (obj.kind === 'math' && obj.type === 'measure' && obj.params && obj.params.target) {
+    inputs.add(obj.params.target);
+  }
+  // Tile instances draw their source object.
+  if (obj.kind === 'pattern' && obj.geometry && obj.geometry.sourceObjectId) {
+    inputs.add(obj.geometry.sourceObjectId);
+  }
+  // Text set along another object's outline.
+  if (obj.kind === 'text' && obj.geometry && obj.geometry.layout && typeof obj.geometry.layout.path === 'string') {
+    inputs.add(obj.geometry.layout.path);
+  }
+  if (obj.style && obj.style.mode === 'ref' && scene.styles) {
+    collectRefIds(scene.styles.find(s => s.id === obj.style.refId), inputs);
+  }
+  return [...inputs];
+}
+
+/** @typedef {{strokeColor?: string|import('./params.js').Param<string>, strokeWidth?: number|import('./params.js').Param<number>, fillColor?: string|import('./params.js').Param<string>, fillEnabled?: boolean, blendMode?: string, alpha?: number|import('./params.js').Param<number>, join?: string, cap?: string}} StyleSpec */
 
 /** @typedef {{type:'attach', id:string, targets:{parentId:string, childId:string}, params:{offset?: import('./params.js').Param<{x:number,y:number}>, inheritRotation?: boolean, inheritScale?: boolean}, enabled?: boolean}} AttachRelation */
-/** @typedef {{type:'align', id:string, targets:{aId:string, bId:string}, params:{anchor?: 'center'|'topLeft'|'baseline'}, enabled?: boolean}} AlignRelation */
-/** @typedef {{type:'followPath', id:string, targets:{objectId:string, pathId:string}, params:{u: import('./params.js').Param<number>, tangentAlign?: boolean}, enabled?: boolean}} FollowPathRelation */
-/** @typedef {{type:'repeat', id:string, targets:{objectId:string}, params:{count:number, deltaTransform?: import('./transform.js').TransformSpec, indexParam?: import('./params.js').Param<number>}, enabled?: boolean}} RepeatRelation */
-/** @typedef {{type:'tile', id:string, targets:{unitCellId:string, latticeId:string}, params?: object, enabled?: boolean}} TileRelation */
+/**
+ * Inverse kinematics over bones `boneIds` (root first), solved from the
+ * declared pose each evaluation so the last bone's tip reaches the origin of
+ * `targetId` or the point `params.target` (a Param or `@ref`). A bone turns
+ * about its origin and points along its local x axis; each bone's origin is
+ * pinned to the previous tip, like `attach`. `lengths` default to the
+ * distance to the next bone's origin, and for the last bone to how far its
+ * shape reaches along its x axis (a warning asks for a length when that is
+ * 0). The root stays put, or follows `parentId` at `offset` in the parent's
+ * frame. `limits` bound each joint in degrees, relative to the previous bone
+ * (the root: relative to the parent's rotation, or the x axis).
+ * @typedef {{type:'ikChain', id:string, targets:{boneIds:string[], targetId?: string, parentId?: string}, params?:{target?: import('./params.js').Param<{x:number,y:number}>, lengths?: number[], limits?: Array<{min?: number, max?: number}|null>, method?: 'fabrik'|'ccd', iterations?: number, tolerance?: number, offset?: import('./params.js').Param<{x:number,y:number}>}, enabled?: boolean}} IKChainRelation
+ */
+/** @typedef {'topLeft'|'top'|'topRight'|'left'|'center'|'right'|'bottomLeft'|'bottom'|'bottomRight'|'baseline'} AnchorName */
+/**
+ * Moves A so its `anchor` meets B's `targetAnchor` (default: the same
+ * anchor), on both axes or just `x` / `y`. A and B may be primitives, text,
+ * group composites (all members move) or tile instances.
+ * @typedef {{type:'align', id:string, targets:{aId:string, bId:string}, params:{anchor?: AnchorName, targetAnchor?: AnchorName, axis?: 'x'|'y'|'both'}, enabled?: boolean}} AlignRelation
+ */
+/**
+ * Spaces objects evenly along one axis by their centers or by the gaps
+ * between them; the outermost two stay put unless `spacing` is given.
+ * @typedef {{type:'distribute', id:string, targets:{objectIds:string[]}, params?:{axis?: 'x'|'y', mode?: 'centers'|'gaps', spacing?: number|import('./params.js').Param<number>}, enabled?: boolean}} DistributeRelation
+ */
+/** @typedef {{type:'followPath', id:string, targets:{objectId:string, pathId:string}, params:{u: import('./params.js').Param<number>, wrap?: import('./core/polyline.js').PathWrapMode, tangentAlign?: boolean, tangentSmoothing?: number, normalOffset?: number}, enabled?: boolean}} FollowPathRelation */
+/**
+ * `deltaTransform` is applied once per step and `indexTransform` once in
+ * each copy's own frame; both may use the copy index variables. `indexParam`
+ * is evaluated per copy and available to its expressions as `param`.
+ * @typedef {{type:'repeat', id:string, targets:{objectId:string}, params:{count:number, deltaTransform?: import('./transform.js').TransformSpec, indexTransform?: import('./transform.js').TransformSpec, indexParam?: import('./params.js').Param<number>}, enabled?: boolean}} RepeatRelation
+ */
+/**
+ * Expands a lattice of unit-cell copies (spec §13). `regionId` names the
+ * outline copies are clipped to when the lattice has `clipping` on.
+ * @typedef {{type:'tile', id:string, targets:{unitCellId?:string, latticeId:string}, params?: {regionId?: string}, enabled?: boolean}} TileRelation
+ */
 
-/** @typedef {AttachRelation|AlignRelation|FollowPathRelation|RepeatRelation|TileRelation} Relation */
+/**
+ * One end of a geometric constraint: an object id, or an object with a
+ * `vertex` / `edge` index. Vertices and edges of lines, polylines and
+ * polygons are moved on their own; anything else moves the whole object.
+ * `fixed` holds the object in place for every constraint.
+ * @typedef {string|{objectId:string, vertex?: number, edge?: number, fixed?: boolean}} ConstraintRef
+ */
+/**
+ * Geometric (CAD-style) constraints, solved together by least squares; see
+ * `constraintResiduals` in `core/solver.js` for what each type means.
+ * `onCurve` puts point `a` on curve `b`; `tangent` makes line or circle `a`
+ * touch circle `b`.
+ * @typedef {{type:'distance'|'angle'|'parallel'|'perpendicular'|'tangent'|'onCurve', id:string, targets:{a: ConstraintRef, b: ConstraintRef}, params?:{distance?: number|import('./params.js').Param<number>, angle?: number|import('./params.js').Param<number>, internal?: boolean}, enabled?: boolean}} GeometricConstraintRelation
+ */
+
+/** @typedef {AttachRelation|IKChainRelation|AlignRelation|DistributeRelation|FollowPathRelation|RepeatRelation|TileRelation|GeometricConstraintRelation} Relation */
 
 /** @typedef {{id:string, type:'instance', inputIds:string[], params:{transforms:Array<import('./transform.js').TransformSpec>}, seed?: number, outputIds?: string[]}} InstanceGenerator */
-/** @typedef {{id:string, type:'grid', params:{a:{x:number,y:number}, b:{x:number,y:number}, range:{i:[number,number], j:[number,number]}, cellTransform?: import('./transform.js').TransformSpec}, outputIds?: string[]}} GridGenerator */
-/** @typedef {{id:string, type:'radial', params:{count:number, radius:number, angleRange:[number,number], center?:{x:number,y:number}}, outputIds?: string[]}} RadialGenerator */
-/** @typedef {{id:string, type:'subdivide', params:{}, outputIds?: string[]}} SubdivideGenerator */
+/** @typedef {{id:string, type:'grid', params:{a:{x:number,y:number}, b:{x:number,y:number}, range:{i:[number,number], j:[number,number]}, cellTransform?: import('./transform.js').TransformSpec}, seed?: number, outputIds?: string[]}} GridGenerator */
+/**
+ * With `rings` > 1, ring k (from 0) sits at `radius + k * ringSpacing`
+ * (spacing defaults to `radius`).
+ * @typedef {{id:string, type:'radial', params:{count:number, radius:number, angleRange:[number,number], center?:{x:number,y:number}, rings?: number, ringSpacing?: number, cellTransform?: import('./transform.js').TransformSpec}, seed?: number, outputIds?: string[]}} RadialGenerator
+ */
+/** @typedef {{id:string, type:'subdivide', inputIds?:string[], params: import('./core/subdivide.js').SubdivideOptions & {sourceId?:string}, seed?: number, outputIds?: string[]}} SubdivideGenerator */
 
 /** @typedef {InstanceGenerator|GridGenerator|RadialGenerator|SubdivideGenerator} Generator */
 
@@ -82,18 +143,48 @@ export function validateConnection(scene, inputId, targetId) {
 /** @typedef {{id:string, type:'rasterize', inputRefs:string[], params:{resolution?:{width:number,height:number}, aa?:number, threshold?:number}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} RasterizeOperator */
 /** @typedef {{id:string, type:'threshold', inputRefs:string[], params:{threshold:number, mode?:'luma'|'alpha'}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} ThresholdOperator */
 /** @typedef {{id:string, type:'erode'|'dilate', inputRefs:string[], params:{radius:number, iterations?:number, kernel?:'diamond'|'square'}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} MorphOperator */
-/** @typedef {{id:string, type:'boolean', inputRefs:string[], params:{operation:'union'|'intersect'|'diff'}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} BooleanOperator */
+/** @typedef {{id:string, type:'boolean', inputRefs:string[], params:{operation:'union'|'intersect'|'difference'|'diff'|'xor'}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} BooleanOperator */
+/** @typedef {{id:string, type:'offset', inputRefs:string[], params:{distance:number|import('./params.js').Param<number>, join?:'miter'|'round'|'square', miterLimit?:number}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} OffsetOperator */
+/** @typedef {{id:string, type:'measure', inputRefs:string[], params:{metric?:string, threshold?:number}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} MeasureOperator */
+/** @typedef {{id:string, type:'simplify', inputRefs:string[], params:{method?:'douglasPeucker'|'visvalingam', tolerance:number|import('./params.js').Param<number>}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} SimplifyOperator */
+/** @typedef {{id:string, type:'resample', inputRefs:string[], params:{count?:number|import('./params.js').Param<number>, spacing?:number|import('./params.js').Param<number>}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} ResampleOperator */
+/** @typedef {{id:string, type:'smooth', inputRefs:string[], params:{method?:'chaikin'|'catmullRom', iterations?:number|import('./params.js').Param<number>, segments?:number|import('./params.js').Param<number>}, outputRef:string, enabled?: boolean, cachePolicy?:'none'|'perT'|'manual', stageName?:string}} SmoothOperator */
+
+/** @typedef {AffineOperator|RasterizeOperator|ThresholdOperator|MorphOperator|BooleanOperator|OffsetOperator|MeasureOperator|SimplifyOperator|ResampleOperator|SmoothOperator} Operator */
+
+/**
+ * `tolerance` is the maximum curve flattening error in output pixels
+ * (default 0.25). Output pixels per world unit are `viewScale` (default 1)
+ * times `pixelDensity` (default 1); exports at another resolution set
+ * `viewScale` accordingly.
+ * @typedef {{width?: number, height?: number, background?: string, transparent?: boolean, tolerance?: number, viewScale?: number, pixelDensity?: number}} RenderConfig
+ */
 
-/** @typedef {AffineOperator|RasterizeOperator|ThresholdOperator|MorphOperator|BooleanOperator} Operator */
+/**
+ * Where a generated copy sits among its siblings. `i` / `j` count copies
+ * (columns / rows for grids and tiles), `u` / `v` are the same normalised to
+ * 0…1, `ring` is the radial ring and `n` the number of copies. Radial copies
+ * add `angle` (radians, like `angleRange`) and repeat copies `param`.
+ * Expressions and random seeds of a copy see these as variables; objects
+ * outside any generator see the first of one copy, with `angle` and `param`
+ * 0.
+ * @typedef {{i: number, j: number, u: number, v: number, ring: number, n: number, angle?: number, param?: number}} CopyIndex
+ */
 
-/** @typedef {{width?: number, height?: number, background?: string, transparent?: boolean}} RenderConfig */
+/**
+ * @typedef {import('./geometry.js').SceneObject & {style?: StyleSpec, seed?: number, index?: CopyIndex}} SceneObject
+ */
 
 /**
- * @typedef {import('./geometry.js').SceneObject & {style?: StyleSpec}} SceneObject
+ * Spec §14. A font asset carries the file bytes in `data` (parsed during
+ * evaluation) or an already parsed `font`; `source` names where it came from.
+ * @typedef {{id: string, kind: 'font'|'image'|'palette', source?: string, data?: ArrayBuffer|ArrayBufferView, font?: import('./core/font.js').Font, loadState?: 'pending'|'ready'|'error', error?: string, metadata?: object}} Asset
  */
 
 /**
- * @typedef {{objects: SceneObject[], relations?: Relation[], generators?: Generator[], operators?: Operator[], assets?: Asset[], renderConfig?: RenderConfig, timeline?: {t:number}}} Scene
+ * `seed` makes random/noise params reproducible (spec §12.1); generators may
+ * carry their own seed for their clones.
+ * @typedef {{objects: SceneObject[], relations?: Relation[], generators?: Generator[], operators?: Operator[], assets?: Asset[], renderConfig?: RenderConfig, timeline?: {t:number}, seed?: number}} Scene
  */
 
 /**
@@ -101,7 +192,15 @@ export function validateConnection(scene, inputId, targetId) {
  */
 
 /**
- * @typedef {{objects: EvaluatedObject[], warnings: string[], config: RenderConfig}} RenderResult
+ * One system of coupled geometric constraints after solving. `dof` is the
+ * number of unknowns (object translation and rotation, freed vertices) the
+ * constraints leave free; `variables` counts only unknowns that move a
+ * constrained feature.
+ * @typedef {{relationIds: string[], objectIds: string[], variables: number, equations: number, dof: number, status: 'wellConstrained'|'underConstrained'|'overConstrained'|'conflicting', error: number}} ConstraintReport
+ */
+
+/**
+ * @typedef {{objects: EvaluatedObject[], warnings: string[], config: RenderConfig, constraints?: ConstraintReport[]}} RenderResult
  */
 
 /**
@@ -7,10 +7,32 @@
  */
 
 
-import { evaluateParam } from '../core/params.js';
-import { computeBounds, mat3Identity, mat3Multiply, mat3Rotate, mat3Scale, mat3Translate } from '../core/math.js';
+import { evaluateMaybeParam, evaluateParam, isParam } from '../core/params.js';
+import { applyMat3, computeBounds, mat3Identity, mat3Invert, mat3Multiply, mat3Rotate, mat3Scale, mat3Translate } from '../core/math.js';
 import { evaluatePrimitiveGeometry } from '../core/geometry.js';
 import { evaluateTransform, transformPoints } from '../core/transform.js';
+import { fractalNoise, hashSeed, randomAt } from '../core/random.js';
+import { booleanPolygons, clipPolyline, windingNumber } from '../core/clipping.js';
+import { measurePolyline, resamplePolyline, sampleAtLength, simplifyDouglasPeucker, simplifyVisvalingam, smoothCatmullRom, smoothChaikin, smoothedTangent, wrapParameter } from '../core/polyline.js';
+import { expandPolylines, offsetRegion } from '../core/offset.js';
+import { measureGeometry, measureRaster } from '../core/measure.js';
+import { subdivideRegion } from '../core/subdivide.js';
+import { hitTestGeometry, paintedStrokeWidth } from '../core/hittest.js';
+import { getObjectIndex } from '../core/spatial.js';
+import { stronglyConnectedComponents } from '../core/graph.js';
+import { constraintResiduals, solveLeastSquares } from '../core/solver.js';
+import { solveIKChain } from '../core/ik.js';
+import { glyphSegments, parseFont } from '../core/font.js';
+import { layoutText, polylineCurve } from '../core/text.js';
+import { rasterizeContours } from '../core/raster.js';
+import { DEFAULT_PATH_TOLERANCE, flattenPath, pathSegments, transformPathSegments } from '../core/path.js';
+
+/**
+ * Copy index variables every expression can read. Objects made by a
+ * generator, `repeat` or `tile` carry their own in `index` (see
+ * `copyIndex`); everything else reads these.
+ */
+const DEFAULT_COPY_INDEX = Object.freeze({ i: 0, j: 0, u: 0, v: 0, ring: 0, n: 1, angle: 0, param: 0 });
 
 /**
  * Core render/evaluation entry point.
@@ -25,77 +47,341 @@ export function evaluateScene(scene, t, overrideConfig) {
     // Asset resolution (simple placeholder logic for now)
     const assetsReady = resolveAssets(scene.assets || [], warnings);
 
+    // One reference scope serves every stage. `@obj.prop` looks at evaluated
+    // results first and falls back to the declared object.
+    const refs = createReferenceScope(scene.objects || [], t);
+    const ctx = {
+        warnings,
+        seed: scene.seed ?? 0,
+        tolerance: config.tolerance,
+        pixelScale: (config.viewScale ?? 1) * (config.pixelDensity ?? 1),
+        resolveRef: (targetId, targetProp) => lookupReference(refs, targetId, targetProp, t, ctx, 0),
+        assets: assetsReady,
+        lookupObject: (id) => refs.sources.get(id),
+        vars: DEFAULT_COPY_INDEX,
+    };
+
+    // Math nodes are published up front so generator and relation params can bind to them.
+    publishMathValues(scene.objects || [], t, refs, ctx);
+
     // Generators expansion
-    const objects = expandGenerators(scene.generators || [], scene.objects || [], t, warnings);
+    const objects = expandGenerators(scene.generators || [], scene.objects || [], t, warnings, ctx);
+    refs.sources = new Map(objects.map((o) => [o.id, o]));
 
     // Relations application
     const relations = scene.relations || [];
-    applyRelations(objects, relations, t, warnings);
+    const constraints = applyRelations(objects, relations, t, warnings, ctx);
 
     // Object Evaluation
-    const evaluatedObjects = evaluateObjects(objects, t, assetsReady, warnings, scene.styles);
+    const evaluatedObjects = evaluateObjects(objects, t, warnings, scene.styles, ctx, refs);
 
     // Operator Evaluation
-    const operatorResults = evaluateOperators(scene.operators || [], evaluatedObjects, t, warnings);
+    const operatorResults = evaluateOperators(scene.operators || [], evaluatedObjects, t, warnings, ctx, refs);
 
     // Merge results
     const mergedObjects = mergeOperatorResults(evaluatedObjects, operatorResults);
 
-    return { objects: mergedObjects, warnings, config };
+    return { objects: mergedObjects, warnings, config, constraints };
 }
 
 // ... COPY ALL HELPERS FROM SCENE.JS (resolveAssets, applyRelations, expandGenerators, evaluateObjects, etc) ...
 // Since I cannot "Copy" via tool, I must reproduce them or use replace.
 // I'll assume I have to write them out. I have the content from previous view.
 
+/**
+ * Font assets carrying raw bytes in `data` are parsed here (once per
+ * buffer); assets that arrive with a parsed `font` (see `loadFontAsset`)
+ * are used as is.
+ */
 function resolveAssets(assets, warnings) {
     const map = {};
     for (const asset of assets) {
-        if (asset.loadState === 'error') {
-            warnings.push(`Asset ${asset.id} failed to load`);
+        let resolved = { ...asset, loadState: asset.loadState || 'ready' };
+        if (asset.kind === 'font' && !asset.font && asset.data && resolved.loadState !== 'error') {
+            const font = parsedFont(asset.data);
+            resolved = font instanceof Error
+                ? { ...resolved, loadState: 'error', error: font.message }
+                : { ...resolved, font };
         }
-        map[asset.id] = { ...asset, loadState: asset.loadState || 'ready' };
+        if (resolved.loadState === 'error') {
+            warnings.push(`Asset ${asset.id} failed to load${resolved.error ? `: ${resolved.error}` : ''}`);
+        }
+        map[asset.id] = resolved;
     }
     return map;
 }
 
-function applyRelations(objects, relations, t, warnings) {
+const parsedFonts = new WeakMap();
+
+function parsedFont(data) {
+    if (!parsedFonts.has(data)) {
+        let font;
+        try {
+            font = parseFont(data);
+        } catch (error) {
+            font = error;
+        }
+        parsedFonts.set(data, font);
+    }
+    return parsedFonts.get(data);
+}
+
+/** Geometric constraints change the objects they name, apart from `fixed` ones. */
+const GEOMETRIC_RELATION = {
+    geometric: true,
+    reads: (r) => constraintRefs(r).filter((ref) => ref && ref.fixed).map((ref) => ref.objectId),
+    writes: (r) => constraintRefs(r).filter((ref) => ref && !ref.fixed).map((ref) => ref.objectId),
+};
+
+/**
+ * How each relation type takes part in solving. Constraints (`solve`) return
+ * the matrices they want for the objects they `writes`, by id (given a way
+ * to look up an object's declared matrix); expansions (`expand`) add objects whose ids contain
+ * `<produces><relation id>_`. Geometric constraints (`geometric`) are solved
+ * together, see `solveGeometricConstraints`. `reads` lists the objects a
+ * relation looks at without changing them; `perCopy` params are left for
+ * the handler to evaluate once per copy.
+ */
+const RELATION_TYPES = {
+    attach: { reads: (r) => [r.targets.parentId], writes: (r) => [r.targets.childId], solve: solveAttachRelation },
+    ikChain: { reads: (r) => [r.targets.targetId, r.targets.parentId], writes: (r) => r.targets.boneIds || [], solve: solveIKChainRelation },
+    align: { reads: (r, byId) => extentSources(r.targets.bId, byId), writes: (r, byId) => extentSources(r.targets.aId, byId), solve: solveAlignRelation },
+    distribute: { reads: () => [], writes: (r, byId) => (r.targets.objectIds || []).flatMap((id) => extentSources(id, byId)), solve: solveDistributeRelation },
+    followPath: { reads: (r) => [r.targets.pathId], writes: (r) => [r.targets.objectId], solve: solveFollowPathRelation },
+    repeat: { reads: (r) => [r.targets.objectId], produces: '__repeat_', expand: handleRepeatRelation, perCopy: ['indexParam'] },
+    tile: { reads: tileRelationInputs, produces: '__tile_', expand: handleTileRelation },
+    distance: GEOMETRIC_RELATION,
+    angle: GEOMETRIC_RELATION,
+    parallel: GEOMETRIC_RELATION,
+    perpendicular: GEOMETRIC_RELATION,
+    tangent: GEOMETRIC_RELATION,
+    onCurve: GEOMETRIC_RELATION,
+};
+
+/** Sweeps over a group of coupled relations before it counts as not converging. */
+const MAX_RELAXATION_SWEEPS = 50;
+/** Largest matrix entry difference at which a relation counts as satisfied. */
+const RELATION_TOLERANCE = 1e-6;
+
+/**
+ * Solves relations in dependency order rather than array order: a relation
+ * runs after every relation that writes (or generates) an object it reads.
+ * Relations that depend on each other in a cycle, or write the same object,
+ * form a coupled group that is swept in array order until no transform
+ * moves any more (Gauss-Seidel relaxation). Afterwards every constraint is
+ * checked again, and any that is no longer met is reported with the
+ * relations it conflicts with; those get a warning of their own too.
+ * Returns a report per system of geometric constraints.
+ * @returns {import('../scene.js').ConstraintReport[]}
+ */
+function applyRelations(objects, relations, t, warnings, ctx) {
     const byId = new Map(objects.map((o) => [o.id, o]));
-    for (const relation of relations) {
-        if (relation.enabled === false) continue;
-        switch (relation.type) {
-            case 'attach':
-                handleAttachRelation(relation, byId, t, warnings);
-                break;
-            case 'align':
-                handleAlignRelation(relation, byId, t, warnings);
-                break;
-            case 'followPath':
-                handleFollowPathRelation(relation, byId, t, warnings);
-                break;
-            case 'repeat':
-                handleRepeatRelation(relation, byId, objects, t, warnings);
-                break;
-            default:
-                warnings.push(`Relation ${relation.id} of type ${relation.type} is not yet implemented`);
-                break;
+    const nodes = [];
+    for (const declared of relations) {
+        if (declared.enabled === false) continue;
+        const kind = RELATION_TYPES[declared.type];
+        if (!kind) {
+            warnings.push(`Relation ${declared.id} of type ${declared.type} is not yet implemented`);
+            continue;
+        }
+        const relation = { ...declared, params: resolveFields(declared.params, t, ctx, `Relation ${declared.id}`, kind.perCopy) };
+        nodes.push({
+            relation,
+            kind,
+            order: nodes.length,
+            reads: kind.reads(relation, byId, t, ctx).filter(Boolean),
+            writes: kind.writes ? kind.writes(relation, byId).filter(Boolean) : [],
+        });
+    }
+
+    const writers = new Map();
+    for (const node of nodes) {
+        for (const id of node.writes) {
+            if (!writers.has(id)) writers.set(id, []);
+            writers.get(id).push(node);
+        }
+    }
+    const dependencies = relationDependencies(nodes, writers);
+    const groups = stronglyConnectedComponents(nodes, (n) => n.order, (n) => dependencies.get(n));
+
+    // Constraints start from the transform an object had before any relation
+    // touched it, so re-solving one is idempotent.
+    const declaredMatrices = new Map();
+    const declaredMatrix = (obj) => {
+        if (!declaredMatrices.has(obj.id)) declaredMatrices.set(obj.id, objectMatrix(obj, t, ctx));
+        return declaredMatrices.get(obj.id);
+    };
+    const state = { byId, objects, t, ctx, declaredMatrix, reports: new Map() };
+
+    const unsettled = new Set();
+    for (const group of groups) {
+        if (solveRelationGroup(group, state, warnings)) continue;
+        const ids = group.map((n) => n.relation.id).join(', ');
+        for (const node of group) {
+            unsettled.add(node);
+            warnings.push(`Relation ${node.relation.id}: coupled relations ${ids} did not converge after ${MAX_RELAXATION_SWEEPS} sweeps`);
+        }
+    }
+
+    // A conflict is reported for both sides, including the relation that
+    // won (solved last) and is satisfied.
+    const errors = new Map();
+    const conflicts = new Map();
+    for (const node of nodes) {
+        if (unsettled.has(node)) continue;
+        const error = relationError(node, state);
+        if (error === null || error <= RELATION_TOLERANCE) continue;
+        errors.set(node, error);
+        const rivals = new Set(node.writes.flatMap((id) => writers.get(id)));
+        rivals.delete(node);
+        if (!rivals.size) continue;
+        if (!conflicts.has(node)) conflicts.set(node, new Set());
+        for (const rival of rivals) {
+            conflicts.get(node).add(rival);
+            if (!conflicts.has(rival)) conflicts.set(rival, new Set());
+            conflicts.get(rival).add(node);
+        }
+    }
+    for (const node of nodes) {
+        const error = errors.get(node);
+        const off = error === undefined ? '' : ` (off by ${error.toFixed(3)})`;
+        const on = node.writes.join(', ');
+        if (conflicts.has(node)) {
+            const rivals = [...conflicts.get(node)].sort((x, y) => x.order - y.order).map((n) => n.relation.id).join(', ');
+            warnings.push(`Relation ${node.relation.id} conflicts with ${rivals} on ${on}${off}`);
+        } else if (error !== undefined) {
+            warnings.push(`Relation ${node.relation.id} could not be satisfied on ${on}${off}`);
+        }
+    }
+    return [...state.reports.values()];
+}
+
+/**
+ * For each relation, the relations that must run before it: writers of the
+ * objects it reads, expansions that generate them, and any other relation
+ * writing the same object (those are coupled both ways).
+ */
+function relationDependencies(nodes, writers) {
+    const expansions = nodes.filter((n) => n.kind.expand);
+    const dependencies = new Map();
+    for (const node of nodes) {
+        const before = new Set(node.writes.flatMap((id) => writers.get(id)));
+        for (const id of node.reads) {
+            for (const writer of writers.get(id) || []) before.add(writer);
+            for (const expansion of expansions) {
+                if (id.includes(`${expansion.kind.produces}${expansion.relation.id}_`)) before.add(expansion);
+            }
+        }
+        before.delete(node);
+        dependencies.set(node, [...before].map((n) => n.order));
+    }
+    return dependencies;
+}
+
+/**
+ * Runs one group from `stronglyConnectedComponents`. A single relation that
+ * does not read its own output runs once; coupled groups are swept until a
+ * whole sweep moves no transform (or solved vertex) by more than
+ * `RELATION_TOLERANCE`, and report false if that never happens. Relations
+ * that disagree about one object settle into the same state every sweep, so
+ * they converge here and are reported as conflicts afterwards. A group that
+ * never converges puts the objects it writes back the way they were before
+ * it ran, instead of wherever the last sweep left them. Expansions run on
+ * the first sweep only, and only that sweep reports missing targets. The
+ * group's geometric constraints are solved as one system, in the place of
+ * the first of them.
+ */
+function solveRelationGroup(group, state, warnings) {
+    const { byId, objects, t, ctx } = state;
+    const coupled = group.length > 1 || group[0].reads.some((id) => group[0].writes.includes(id));
+    const geometric = group.filter((n) => n.kind.geometric);
+    const sweeps = coupled ? MAX_RELAXATION_SWEEPS : 1;
+    const before = new Map();
+    for (const id of group.flatMap((n) => n.writes)) {
+        const obj = byId.get(id);
+        if (obj && !before.has(id)) before.set(id, { transform: obj.transform, geometry: obj.geometry });
+    }
+    let previous = null;
+    for (let sweep = 0; sweep < sweeps; sweep += 1) {
+        const sink = sweep === 0 ? warnings : [];
+        const settled = new Map();
+        for (const node of group) {
+            if (node.kind.expand) {
+                if (sweep === 0) node.kind.expand(node.relation, byId, objects, t, sink, ctx);
+                continue;
+            }
+            if (node.kind.geometric) {
+                if (node !== geometric[0]) continue;
+                const report = solveGeometricConstraints(geometric, byId, t, sink, ctx);
+                if (!report) continue;
+                state.reports.set(group, report);
+                for (const id of report.objectIds) {
+                    const obj = byId.get(id);
+                    settled.set(id, objectMatrix(obj, t, ctx));
+                    if (Array.isArray(obj.geometry.points)) settled.set(`${id}.points`, obj.geometry.points.flatMap((p) => [p.x, p.y]));
+                }
+                continue;
+            }
+            const matrices = node.kind.solve(node.relation, byId, t, sink, ctx, state.declaredMatrix);
+            if (!matrices) continue;
+            for (const [id, matrix] of matrices) {
+                byId.get(id).transform = { matrix: { type: 'constant', value: matrix } };
+                settled.set(id, matrix);
+            }
         }
+        if (previous && [...settled].every(([id, value]) => previous.has(id) && maxDifference(value, previous.get(id)) <= RELATION_TOLERANCE)) {
+            return true;
+        }
+        previous = settled;
+    }
+    if (!coupled) return true;
+    for (const [id, { transform, geometry }] of before) {
+        const obj = byId.get(id);
+        obj.transform = transform;
+        obj.geometry = geometry;
+    }
+    return false;
+}
+
+/** How far a solved relation is from holding now, or null if it cannot tell. */
+function relationError(node, state) {
+    const { byId, t, ctx } = state;
+    if (node.kind.geometric) {
+        const system = buildConstraintSystem([node], byId, t, [], ctx);
+        if (!system) return null;
+        const residuals = system.residuals(system.variables.map(() => 0));
+        return residuals.reduce((max, r) => Math.max(max, Math.abs(r)), 0);
     }
+    if (!node.kind.solve) return null;
+    const wanted = node.kind.solve(node.relation, byId, t, [], ctx, state.declaredMatrix);
+    if (!wanted) return null;
+    return [...wanted].reduce((max, [id, matrix]) => Math.max(max, maxDifference(matrix, objectMatrix(byId.get(id), t, ctx))), 0);
 }
 
-function expandGenerators(generators, baseObjects, t, warnings) {
-    const objects = [...baseObjects];
+/** Largest difference between matching entries (matrices, flattened points). */
+function maxDifference(a, b) {
+    if (a.length !== b.length) return Infinity;
+    return a.reduce((max, v, k) => Math.max(max, Math.abs(v - b[k])), 0);
+}
+
+function expandGenerators(generators, baseObjects, t, warnings, ctx) {
+    // Shallow copies: later stages replace `transform` without touching the scene.
+    const objects = baseObjects.map((o) => ({ ...o }));
     const byId = new Map(objects.map((o) => [o.id, o]));
-    for (const generator of generators) {
+    for (const declared of generators) {
+        const generator = { ...declared, params: resolveFields(declared.params, t, ctx, `Generator ${declared.id}`) };
         switch (generator.type) {
             case 'instance':
-                expandInstanceGenerator(generator, byId, objects, t, warnings);
+                expandInstanceGenerator(generator, byId, objects, t, warnings, ctx);
                 break;
             case 'grid':
-                expandGridGenerator(generator, byId, objects, t, warnings);
+                expandGridGenerator(generator, byId, objects, t, warnings, ctx);
                 break;
             case 'radial':
-                expandRadialGenerator(generator, byId, objects, t, warnings);
+                expandRadialGenerator(generator, byId, objects, t, warnings, ctx);
+                break;
+            case 'subdivide':
+                expandSubdivideGenerator(generator, byId, objects, t, warnings, ctx);
                 break;
             default:
                 warnings.push(`Generator ${generator.id} (${generator.type}) not implemented`);
@@ -105,7 +391,7 @@ function expandGenerators(generators, baseObjects, t, warnings) {
     return objects;
 }
 
-function expandInstanceGenerator(generator, byId, objects, t, warnings) {
+function expandInstanceGenerator(generator, byId, objects, t, warnings, ctx) {
     const sourceId = generator.inputIds[0];
     const source = byId.get(sourceId);
     if (!source) {
@@ -116,19 +402,20 @@ function expandInstanceGenerator(generator, byId, objects, t, warnings) {
         warnings.push(`InstanceGenerator ${generator.id} has no transforms`);
         return;
     }
-    const baseMatrix = evaluateTransform(source.transform, t);
-    generator.params.transforms.forEach((tr, index) => {
-        const instMatrix = evaluateTransform(tr, t);
-        const composed = mat3Multiply(baseMatrix, instMatrix);
+    const { transforms } = generator.params;
+    transforms.forEach((tr, index) => {
         const clone = cloneObject(source, `${source.id}__inst_${generator.id}_${index}`);
-        clone.transform = { matrix: { type: 'constant', value: composed } };
+        clone.index = copyIndex({ i: index, iRange: [0, transforms.length - 1], n: transforms.length });
         clone.generatedBy = generator.id;
+        seedGeneratedClone(clone, generator, index);
+        const instMatrix = evaluateTransform(tr, t, indexCtx(ctx, clone.index));
+        clone.transform = { matrix: { type: 'constant', value: mat3Multiply(objectMatrix(clone, t, ctx), instMatrix) } };
         objects.push(clone);
         byId.set(clone.id, clone);
     });
 }
 
-function expandGridGenerator(generator, byId, objects, t, warnings) {
+function expandGridGenerator(generator, byId, objects, t, warnings, ctx) {
     if (!generator.params || !generator.params.a || !generator.params.b || !generator.params.range) {
         warnings.push(`GridGenerator ${generator.id} missing required params`);
         return;
@@ -140,25 +427,25 @@ function expandGridGenerator(generator, byId, objects, t, warnings) {
         return;
     }
     const { a, b, range, cellTransform } = generator.params;
-    const baseMatrix = evaluateTransform(source.transform, t);
-    const cellBase = cellTransform ? evaluateTransform(cellTransform, t) : mat3Identity();
+    const n = (range.i[1] - range.i[0] + 1) * (range.j[1] - range.j[0] + 1);
     for (let i = range.i[0]; i <= range.i[1]; i += 1) {
         for (let j = range.j[0]; j <= range.j[1]; j += 1) {
-            const translate = evaluateTransform(
-                { translate: { type: 'constant', value: { x: a.x * i + b.x * j, y: a.y * i + b.y * j } } },
-                t,
-            );
-            const composed = mat3Multiply(baseMatrix, mat3Multiply(translate, cellBase));
             const clone = cloneObject(source, `${source.id}__grid_${generator.id}_${i}_${j}`);
-            clone.transform = { matrix: { type: 'constant', value: composed } };
+            clone.index = copyIndex({ i, j, iRange: range.i, jRange: range.j, n });
             clone.generatedBy = generator.id;
+            seedGeneratedClone(clone, generator, i, j);
+            // The cell transform and the source's own transform see this cell's index.
+            const cell = cellTransform ? evaluateTransform(cellTransform, t, indexCtx(ctx, clone.index)) : mat3Identity();
+            const translate = mat3Translate(a.x * i + b.x * j, a.y * i + b.y * j);
+            const composed = mat3Multiply(objectMatrix(clone, t, ctx), mat3Multiply(translate, cell));
+            clone.transform = { matrix: { type: 'constant', value: composed } };
             objects.push(clone);
             byId.set(clone.id, clone);
         }
     }
 }
 
-function expandRadialGenerator(generator, byId, objects, t, warnings) {
+function expandRadialGenerator(generator, byId, objects, t, warnings, ctx) {
     if (!generator.params || typeof generator.params.count !== 'number' || typeof generator.params.radius !== 'number') {
         warnings.push(`RadialGenerator ${generator.id} missing count or radius`);
         return;
@@ -169,26 +456,73 @@ function expandRadialGenerator(generator, byId, objects, t, warnings) {
         warnings.push(`RadialGenerator ${generator.id} missing source`);
         return;
     }
-    const { count, radius, angleRange, center = { x: 0, y: 0 } } = generator.params;
-    const baseMatrix = evaluateTransform(source.transform, t);
+    const { count, radius, angleRange, center = { x: 0, y: 0 }, cellTransform } = generator.params;
+    const rings = Math.max(1, Math.floor(generator.params.rings || 1));
+    const ringSpacing = generator.params.ringSpacing ?? radius;
     const [start, end] = angleRange || [0, Math.PI * 2];
     const step = count > 1 ? (end - start) / (count - 1) : 0;
-    for (let i = 0; i < count; i += 1) {
-        const angle = start + step * i;
-        const translate = {
-            translate: {
-                type: 'constant',
-                value: { x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius },
-            },
-        };
-        const instMat = evaluateTransform(translate, t);
-        const composed = mat3Multiply(baseMatrix, instMat);
-        const clone = cloneObject(source, `${source.id}__radial_${generator.id}_${i}`);
-        clone.transform = { matrix: { type: 'constant', value: composed } };
+    for (let ring = 0; ring < rings; ring += 1) {
+        const ringRadius = radius + ring * ringSpacing;
+        for (let i = 0; i < count; i += 1) {
+            const angle = start + step * i;
+            const suffix = rings > 1 ? `${ring}_${i}` : `${i}`;
+            const clone = cloneObject(source, `${source.id}__radial_${generator.id}_${suffix}`);
+            clone.index = copyIndex({ i, j: ring, iRange: [0, count - 1], jRange: [0, rings - 1], ring, n: count * rings, angle });
+            clone.generatedBy = generator.id;
+            if (rings > 1) seedGeneratedClone(clone, generator, ring, i);
+            else seedGeneratedClone(clone, generator, i);
+            const cell = cellTransform ? evaluateTransform(cellTransform, t, indexCtx(ctx, clone.index)) : mat3Identity();
+            const place = mat3Translate(center.x + Math.cos(angle) * ringRadius, center.y + Math.sin(angle) * ringRadius);
+            clone.transform = { matrix: { type: 'constant', value: mat3Multiply(objectMatrix(clone, t, ctx), mat3Multiply(place, cell)) } };
+            objects.push(clone);
+            byId.set(clone.id, clone);
+        }
+    }
+}
+
+/**
+ * Emits one polygon object per piece of the source's evaluated outline.
+ * Each piece is centred on its own origin and placed by a translate, so
+ * per-piece transforms (shatter, explode) pivot around the piece.
+ */
+function expandSubdivideGenerator(generator, byId, objects, t, warnings, ctx) {
+    const sourceId = generator.params?.sourceId || generator.inputIds?.[0];
+    const source = sourceId ? byId.get(sourceId) : undefined;
+    if (!source || source.kind !== 'primitive') {
+        warnings.push(`SubdivideGenerator ${generator.id} missing primitive source`);
+        return;
+    }
+    const geometry = evaluateObjectGeometry(source, t, ctx);
+    const { method = 'earclip', ...options } = generator.params;
+    let pieces;
+    try {
+        pieces = subdivideRegion(geometryRegion(geometry), { ...options, method, seed: hashSeed(ctx.seed, generator.seed ?? 0) });
+    } catch (error) {
+        pushWarning(warnings, `SubdivideGenerator ${generator.id}: ${error.message}`);
+        return;
+    }
+    pieces.forEach((rings, index) => {
+        const { min, max } = computeBounds(rings[0]);
+        const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2 };
+        const local = rings.map((ring) => ring.map((p) => ({ x: p.x - center.x, y: p.y - center.y })));
+        const clone = cloneObject(source, `${source.id}__sub_${generator.id}_${index}`);
+        clone.geometry = local.length === 1 ? { type: 'polygon', points: local[0] } : { type: 'path', segments: ringSegments(local) };
+        clone.transform = { translate: { type: 'constant', value: center } };
+        clone.index = copyIndex({ i: index, iRange: [0, pieces.length - 1], n: pieces.length });
         clone.generatedBy = generator.id;
+        seedGeneratedClone(clone, generator, index);
         objects.push(clone);
         byId.set(clone.id, clone);
-    }
+    });
+}
+
+/** Pieces with holes become paths; holes wind opposite to the outline, so nonzero fill keeps them open. */
+function ringSegments(rings) {
+    return rings.flatMap((ring) => [
+        { type: 'M', x: ring[0].x, y: ring[0].y },
+        ...ring.slice(1).map((p) => ({ type: 'L', x: p.x, y: p.y })),
+        { type: 'Z' },
+    ]);
 }
 
 function cloneObject(object, newId) {
@@ -197,90 +531,718 @@ function cloneObject(object, newId) {
     return clone;
 }
 
-function handleAttachRelation(relation, byId, t, warnings) {
+/**
+ * A seeded generator gives each clone its own seed derived from the clone
+ * index, so random/noise params differ per clone but stay reproducible.
+ */
+function seedGeneratedClone(clone, generator, ...indices) {
+    if (generator.seed === undefined) return;
+    clone.seed = hashSeed(generator.seed, ...indices);
+}
+
+function solveAttachRelation(relation, byId, t, warnings, ctx) {
     const parent = byId.get(relation.targets.parentId);
     const child = byId.get(relation.targets.childId);
     if (!parent || !child) {
         warnings.push(`Attach relation ${relation.id} missing parent/child`);
-        return;
+        return null;
     }
-    const parentMatrix = evaluateTransform(parent.transform, t);
-    const offset = relation.params.offset ? evaluateParam(relation.params.offset, t) : { x: 0, y: 0 };
-    const offsetMat = evaluateTransform({ translate: { type: 'constant', value: offset } }, t);
+    const parentMatrix = objectMatrix(parent, t, ctx);
+    const offset = relation.params.offset ? evaluateMaybeParam(relation.params.offset, t, ctx) : { x: 0, y: 0 };
+    const offsetMat = evaluateTransform({ translate: { type: 'constant', value: offset } }, t, ctx);
     const effectiveParent = composeInheritedParent(parentMatrix, relation.params);
-    child.transform = { matrix: { type: 'constant', value: matMultiplySafe(effectiveParent, offsetMat, relation) } };
+    return new Map([[child.id, matMultiplySafe(effectiveParent, offsetMat, relation)]]);
 }
 
-function handleAlignRelation(relation, byId, t, warnings) {
+/**
+ * Attach for chains: bone k+1 hangs off the tip of bone k, and the joint
+ * angles are solved (`solveIKChain`) so the last tip reaches the target.
+ * Solving starts from the declared pose every time, and each bone only
+ * moves rigidly, turning about its origin.
+ */
+function solveIKChainRelation(relation, byId, t, warnings, ctx, declaredMatrix) {
+    const { boneIds = [], targetId, parentId } = relation.targets;
+    const bones = boneIds.map((id) => byId.get(id));
+    if (!bones.length || bones.some((bone) => !bone)) {
+        warnings.push(`IK chain relation ${relation.id} missing bones`);
+        return null;
+    }
+    const target = ikTarget(relation, byId, t, ctx);
+    if (!target) {
+        warnings.push(`IK chain relation ${relation.id} missing target`);
+        return null;
+    }
+    const { params } = relation;
+    const declared = bones.map((bone) => declaredMatrix(bone));
+    const origins = declared.map((m) => ({ x: m[6], y: m[7] }));
+    const headings = declared.map((m) => Math.atan2(m[1], m[0]));
+    let root = origins[0];
+    let baseAngle = 0;
+    if (parentId) {
+        const parent = byId.get(parentId);
+        if (!parent) {
+            warnings.push(`IK chain relation ${relation.id} missing parent ${parentId}`);
+            return null;
+        }
+        const parentMatrix = objectMatrix(parent, t, ctx);
+        root = applyMat3(parentMatrix, params.offset || { x: 0, y: 0 });
+        baseAngle = Math.atan2(parentMatrix[1], parentMatrix[0]);
+    }
+    // Unset lengths span to the next bone's origin, or for the last bone to
+    // the far end of its shape.
+    const lengths = bones.map((bone, k) => {
+        const given = params.lengths?.[k];
+        if (given !== undefined && given !== null) return Math.max(0, Number(given) || 0);
+        if (k + 1 < bones.length) return Math.hypot(origins[k + 1].x - origins[k].x, origins[k + 1].y - origins[k].y);
+        return boneReach(bone, declared[k], t, ctx);
+    });
+    if (!(lengths[lengths.length - 1] > 0)) {
+        pushWarning(warnings, `IK chain relation ${relation.id}: last bone ${bones[bones.length - 1].id} has no length; set params.lengths`);
+    }
+    const radians = (degrees) => (degrees * Math.PI) / 180;
+    const limits = bones.map((_, k) => {
+        const limit = params.limits?.[k];
+        return limit ? { min: radians(limit.min), max: radians(limit.max) } : null;
+    });
+    const angles = headings.map((heading, k) => heading - (k ? headings[k - 1] : baseAngle));
+    const solved = solveIKChain({ root, baseAngle, lengths, angles, limits }, target, {
+        method: params.method,
+        iterations: params.iterations,
+        tolerance: params.tolerance,
+    });
+
+    const matrices = new Map();
+    let heading = baseAngle;
+    bones.forEach((bone, k) => {
+        heading += solved.angles[k];
+        const joint = solved.joints[k];
+        const turn = mat3Multiply(mat3Translate(joint.x, joint.y), mat3Multiply(mat3Rotate(heading - headings[k]), mat3Translate(-origins[k].x, -origins[k].y)));
+        matrices.set(bone.id, matMultiplySafe(turn, declared[k], relation));
+    });
+    return matrices;
+}
+
+/**
+ * How far a bone's shape reaches along its local x axis from its origin, in
+ * world units at the declared pose (0 for shapes with no extent that way).
+ */
+function boneReach(bone, matrix, t, ctx) {
+    if (bone.kind !== 'primitive' && bone.kind !== 'text') return 0;
+    const posed = { ...bone, transform: { matrix: { type: 'constant', value: matrix } } };
+    const points = evaluateObjectGeometry(posed, t, ctx).points || [];
+    const length = Math.hypot(matrix[0], matrix[1]) || 1;
+    const axis = { x: matrix[0] / length, y: matrix[1] / length };
+    return points.reduce((reach, p) => Math.max(reach, (p.x - matrix[6]) * axis.x + (p.y - matrix[7]) * axis.y), 0);
+}
+
+/** World position an IK chain reaches for: the origin of `targetId`, or `params.target`. */
+function ikTarget(relation, byId, t, ctx) {
+    if (relation.targets.targetId) {
+        const obj = byId.get(relation.targets.targetId);
+        if (!obj) return null;
+        const m = objectMatrix(obj, t, ctx);
+        return { x: m[6], y: m[7] };
+    }
+    const point = relation.params.target;
+    if (Array.isArray(point)) return { x: Number(point[0]) || 0, y: Number(point[1]) || 0 };
+    if (point && typeof point === 'object') return { x: Number(point.x) || 0, y: Number(point.y) || 0 };
+    return null;
+}
+
+/**
+ * Moves A in world space so its `anchor` lands on B's (`targetAnchor`,
+ * default the same anchor). `axis: 'x'` or `'y'` only moves along that
+ * axis. Group composites move all their members.
+ */
+function solveAlignRelation(relation, byId, t, warnings, ctx) {
     const a = byId.get(relation.targets.aId);
     const b = byId.get(relation.targets.bId);
     if (!a || !b) {
         warnings.push(`Align relation ${relation.id} missing targets`);
-        return;
+        return null;
     }
-    if (a.kind !== 'primitive' || b.kind !== 'primitive') {
-        warnings.push(`Align relation ${relation.id} currently supports primitive objects only`);
-        return;
+    const aExtent = objectExtent(a, byId, t, ctx);
+    const bExtent = objectExtent(b, byId, t, ctx);
+    if (!aExtent || !bExtent) {
+        warnings.push(`Align relation ${relation.id} needs primitive, text, group or tile instance objects`);
+        return null;
     }
-    const aEval = evaluatePrimitiveGeometry(a.geometry, a.transform, t);
-    const bEval = evaluatePrimitiveGeometry(b.geometry, b.transform, t);
-    if (!aEval.bounds || !bEval.bounds) return;
+    if (!aExtent.bounds || !bExtent.bounds) return null;
     const anchor = relation.params.anchor || 'center';
-    const aAnchor = anchorPoint(aEval.bounds, anchor);
-    const bAnchor = anchorPoint(bEval.bounds, anchor);
-    const delta = { x: bAnchor.x - aAnchor.x, y: bAnchor.y - aAnchor.y };
-    const current = evaluateTransform(a.transform, t);
-    const offsetMat = evaluateTransform({ translate: { type: 'constant', value: delta } }, t);
-    a.transform = { matrix: { type: 'constant', value: matMultiplySafe(current, offsetMat, relation) } };
+    const aAnchor = anchorPoint(aExtent, anchor);
+    const bAnchor = anchorPoint(bExtent, relation.params.targetAnchor || anchor);
+    if (!aAnchor || !bAnchor) {
+        warnings.push(`Align relation ${relation.id} has an unknown anchor ${aAnchor ? relation.params.targetAnchor : anchor}`);
+        return null;
+    }
+    const axis = relation.params.axis || 'both';
+    const dx = axis === 'y' ? 0 : bAnchor.x - aAnchor.x;
+    const dy = axis === 'x' ? 0 : bAnchor.y - aAnchor.y;
+    return moveParts(aExtent.parts, dx, dy, relation, t, ctx);
+}
+
+/**
+ * Spaces objects evenly along `axis` (default x), keeping their current
+ * order along it. The first and last stay put and the rest are spread
+ * between them: equal steps between centers (`mode: 'centers'`, default)
+ * or equal gaps between bounds (`'gaps'`). A `spacing` sets the step or
+ * gap instead, and then only the first stays put.
+ */
+function solveDistributeRelation(relation, byId, t, warnings, ctx) {
+    const items = [];
+    for (const id of relation.targets.objectIds || []) {
+        const obj = byId.get(id);
+        const extent = obj && objectExtent(obj, byId, t, ctx);
+        if (!extent || !extent.bounds) {
+            warnings.push(`Distribute relation ${relation.id}: ${id} is missing or has no extent`);
+            continue;
+        }
+        items.push(extent);
+    }
+    if (items.length < 2) {
+        warnings.push(`Distribute relation ${relation.id} needs at least two objects`);
+        return null;
+    }
+    const axis = relation.params.axis === 'y' ? 'y' : 'x';
+    const low = (e) => e.bounds.min[axis];
+    const size = (e) => e.bounds.max[axis] - e.bounds.min[axis];
+    const mid = (e) => low(e) + size(e) / 2;
+    items.sort((p, q) => mid(p) - mid(q));
+    const first = items[0];
+    const last = items[items.length - 1];
+    const spacing = Number(relation.params.spacing);
+    const hasSpacing = relation.params.spacing !== undefined && Number.isFinite(spacing);
+    const shifts = [];
+    if (relation.params.mode === 'gaps') {
+        const total = items.reduce((sum, e) => sum + size(e), 0);
+        const gap = hasSpacing ? spacing : (last.bounds.max[axis] - low(first) - total) / (items.length - 1);
+        let cursor = low(first);
+        for (const e of items) {
+            shifts.push(cursor - low(e));
+            cursor += size(e) + gap;
+        }
+    } else {
+        const step = hasSpacing ? spacing : (mid(last) - mid(first)) / (items.length - 1);
+        items.forEach((e, k) => shifts.push(mid(first) + k * step - mid(e)));
+    }
+    const matrices = new Map();
+    items.forEach((e, k) => {
+        const moved = moveParts(e.parts, axis === 'x' ? shifts[k] : 0, axis === 'y' ? shifts[k] : 0, relation, t, ctx);
+        for (const [id, matrix] of moved) matrices.set(id, matrix);
+    });
+    return matrices;
 }
 
-function handleFollowPathRelation(relation, byId, t, warnings) {
+/**
+ * Ids of the objects that carry `id`'s position: the object itself, or
+ * every member of a group composite (nested groups included).
+ */
+function extentSources(id, byId) {
+    const obj = byId.get(id);
+    const parts = obj && movableParts(obj, byId, new Set());
+    return parts ? parts.map((p) => p.id) : [];
+}
+
+function movableParts(obj, byId, seen) {
+    if (obj.kind === 'primitive' || obj.kind === 'text') return [obj];
+    if (obj.kind === 'pattern') return obj.geometry && obj.geometry.sourceObjectId !== undefined ? [obj] : null;
+    if (obj.kind !== 'composite' || obj.geometry?.type !== 'group' || seen.has(obj.id)) return null;
+    seen.add(obj.id);
+    const parts = (obj.geometry.childIds || [])
+        .map((childId) => byId.get(childId))
+        .filter(Boolean)
+        .flatMap((child) => movableParts(child, byId, seen) || []);
+    return parts.length ? parts : null;
+}
+
+/**
+ * World bounds of an object for alignment, with the `parts` that move it.
+ * Text keeps its `metrics` (for `baseline`); a group's bounds are the union
+ * of its members'. Null for objects without a place of their own (unit
+ * cells, lattices, composite instances).
+ */
+function objectExtent(obj, byId, t, ctx) {
+    const parts = movableParts(obj, byId, new Set());
+    if (!parts) return null;
+    const geometries = parts.map((part) => {
+        if (part.kind !== 'pattern') return evaluateObjectGeometry(part, t, ctx);
+        const placed = placeTileInstance(part, byId.get(part.geometry.sourceObjectId), t, ctx);
+        return placed ? evaluateObjectGeometry(placed, t, ctx) : { bounds: null };
+    });
+    if (obj.kind !== 'composite') return { ...geometries[0], parts };
+    const corners = geometries.filter((g) => g.bounds).flatMap((g) => [g.bounds.min, g.bounds.max]);
+    return { bounds: computeBounds(corners), parts };
+}
+
+/** World-space translation of each part, by id. */
+function moveParts(parts, dx, dy, relation, t, ctx) {
+    const shift = mat3Translate(dx, dy);
+    return new Map(parts.map((part) => [part.id, matMultiplySafe(shift, objectMatrix(part, t, ctx), relation)]));
+}
+
+/**
+ * Places the object at arc-length fraction `u` of the path, so equal steps
+ * in `u` cover equal distances. The path point (plus `normalOffset` along
+ * the normal) becomes the origin of the object's declared transform; with
+ * `tangentAlign` that frame also turns with the path.
+ */
+function solveFollowPathRelation(relation, byId, t, warnings, ctx, declaredMatrix) {
     const obj = byId.get(relation.targets.objectId);
     const path = byId.get(relation.targets.pathId);
     if (!obj || !path) {
         warnings.push(`FollowPath relation ${relation.id} missing object or path`);
-        return;
+        return null;
     }
-    if (path.kind !== 'primitive' || (path.geometry.type !== 'polyline' && path.geometry.type !== 'polygon')) {
-        warnings.push(`FollowPath ${relation.id} requires a polyline/polygon path`);
-        return;
+    if (path.kind !== 'primitive' || path.geometry.type === 'point') {
+        warnings.push(`FollowPath ${relation.id} requires a line, polyline, polygon, path or shape outline`);
+        return null;
     }
-    const pathEval = evaluatePrimitiveGeometry(path.geometry, path.transform, t);
-    if (!pathEval.points.length) return;
-    const u = evaluateParam(relation.params.u, t);
-    const clampedU = Math.max(0, Math.min(1, u));
-    const targetPoint = pointAlongPath(pathEval.points, clampedU);
-    const baseTransform = evaluateTransform(obj.transform, t);
-    let composed = baseTransform;
+    const { points, closed } = followablePoints(evaluateObjectGeometry(path, t, ctx));
+    if (!points.length) return null;
+    const measured = measurePolyline(points, closed);
+    const u = Number(evaluateMaybeParam(relation.params.u, t, ctx)) || 0;
+    const mode = relation.params.wrap || (measured.closed ? 'wrap' : 'clamp');
+    const distance = wrapParameter(u, mode) * measured.length;
+    const { point } = sampleAtLength(measured, distance);
+    const tangent = smoothedTangent(measured, distance, relation.params.tangentSmoothing || 0);
+    // Quarter turn clockwise on screen from the direction of travel.
+    const normalOffset = relation.params.normalOffset || 0;
+    const target = { x: point.x - tangent.y * normalOffset, y: point.y + tangent.x * normalOffset };
+    let frame = mat3Translate(target.x, target.y);
     if (relation.params.tangentAlign) {
-        const direction = tangentDirection(pathEval.points, clampedU);
-        const angle = Math.atan2(direction.y, direction.x);
-        composed = mat3Multiply(composed, mat3Rotate(angle));
+        frame = mat3Multiply(frame, mat3Rotate(Math.atan2(tangent.y, tangent.x)));
     }
-    const translate = evaluateTransform({ translate: { type: 'constant', value: targetPoint } }, t);
-    composed = matMultiplySafe(composed, translate, relation);
-    obj.transform = { matrix: { type: 'constant', value: composed } };
+    return new Map([[obj.id, matMultiplySafe(frame, declaredMatrix(obj), relation)]]);
 }
 
-function handleRepeatRelation(relation, byId, objects, t, warnings) {
+/**
+ * What each end of a geometric constraint is measured on: `point` (a vertex,
+ * or the object origin), `line` (an edge), `pointOrLine` (a line when the
+ * reference names an `edge`) or `curve` (a circle, line or outline).
+ */
+const CONSTRAINT_ROLES = {
+    distance: ['pointOrLine', 'pointOrLine'],
+    angle: ['line', 'line'],
+    parallel: ['line', 'line'],
+    perpendicular: ['line', 'line'],
+    tangent: ['curve', 'curve'],
+    onCurve: ['point', 'curve'],
+};
+
+/** Geometry whose vertices the constraint solver may move one by one. */
+const VERTEX_GEOMETRY = new Set(['line', 'polyline', 'polygon']);
+
+/** `targets.a` / `targets.b` as `{objectId, vertex?, edge?, fixed?}` (null when absent). */
+function constraintRefs(relation) {
+    return [relation.targets?.a, relation.targets?.b].map((ref) => {
+        if (typeof ref === 'string') return { objectId: ref };
+        return ref && ref.objectId ? ref : null;
+    });
+}
+
+/**
+ * Solves a set of geometric constraint relations as one least-squares
+ * system and writes the result back. Returns the system's report (degrees
+ * of freedom and so on), or null when none of the relations is usable.
+ * @returns {import('../scene.js').ConstraintReport|null}
+ */
+function solveGeometricConstraints(nodes, byId, t, warnings, ctx) {
+    const system = buildConstraintSystem(nodes, byId, t, warnings, ctx);
+    if (!system) return null;
+    const result = solveLeastSquares(system.variables.map(() => 0), system.residuals, { tolerance: RELATION_TOLERANCE / 1000 });
+    system.write(result.values);
+    const dof = system.variables.length - result.rank;
+    let status = 'wellConstrained';
+    if (result.error > RELATION_TOLERANCE) status = 'conflicting';
+    else if (dof > 0) status = 'underConstrained';
+    else if (system.equations > result.rank) status = 'overConstrained';
+    return {
+        relationIds: system.relationIds,
+        objectIds: system.objectIds,
+        variables: system.variables.length,
+        equations: system.equations,
+        dof,
+        status,
+        error: result.error,
+    };
+}
+
+/**
+ * Turns geometric constraint relations into unknowns and residuals, all in
+ * world space. An object named by its id, or by a vertex or edge of a shape
+ * that has no point list, moves rigidly: it gets a translation and a
+ * rotation about its origin. A `vertex` or `edge` of a line, polyline or
+ * polygon instead frees just those vertices and leaves the transform alone.
+ * Objects named with `fixed: true` in any of the relations do not move.
+ * Unknowns that move none of the measured features (the rotation of a
+ * point about itself) are left out.
+ */
+function buildConstraintSystem(nodes, byId, t, warnings, ctx) {
+    const entries = new Map();
+    const entryFor = (obj) => {
+        if (!entries.has(obj.id)) {
+            const matrix = objectMatrix(obj, t, ctx);
+            const geometry = objectGeometry(obj, t, ctx);
+            const editable = VERTEX_GEOMETRY.has(geometry.type) && Array.isArray(geometry.points);
+            entries.set(obj.id, {
+                obj,
+                matrix,
+                geometry,
+                editable,
+                origin: { x: matrix[6], y: matrix[7] },
+                points: editable ? transformPoints(matrix, geometry.points) : evaluateObjectGeometry(obj, t, ctx).points,
+                fixed: false,
+                rigid: false,
+                vertices: new Set(),
+            });
+        }
+        return entries.get(obj.id);
+    };
+
+    const constraints = [];
+    for (const node of nodes) {
+        const { relation } = node;
+        const refs = constraintRefs(relation);
+        if (refs.some((ref) => !ref)) {
+            warnings.push(`Relation ${relation.id} (${relation.type}) needs targets a and b`);
+            continue;
+        }
+        const objs = refs.map((ref) => byId.get(ref.objectId));
+        if (objs.some((o) => !o)) {
+            warnings.push(`Relation ${relation.id} (${relation.type}) missing targets`);
+            continue;
+        }
+        if (objs.some((o) => o.kind !== 'primitive')) {
+            warnings.push(`Relation ${relation.id} (${relation.type}) supports primitive objects only`);
+            continue;
+        }
+        const ends = refs.map((ref, k) => constraintEnd(ref, CONSTRAINT_ROLES[relation.type][k], entryFor(objs[k])));
+        const invalid = ends.find((end) => end.error);
+        if (invalid) {
+            warnings.push(`Relation ${relation.id} (${relation.type}): ${invalid.error}`);
+            continue;
+        }
+        for (const end of ends) {
+            if (end.ref.fixed) end.entry.fixed = true;
+            if (end.vertices) end.vertices.forEach((k) => end.entry.vertices.add(k));
+            else end.entry.rigid = true;
+        }
+        constraints.push({ relation, ends });
+    }
+    if (!constraints.length) return null;
+
+    const variables = [];
+    for (const entry of entries.values()) {
+        if (entry.fixed) continue;
+        if (entry.rigid) {
+            entry.rigidIndex = variables.length;
+            variables.push(`${entry.obj.id}.x`, `${entry.obj.id}.y`, `${entry.obj.id}.rotation`);
+        }
+        entry.vertexIndex = new Map();
+        for (const k of [...entry.vertices].sort((a, b) => a - b)) {
+            entry.vertexIndex.set(k, variables.length);
+            variables.push(`${entry.obj.id}.points[${k}].x`, `${entry.obj.id}.points[${k}].y`);
+        }
+    }
+
+    const place = (entry, p, x) => {
+        if (entry.rigidIndex === undefined) return p;
+        const i = entry.rigidIndex;
+        const c = Math.cos(x[i + 2]);
+        const s = Math.sin(x[i + 2]);
+        const dx = p.x - entry.origin.x;
+        const dy = p.y - entry.origin.y;
+        return { x: entry.origin.x + x[i] + c * dx - s * dy, y: entry.origin.y + x[i + 1] + s * dx + c * dy };
+    };
+    const vertex = (entry, k, x) => {
+        const i = entry.vertexIndex?.get(k);
+        const p = entry.points[k];
+        return place(entry, i === undefined ? p : { x: p.x + x[i], y: p.y + x[i + 1] }, x);
+    };
+    const feature = ({ kind, entry, ref }, x) => {
+        switch (kind) {
+            case 'point':
+                return { kind, point: ref.vertex === undefined ? place(entry, entry.origin, x) : vertex(entry, ref.vertex, x) };
+            case 'line': {
+                const [a, b] = lineVertices(entry, ref.edge || 0);
+                return { kind, a: vertex(entry, a, x), b: vertex(entry, b, x) };
+            }
+            case 'circle': {
+                const m = entry.matrix;
+                const scale = Math.sqrt(Math.abs(m[0] * m[4] - m[1] * m[3]));
+                return { kind, center: place(entry, entry.origin, x), radius: Math.abs(Number(entry.geometry.radius) || 0) * scale };
+            }
+            default: {
+                if (entry.editable) {
+                    return { kind, points: entry.points.map((_, k) => vertex(entry, k, x)), closed: entry.geometry.type === 'polygon' };
+                }
+                if (!entry.outline) entry.outline = followablePoints(evaluateObjectGeometry(entry.obj, t, ctx));
+                return { kind, points: entry.outline.points.map((p) => place(entry, p, x)), closed: entry.outline.closed };
+            }
+        }
+    };
+    const measure = (constraint, x) => constraintResiduals(
+        constraint.relation.type,
+        feature(constraint.ends[0], x),
+        feature(constraint.ends[1], x),
+        constraint.relation.params,
+    );
+
+    const zero = variables.map(() => 0);
+    const usable = constraints.filter((constraint) => {
+        if (measure(constraint, zero)) return true;
+        const kinds = constraint.ends.map((end) => end.kind).join(' and a ');
+        warnings.push(`Relation ${constraint.relation.id} (${constraint.relation.type}) does not apply to a ${kinds}`);
+        return false;
+    });
+    if (!usable.length) return null;
+
+    // Only unknowns that move some measured feature count: a point or circle
+    // turning about its own origin adds no freedom, and would inflate `dof`.
+    const featureValues = (x) => usable.flatMap((c) => c.ends.flatMap((end) => featureNumbers(feature(end, x))));
+    const base = featureValues(zero);
+    const used = variables.map((_, k) => k).filter((k) => {
+        const probe = [...zero];
+        probe[k] = 1;
+        return featureValues(probe).some((v, n) => Math.abs(v - base[n]) > 1e-9 * Math.max(1, Math.abs(base[n])));
+    });
+    const expand = (x) => {
+        const full = [...zero];
+        used.forEach((k, n) => { full[k] = x[n]; });
+        return full;
+    };
+
+    const objectIds = [...entries.values()].filter((e) => !e.fixed && (e.rigid || e.vertices.size)).map((e) => e.obj.id);
+    return {
+        variables: used.map((k) => variables[k]),
+        objectIds,
+        relationIds: usable.map((c) => c.relation.id),
+        equations: usable.reduce((sum, c) => sum + measure(c, zero).length, 0),
+        residuals: (x) => usable.flatMap((c) => measure(c, expand(x))),
+        write: (reduced) => {
+            const x = expand(reduced);
+            for (const entry of entries.values()) {
+                if (entry.fixed) continue;
+                if (entry.rigidIndex !== undefined) {
+                    const i = entry.rigidIndex;
+                    const { origin } = entry;
+                    const moved = mat3Multiply(
+                        mat3Translate(origin.x + x[i], origin.y + x[i + 1]),
+                        mat3Multiply(mat3Rotate(x[i + 2]), mat3Translate(-origin.x, -origin.y)),
+                    );
+                    entry.obj.transform = { matrix: { type: 'constant', value: mat3Multiply(moved, entry.matrix) } };
+                }
+                const inverse = entry.vertexIndex.size ? mat3Invert(entry.matrix) : null;
+                if (!inverse) continue;
+                const points = entry.geometry.points.map((p, k) => {
+                    const i = entry.vertexIndex.get(k);
+                    if (i === undefined) return p;
+                    return applyMat3(inverse, { x: entry.points[k].x + x[i], y: entry.points[k].y + x[i + 1] });
+                });
+                entry.obj.geometry = { ...entry.geometry, points };
+            }
+        },
+    };
+}
+
+/** The coordinates (and radius) that make up a constraint feature, flattened. */
+function featureNumbers(feature) {
+    switch (feature.kind) {
+        case 'point':
+            return [feature.point.x, feature.point.y];
+        case 'line':
+            return [feature.a.x, feature.a.y, feature.b.x, feature.b.y];
+        case 'circle':
+            return [feature.center.x, feature.center.y, feature.radius];
+        default:
+            return feature.points.flatMap((p) => [p.x, p.y]);
+    }
+}
+
+/**
+ * Resolves what one end of a constraint measures (its feature `kind`) and
+ * which vertices of a point-list shape it frees; `vertices` is null when
+ * the object moves rigidly instead.
+ */
+function constraintEnd(ref, role, entry) {
+    const { geometry } = entry;
+    let kind = role;
+    if (role === 'pointOrLine') kind = ref.edge !== undefined ? 'line' : 'point';
+    if (role === 'curve') {
+        if (ref.vertex !== undefined) kind = 'point';
+        else if (ref.edge !== undefined || geometry.type === 'line') kind = 'line';
+        else if (geometry.type === 'circle') kind = 'circle';
+        else kind = 'curve';
+    }
+    const count = entry.points.length;
+    if (kind === 'point' && ref.vertex !== undefined) {
+        if (!Number.isInteger(ref.vertex) || ref.vertex < 0 || ref.vertex >= count) {
+            return { error: `${ref.objectId} has no vertex ${ref.vertex}` };
+        }
+        return { ref, kind, entry, vertices: entry.editable ? [ref.vertex] : null };
+    }
+    if (kind === 'line') {
+        const edge = ref.edge || 0;
+        const edges = ['line', 'polyline'].includes(geometry.type) ? count - 1 : count;
+        if (!Number.isInteger(edge) || edge < 0 || edge >= edges) return { error: `${ref.objectId} has no edge ${edge}` };
+        return { ref, kind, entry, vertices: entry.editable && ref.edge !== undefined ? lineVertices(entry, edge) : null };
+    }
+    return { ref, kind, entry, vertices: null };
+}
+
+/** Vertex indices of edge `k` (closing back to the first on closed shapes). */
+function lineVertices(entry, k) {
+    return [k, (k + 1) % entry.points.length];
+}
+
+/**
+ * Copy i (1 … count-1) is the object with `deltaTransform` applied i times
+ * (each step evaluated with that copy's index), then `indexTransform` in
+ * the copy's own frame. `indexParam` is evaluated per copy and published to
+ * it as the expression variable `param`. The object itself is copy 0.
+ */
+function handleRepeatRelation(relation, byId, objects, t, warnings, ctx) {
     const obj = byId.get(relation.targets.objectId);
     if (!obj) {
         warnings.push(`Repeat relation ${relation.id} missing target`);
         return;
     }
     const count = Math.max(1, relation.params.count || 1);
-    const delta = relation.params.deltaTransform ? evaluateTransform(relation.params.deltaTransform, t) : mat3Identity();
-    let current = evaluateTransform(obj.transform, t);
+    const { deltaTransform, indexTransform, indexParam } = relation.params;
+    const indexOf = (i) => {
+        const index = copyIndex({ i, iRange: [0, count - 1], n: count });
+        if (indexParam !== undefined) index.param = evaluateMaybeParam(indexParam, t, indexCtx(ctx, index));
+        return index;
+    };
+    obj.index = indexOf(0);
+    let steps = mat3Identity();
     for (let i = 1; i < count; i += 1) {
-        current = mat3Multiply(current, delta);
         const clone = cloneObject(obj, `${obj.id}__repeat_${relation.id}_${i}`);
-        clone.transform = { matrix: { type: 'constant', value: current } };
+        clone.index = indexOf(i);
         clone.generatedBy = relation.id;
+        const copyCtx = indexCtx(ctx, clone.index);
+        if (deltaTransform) steps = mat3Multiply(steps, evaluateTransform(deltaTransform, t, copyCtx));
+        const extra = indexTransform ? evaluateTransform(indexTransform, t, copyCtx) : mat3Identity();
+        clone.transform = { matrix: { type: 'constant', value: mat3Multiply(objectMatrix(clone, t, ctx), mat3Multiply(steps, extra)) } };
         objects.push(clone);
         byId.set(clone.id, clone);
     }
 }
 
+/** Lattice, unit cell, base objects and clip region a Tile relation reads. */
+function tileRelationInputs(relation, byId, t, ctx) {
+    const latticeObj = byId.get(relation.targets.latticeId);
+    const lattice = latticeObj && latticeObj.kind === 'pattern' ? objectGeometry(latticeObj, t, ctx) : null;
+    const cellId = relation.targets.unitCellId || lattice?.unitCellId;
+    const cellObj = byId.get(cellId);
+    const cell = cellObj && cellObj.kind === 'pattern' ? objectGeometry(cellObj, t, ctx) : null;
+    const bases = cell && Array.isArray(cell.baseObjectIds) ? cell.baseObjectIds : [];
+    return [relation.targets.latticeId, cellId, ...bases, relation.params.regionId];
+}
+
+/** Upper bound on lattice cells per Tile relation. */
+const MAX_TILE_CELLS = 10000;
+
+/**
+ * Tile (spec §13): the lattice repeats the unit cell's base objects over its
+ * inclusive i/j range. Cell (i, j) sits at i·a + j·b in the lattice's frame,
+ * and `transformPerCell` is applied in that cell's frame, so a copy's matrix
+ * is lattice · translate(i·a + j·b) · perCell · base. The base objects
+ * become the template and are hidden; the copies are ordinary objects with
+ * `generatedBy` set. With `clipping`, every copy is cut to the outline of
+ * the `params.regionId` object if given, else to its own cell (`cellBounds`
+ * or the parallelogram of the cell vectors); copies left empty are dropped.
+ */
+function handleTileRelation(relation, byId, objects, t, warnings, ctx) {
+    const latticeObj = byId.get(relation.targets.latticeId);
+    const lattice = latticeObj && latticeObj.kind === 'pattern' ? objectGeometry(latticeObj, t, ctx) : null;
+    const cellObj = byId.get(relation.targets.unitCellId || lattice?.unitCellId);
+    const cell = cellObj && cellObj.kind === 'pattern' ? objectGeometry(cellObj, t, ctx) : null;
+    if (!lattice || !lattice.repeatRange || !cell || !Array.isArray(cell.baseObjectIds) || !cell.cellVectors) {
+        warnings.push(`Tile relation ${relation.id} needs a unit cell (baseObjectIds, cellVectors) and a lattice (repeatRange)`);
+        return;
+    }
+    const bases = cell.baseObjectIds.map((id) => byId.get(id)).filter(Boolean);
+    if (bases.length < cell.baseObjectIds.length) {
+        pushWarning(warnings, `Tile relation ${relation.id}: unit cell ${cellObj.id} has missing base objects`);
+    }
+    const { i: [i0, i1], j: [j0, j1] } = lattice.repeatRange;
+    if ((i1 - i0 + 1) * (j1 - j0 + 1) > MAX_TILE_CELLS) {
+        warnings.push(`Tile relation ${relation.id} exceeds ${MAX_TILE_CELLS} cells`);
+        return;
+    }
+
+    let region = null;
+    if (lattice.clipping && relation.params.regionId) {
+        const regionObj = byId.get(relation.params.regionId);
+        if (regionObj && (regionObj.kind === 'primitive' || regionObj.kind === 'text')) {
+            region = geometryRegion(evaluateObjectGeometry(regionObj, t, ctx));
+        } else {
+            pushWarning(warnings, `Tile relation ${relation.id}: clip region ${relation.params.regionId} not found`);
+        }
+    }
+
+    const [a, b] = cell.cellVectors;
+    const latticeMatrix = objectMatrix(latticeObj, t, ctx);
+    const n = (i1 - i0 + 1) * (j1 - j0 + 1);
+    const cellShape = cell.cellBounds
+        ? [
+            cell.cellBounds.min,
+            { x: cell.cellBounds.max.x, y: cell.cellBounds.min.y },
+            cell.cellBounds.max,
+            { x: cell.cellBounds.min.x, y: cell.cellBounds.max.y },
+        ]
+        : [{ x: 0, y: 0 }, a, { x: a.x + b.x, y: a.y + b.y }, b];
+
+    for (let i = i0; i <= i1; i += 1) {
+        for (let j = j0; j <= j1; j += 1) {
+            const cellMatrix = mat3Multiply(latticeMatrix, mat3Translate(a.x * i + b.x * j, a.y * i + b.y * j));
+            const clip = lattice.clipping ? region || { rings: [transformPoints(cellMatrix, cellShape)] } : null;
+            const index = copyIndex({ i, j, iRange: [i0, i1], jRange: [j0, j1], n });
+            const perCell = lattice.transformPerCell ? evaluateTransform(lattice.transformPerCell, t, indexCtx(ctx, index)) : mat3Identity();
+            bases.forEach((base) => {
+                const clone = cloneObject(base, `${base.id}__tile_${relation.id}_${i}_${j}`);
+                clone.index = index;
+                clone.transform = { matrix: { type: 'constant', value: mat3Multiply(cellMatrix, mat3Multiply(perCell, objectMatrix(clone, t, ctx))) } };
+                clone.generatedBy = relation.id;
+                if (clip && !clipObjectTo(clone, clip, t, ctx)) return;
+                objects.push(clone);
+                byId.set(clone.id, clone);
+            });
+        }
+    }
+    for (const base of bases) base.visibility = false;
+}
+
+/**
+ * Replaces a copy's geometry with its world-space part inside `region` (a
+ * path with identity transform). Returns false when nothing is left.
+ */
+function clipObjectTo(clone, region, t, ctx) {
+    if (clone.kind !== 'primitive' && clone.kind !== 'text') return true;
+    const geometry = evaluateObjectGeometry(clone, t, ctx);
+    if (geometry.type === 'point') {
+        return isInsideRegion(geometry.points[0], region);
+    }
+    const polylines = geometryPolylines(geometry);
+    const segments = polylines
+        ? polylines.flatMap((points) => clipPolyline(points, region)).flatMap((piece) => [
+            { type: 'M', x: piece[0].x, y: piece[0].y },
+            ...piece.slice(1).map((p) => ({ type: 'L', x: p.x, y: p.y })),
+        ])
+        : ringSegments(booleanPolygons([geometryRegion(geometry), region], 'intersect'));
+    if (segments.length === 0) return false;
+    clone.kind = 'primitive';
+    clone.geometry = { type: 'path', segments };
+    clone.transform = {};
+    return true;
+}
+
+function isInsideRegion(point, region) {
+    const winding = windingNumber(point, region.rings);
+    return region.fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+}
+
 function composeInheritedParent(parentMatrix, params) {
     const inheritRotation = params.inheritRotation !== false;
     const inheritScale = params.inheritScale !== false;
@@ -304,41 +1266,64 @@ function composeInheritedParent(parentMatrix, params) {
     return composed;
 }
 
-function anchorPoint(bounds, anchor) {
-    switch (anchor) {
-        case 'topLeft':
-            return { x: bounds.min.x, y: bounds.min.y };
-        default:
-            return { x: (bounds.min.x + bounds.max.x) / 2, y: (bounds.min.y + bounds.max.y) / 2 };
+/** Box anchors as fractions of the bounds, from the top-left corner (y down). */
+const BOX_ANCHORS = {
+    topLeft: [0, 0],
+    top: [0.5, 0],
+    topRight: [1, 0],
+    left: [0, 0.5],
+    center: [0.5, 0.5],
+    right: [1, 0.5],
+    bottomLeft: [0, 1],
+    bottom: [0.5, 1],
+    bottomRight: [1, 1],
+};
+
+/**
+ * One of the nine `BOX_ANCHORS`, or `baseline`: the first text baseline
+ * (from the layout metrics), centred horizontally; shapes without one sit
+ * on the bottom of their bounds. Null for an unknown name.
+ */
+function anchorPoint(geometry, anchor) {
+    const { bounds } = geometry;
+    const width = bounds.max.x - bounds.min.x;
+    const height = bounds.max.y - bounds.min.y;
+    if (anchor === 'baseline') {
+        return { x: bounds.min.x + width / 2, y: geometry.metrics ? geometry.metrics.baseline.y : bounds.max.y };
     }
+    const fractions = BOX_ANCHORS[anchor];
+    return fractions ? { x: bounds.min.x + fractions[0] * width, y: bounds.min.y + fractions[1] * height } : null;
 }
 
-function pointAlongPath(points, u) {
-    if (points.length === 1) return points[0];
-    const segments = points.length - 1;
-    const scaled = u * segments;
-    const idx = Math.min(Math.floor(scaled), segments - 1);
-    const localT = scaled - idx;
-    const p0 = points[idx];
-    const p1 = points[idx + 1];
-    return { x: p0.x + (p1.x - p0.x) * localT, y: p0.y + (p1.y - p0.y) * localT };
+/** Curved paths are followed along their first subpath. */
+function followablePoints(geometry) {
+    if (geometry.contours) {
+        const [first] = geometry.contours;
+        return first ? { points: first.points, closed: first.closed } : { points: [], closed: false };
+    }
+    const closed = !['line', 'polyline'].includes(geometry.type);
+    return { points: geometry.points, closed };
 }
 
-function tangentDirection(points, u) {
-    if (points.length === 1) return { x: 1, y: 0 };
-    const segments = points.length - 1;
-    const scaled = u * segments;
-    const idx = Math.min(Math.floor(scaled), segments - 1);
-    const nextIdx = Math.min(idx + 1, points.length - 1);
-    const p0 = points[idx];
-    const p1 = points[nextIdx];
-    const dx = p1.x - p0.x;
-    const dy = p1.y - p0.y;
-    const length = Math.hypot(dx, dy) || 1;
-    return { x: dx / length, y: dy / length };
+/**
+ * Picks the object's effective style (local or referenced), then evaluates
+ * any animated fields so the renderer only sees plain values.
+ */
+function resolveStyle(obj, styles, t, ctx) {
+    const style = pickStyle(obj, styles || []);
+    return style ? evaluateStyle(resolveRefs(style, ctx, `Object ${obj.id}`), t, ctx) : undefined;
 }
 
-function resolveStyle(obj, styles) {
+function evaluateStyle(style, t, ctx) {
+    if (!Object.values(style).some(isParam)) return style;
+    const evaluated = {};
+    for (const [key, value] of Object.entries(style)) {
+        evaluated[key] = isParam(value) ? evaluateParam(value, t, ctx) : value;
+    }
+    return evaluated;
+}
+
+function pickStyle(obj, styles) {
     if (!obj.style) return undefined;
     if (obj.style.strokeColor || obj.style.fillColor || obj.style.mode === undefined) {
         return obj.style;
@@ -355,95 +1340,258 @@ function resolveStyle(obj, styles) {
     return obj.style;
 }
 
-function resolveParam(param, evaluatedMap) {
-    if (param && typeof param === 'object' && param.type === 'ref') {
-        const target = evaluatedMap.get(param.targetId);
-        if (!target) {
-            console.warn(`Reference target not found: ${param.targetId}`);
-            return 0; // Default
-        }
-        const keys = param.targetProp.split('.');
-        let val = target;
-        for (const key of keys) {
-            if (val && val[key] !== undefined) {
-                val = val[key];
-            } else {
-                if (val && val.geometry && val.geometry[key] !== undefined) {
-                    val = val.geometry[key];
-                } else {
-                    console.warn(`Property not found: ${param.targetProp} on ${param.targetId}`);
-                    return 0;
-                }
-            }
+const MAX_REF_DEPTH = 16;
+
+/**
+ * Evaluated objects are published here as the pipeline runs; `sources` holds
+ * the declared objects so a reference can still be answered before its target
+ * has been evaluated (e.g. a generator reading `@c.geometry.radius`).
+ */
+function createReferenceScope(objects, t) {
+    return {
+        evaluated: new Map([['time', { t, value: t }]]),
+        sources: new Map(objects.map((o) => [o.id, o])),
+    };
+}
+
+function lookupReference(refs, targetId, targetProp, t, ctx, depth) {
+    const keys = String(targetProp || 'value').split('.');
+    const evaluated = refs.evaluated.get(targetId);
+    const found = evaluated ? readPath(evaluated, keys) : undefined;
+    if (found !== undefined) return found;
+
+    const source = refs.sources.get(targetId);
+    const declared = source ? readPath(source, keys) : undefined;
+    if (declared === undefined) return undefined;
+    if (depth >= MAX_REF_DEPTH) {
+        pushWarning(ctx.warnings, `Reference @${targetId}.${targetProp} is circular`);
+        return undefined;
+    }
+    // Declared values may themselves hold refs or Params; resolve them one level deeper.
+    const nested = { ...objectCtx(source, ctx), resolveRef: (id, prop) => lookupReference(refs, id, prop, t, ctx, depth + 1) };
+    const resolved = resolveRefs(declared, nested, `Object ${targetId}`);
+    return isParam(resolved) ? evaluateParam(resolved, t, nested) : resolved;
+}
+
+function readPath(target, keys) {
+    let val = target;
+    for (const key of keys) {
+        if (val && val[key] !== undefined) {
+            val = val[key];
+        } else if (val && val.geometry && val.geometry[key] !== undefined) {
+            val = val.geometry[key];
+        } else {
+            return undefined;
         }
-        return val;
     }
-    return param;
+    return val;
 }
 
-function resolveObjectParams(params, evaluatedMap) {
+/**
+ * Replaces every `{type:'ref'}` found anywhere inside `value` (params,
+ * transforms, geometry, styles) with the referenced value. Missing targets
+ * produce a warning and resolve to 0.
+ */
+function resolveRefs(value, ctx, owner) {
+    if (!value || typeof value !== 'object') return value;
+    if (value.type === 'ref') {
+        const resolved = ctx.resolveRef(value.targetId, value.targetProp);
+        if (resolved === undefined) {
+            pushWarning(ctx.warnings, `${owner}: reference @${value.targetId}.${value.targetProp || 'value'} not found`);
+            return 0;
+        }
+        return resolved;
+    }
+    if (Array.isArray(value)) return value.map((item) => resolveRefs(item, ctx, owner));
+    if (Object.getPrototypeOf(value) !== Object.prototype) return value;
     const resolved = {};
-    for (const [key, val] of Object.entries(params)) {
-        resolved[key] = resolveParam(val, evaluatedMap);
+    for (const [key, item] of Object.entries(value)) {
+        resolved[key] = resolveRefs(item, ctx, owner);
     }
     return resolved;
 }
 
-function evaluateObjects(objects, t, assets, warnings, globalStyles) {
+function pushWarning(warnings, message) {
+    if (!warnings.includes(message)) warnings.push(message);
+}
+
+/** Evaluated transform matrix of a (not yet evaluated) scene object. */
+function objectMatrix(obj, t, ctx) {
+    const scoped = objectCtx(obj, ctx);
+    return evaluateTransform(resolveRefs(obj.transform, scoped, `Object ${obj.id}`), t, scoped);
+}
+
+/**
+ * Resolves refs throughout a params/geometry record, then evaluates the
+ * top-level fields that are Params so handlers see plain numbers and vectors.
+ * Fields named in `keep` stay Params, for handlers that evaluate them per copy.
+ */
+function resolveFields(fields, t, ctx, owner, keep = []) {
+    const resolved = resolveRefs(fields || {}, ctx, owner);
+    const evaluated = {};
+    for (const [key, value] of Object.entries(resolved)) {
+        evaluated[key] = keep.includes(key) ? value : evaluateMaybeParam(value, t, ctx);
+    }
+    return evaluated;
+}
+
+function objectGeometry(obj, t, ctx) {
+    return resolveFields(obj.geometry, t, objectCtx(obj, ctx), `Object ${obj.id}`);
+}
+
+function evaluateObjectGeometry(obj, t, ctx) {
+    const scoped = objectCtx(obj, ctx);
+    if (obj.kind === 'text') return evaluateTextGeometry(obj, t, scoped);
+    return evaluatePrimitiveGeometry(objectGeometry(obj, t, scoped), resolveRefs(obj.transform, scoped, `Object ${obj.id}`), t, scoped);
+}
+
+/**
+ * The context an object's own params see: its generator seed and its copy
+ * `index` variables. Scoping to the same object again is a no-op, and
+ * scoping to another object starts over from the scene's seed and
+ * variables, so nothing leaks from one object to the next.
+ */
+function objectCtx(obj, ctx) {
+    if (ctx.scope === obj) return ctx;
+    if (!ctx.scope && obj.seed === undefined && !obj.index) return ctx;
+    const seed = ctx.scope ? ctx.sceneSeed : ctx.seed;
+    const vars = ctx.scope ? ctx.sceneVars : ctx.vars;
+    return {
+        ...ctx,
+        scope: obj,
+        sceneSeed: seed,
+        sceneVars: vars,
+        seed: obj.seed === undefined ? seed : hashSeed(seed, obj.seed),
+        vars: obj.index ? { ...vars, ...obj.index } : vars,
+    };
+}
+
+/**
+ * Index variables of one copy: `i` (and `j` for 2D layouts), `u` / `v`
+ * normalized to 0..1 across their range, `ring` for radial rings, `n`
+ * copies in all, plus any extras.
+ */
+function copyIndex({ i = 0, j = 0, iRange = [i, i], jRange = [j, j], ring = 0, n = 1, ...extra }) {
+    const unit = (k, [lo, hi]) => (hi > lo ? (k - lo) / (hi - lo) : 0);
+    return { i, j, u: unit(i, iRange), v: unit(j, jRange), ring, n, ...extra };
+}
+
+/** `ctx` with a copy's index variables, for params evaluated per copy. */
+function indexCtx(ctx, index) {
+    return { ...ctx, vars: { ...ctx.vars, ...index } };
+}
+
+function publishMathValues(objects, t, refs, ctx) {
+    // Inputs that only exist after object evaluation are not available yet;
+    // evaluateObjects re-evaluates every math node and reports problems then.
+    const quiet = { ...ctx, warnings: [] };
+    for (const obj of objects) {
+        if (obj.kind !== 'math' || obj.visibility === false) continue;
+        const nodeCtx = objectCtx(obj, quiet);
+        refs.evaluated.set(obj.id, obj.type === 'measure'
+            ? evaluateMeasureNode(obj, t, nodeCtx, refs)
+            : { objectId: obj.id, value: evaluateMathNode(obj, t, nodeCtx) });
+    }
+}
+
+function evaluateMathNode(obj, t, ctx) {
+    const params = resolveRefs(obj.params || {}, ctx, `Object ${obj.id}`);
+    const param = (key) => evaluateMaybeParam(params[key], t, ctx);
+    const input = param('input') || 0;
+    if (obj.type === 'sin' || obj.type === 'cos') {
+        const freq = param('freq') || 1;
+        const amp = param('amp') || 1;
+        const phase = param('phase') || 0;
+        const wave = obj.type === 'sin' ? Math.sin : Math.cos;
+        return wave(input * freq + phase) * amp;
+    }
+    if (obj.type === 'random') {
+        // Sample-and-hold: a new value whenever floor(input / step) changes.
+        const min = param('min') ?? 0;
+        const max = param('max') ?? 1;
+        const step = param('step') || 1;
+        const seed = hashSeed(ctx.seed, param('seed') ?? 0);
+        return min + (max - min) * randomAt(seed, Math.floor(input / step));
+    }
+    if (obj.type === 'noise') {
+        const freq = param('freq') || 1;
+        const amp = param('amp') ?? 1;
+        const octaves = param('octaves') || 1;
+        const seed = hashSeed(ctx.seed, param('seed') ?? 0);
+        return fractalNoise(input * freq, undefined, { seed, octaves }) * amp;
+    }
+    return 0;
+}
+
+/**
+ * Measure nodes publish a whole record (`@m.area`, `@m.centroid.x`, ...) of
+ * the object named by `params.target`, as evaluated so far: relations are
+ * applied, and operators have not run yet. `value` holds `params.metric`.
+ */
+function evaluateMeasureNode(obj, t, ctx, refs) {
+    const targetId = obj.params?.target;
+    const evaluated = refs.evaluated.get(targetId);
+    const source = refs.sources.get(targetId);
+    let measurement = null;
+    if (evaluated?.geometry) {
+        measurement = measureGeometry(evaluated.geometry);
+    } else if (evaluated?.raster) {
+        measurement = measureRaster(evaluated.raster);
+    } else if (source?.kind === 'primitive') {
+        measurement = measureGeometry(evaluateObjectGeometry(source, t, ctx));
+    }
+    if (!measurement) {
+        pushWarning(ctx.warnings, `Object ${obj.id}: measure target ${targetId} not found`);
+        measurement = measureGeometry({ type: 'polyline', points: [], bounds: null });
+    }
+    return measurementRecord(obj.id, measurement, obj.params?.metric);
+}
+
+function measurementRecord(id, measurement, metric) {
+    const key = metric || ('area' in measurement ? 'area' : 'coverage');
+    const value = measurement[key];
+    return { objectId: id, ...measurement, value: typeof value === 'number' ? value : 0 };
+}
+
+function evaluateObjects(objects, t, warnings, globalStyles, sceneCtx, refs) {
     const evaluated = [];
-    const evaluatedMap = new Map();
-    evaluatedMap.set('time', { t: t, value: t });
+    // Expressions may reference anything evaluated earlier in execution order.
+    const evaluatedMap = refs.evaluated;
 
     for (const obj of objects) {
         if (obj.visibility === false) continue;
-        const style = globalStyles ? resolveStyle(obj, globalStyles) : obj.style;
-        const resolvedGeo = resolveObjectParams(obj.geometry, evaluatedMap);
-        const transform = obj.transform ? { ...obj.transform } : undefined;
-        if (transform && transform.translate && transform.translate.type === 'constant') {
-            const tx = resolveParam(transform.translate.value.x, evaluatedMap);
-            const ty = resolveParam(transform.translate.value.y, evaluatedMap);
-            transform.translate.value = { x: tx, y: ty };
-        }
+        const ctx = objectCtx(obj, sceneCtx);
+        const owner = `Object ${obj.id}`;
+        const style = resolveStyle(obj, globalStyles, t, ctx);
+        const transform = resolveRefs(obj.transform, ctx, owner);
 
         if (obj.kind === 'primitive') {
-            const evalGeo = evaluatePrimitiveGeometry(resolvedGeo, transform, t);
+            const evalGeo = evaluatePrimitiveGeometry(objectGeometry(obj, t, ctx), transform, t, ctx);
             const evalObj = { objectId: obj.id, geometry: evalGeo, style: style };
             evaluated.push(evalObj);
             evaluatedMap.set(obj.id, evalObj);
 
         } else if (obj.kind === 'text') {
-            // Placeholder text evaluation
-            const asset = assets[obj.geometry.fontAssetId]; // Using resolved assets
-            const evalGeo = evaluatePrimitiveGeometry({ type: 'rect', width: 50, height: 20 }, transform, t); // Simplification 
-            // Re-using logic from original file roughly:
-            const text = resolveParam(obj.geometry.text, evaluatedMap) || 'text';
-            const size = resolveParam(obj.geometry.size, evaluatedMap) || 16;
-            evalGeo.type = 'text'; // Mark type
-            // Attach text props for renderer
-            evalGeo.text = text;
-            evalGeo.size = size;
-
-            const evalObj = { objectId: obj.id, geometry: evalGeo, style: style };
+            const evalObj = evaluateTextObject(obj, style, t, ctx);
             evaluated.push(evalObj);
             evaluatedMap.set(obj.id, evalObj);
 
         } else if (obj.kind === 'math') {
-            const input = resolveParam(obj.params.input, evaluatedMap) || 0;
-            let result = 0;
-            if (obj.type === 'sin') {
-                const freq = resolveParam(obj.params.freq, evaluatedMap) || 1;
-                const amp = resolveParam(obj.params.amp, evaluatedMap) || 1;
-                const phase = resolveParam(obj.params.phase, evaluatedMap) || 0;
-                result = Math.sin(input * freq + phase) * amp;
-            } else if (obj.type === 'cos') {
-                const freq = resolveParam(obj.params.freq, evaluatedMap) || 1;
-                const amp = resolveParam(obj.params.amp, evaluatedMap) || 1;
-                const phase = resolveParam(obj.params.phase, evaluatedMap) || 0;
-                result = Math.cos(input * freq + phase) * amp;
-            }
-            const evalObj = { objectId: obj.id, value: result };
+            const evalObj = obj.type === 'measure'
+                ? evaluateMeasureNode(obj, t, ctx, refs)
+                : { objectId: obj.id, value: evaluateMathNode(obj, t, ctx) };
             evaluated.push(evalObj);
             evaluatedMap.set(obj.id, evalObj);
+        } else if (obj.kind === 'pattern') {
+            // Unit cells and lattices are rules the Tile relation expands;
+            // only tile instances draw.
+            if (obj.geometry && obj.geometry.sourceObjectId !== undefined) {
+                const evalObj = evaluateTileInstance(obj, style, t, ctx, globalStyles);
+                if (evalObj) {
+                    evaluated.push(evalObj);
+                    evaluatedMap.set(obj.id, evalObj);
+                }
+            }
         } else {
             warnings.push(`Object ${obj.id} of kind ${obj.kind} evaluation not implemented`);
         }
@@ -451,44 +1599,189 @@ function evaluateObjects(objects, t, assets, warnings, globalStyles) {
     return evaluated;
 }
 
-function evaluateOperators(operators, objects, t, warnings) {
+/**
+ * A TileInstance draws its source object placed by its own transform then
+ * `instanceTransform`, on top of the source's transform. It uses its own
+ * style when it has one, else the source's.
+ */
+function evaluateTileInstance(obj, style, t, ctx, globalStyles) {
+    const spec = resolveRefs(obj.geometry, ctx, `Object ${obj.id}`);
+    const source = ctx.lookupObject && ctx.lookupObject(spec.sourceObjectId);
+    const placed = placeTileInstance(obj, source, t, ctx);
+    if (!placed) return null;
+    return {
+        objectId: obj.id,
+        geometry: evaluateObjectGeometry(placed, t, ctx),
+        style: style || resolveStyle(source, globalStyles, t, ctx),
+    };
+}
+
+/** The tile instance's source object, moved to where the instance draws it. */
+function placeTileInstance(obj, source, t, ctx) {
+    const spec = resolveRefs(obj.geometry, ctx, `Object ${obj.id}`);
+    if (!source || (source.kind !== 'primitive' && source.kind !== 'text')) {
+        pushWarning(ctx.warnings, `Object ${obj.id}: tile instance source ${spec.sourceObjectId} must be a primitive or text object`);
+        return null;
+    }
+    const instance = spec.instanceTransform ? evaluateTransform(spec.instanceTransform, t, ctx) : mat3Identity();
+    const matrix = mat3Multiply(objectMatrix(obj, t, ctx), mat3Multiply(instance, objectMatrix(source, t, ctx)));
+    return { ...source, id: obj.id, transform: { matrix: { type: 'constant', value: matrix } } };
+}
+
+/** Average glyph advance (in em) for the placeholder text box. */
+const TEXT_ADVANCE_EM = 0.6;
+
+/**
+ * Text objects evaluate to their glyph outlines, or in `outlineMode:
+ * 'raster'` to an alpha raster of them with `rasterAA` sub-samples per
+ * pixel axis (default 4, 1 = aliased).
+ */
+function evaluateTextObject(obj, style, t, ctx) {
+    const geometry = evaluateTextGeometry(obj, t, ctx);
+    const spec = obj.geometry || {};
+    if (spec.outlineMode === 'raster' && geometry.contours && geometry.bounds) {
+        const raster = rasterizeContours(geometry.contours, geometry.bounds, {
+            pixelsPerUnit: ctx.pixelScale || 1,
+            samples: Number(evaluateMaybeParam(spec.rasterAA, t, ctx) ?? 4),
+        });
+        return { objectId: obj.id, raster: { ...raster, meta: { ...raster.meta, source: 'text', text: geometry.text } }, style };
+    }
+    return { objectId: obj.id, geometry, style };
+}
+
+/**
+ * With a parsed font asset, text becomes glyph outlines (nonzero fill) set
+ * by `geometry.layout` (see `layoutText`), with the first baseline through
+ * the object origin. `vectorQuality` multiplies the curve point density. A
+ * Glyph (`char`) draws only its first character. `metrics` carries the
+ * layout metrics plus the world-space `baseline`, `ascender` and
+ * `descender` points at the origin, which `align` snaps to. Without a
+ * loaded font, text is a placeholder box sized from the string and drawn by
+ * the renderer's own text.
+ */
+function evaluateTextGeometry(obj, t, ctx) {
+    const owner = `Object ${obj.id}`;
+    const geometry = objectGeometry(obj, t, ctx);
+    const transform = resolveRefs(obj.transform, ctx, owner);
+    const text = geometry.char !== undefined ? (Array.from(String(geometry.char))[0] ?? '') : String(geometry.text ?? 'text');
+    const size = geometry.size || 16;
+    const asset = ctx.assets && ctx.assets[geometry.fontAssetId];
+    if (!asset) pushWarning(ctx.warnings, `${owner}: font asset ${geometry.fontAssetId} not found`);
+    const font = asset && asset.font;
+    if (!font) {
+        const box = { type: 'rect', width: Math.max(1, text.length) * size * TEXT_ADVANCE_EM, height: size };
+        return { ...evaluatePrimitiveGeometry(box, transform, t, ctx), type: 'text', text, size };
+    }
+
+    const layout = resolveFields(geometry.layout, t, ctx, owner);
+    const matrix = evaluateTransform(transform, t, ctx);
+    const curve = layout.path ? textBaselineCurve(obj, layout.path, matrix, t, ctx) : null;
+    const { glyphs, lines, metrics } = layoutText(font, text, size, layout, curve);
+    const quality = geometry.vectorQuality > 0 ? geometry.vectorQuality : 1;
+    const tolerance = (ctx.tolerance ?? DEFAULT_PATH_TOLERANCE) / (ctx.pixelScale || 1) / quality;
+    const contours = flattenPath(transformPathSegments(glyphSegments(font, glyphs, size), matrix, tolerance), tolerance);
+    const points = contours.flatMap((c) => c.points);
+    return {
+        type: 'text',
+        points,
+        contours,
+        fillRule: 'nonzero',
+        bounds: computeBounds(points),
+        text,
+        size,
+        glyphs,
+        lines,
+        metrics: {
+            ...metrics,
+            baseline: applyMat3(matrix, { x: 0, y: 0 }),
+            ascender: applyMat3(matrix, { x: 0, y: -metrics.ascent }),
+            descender: applyMat3(matrix, { x: 0, y: metrics.descent }),
+        },
+    };
+}
+
+/**
+ * Baseline for `layout.path`: another object's outline as drawn (brought
+ * into the text's local space, so the text sits on it whatever its own
+ * transform), or an inline local path.
+ */
+function textBaselineCurve(obj, path, matrix, t, ctx) {
+    if (typeof path === 'string') {
+        const source = ctx.lookupObject && ctx.lookupObject(path);
+        const inverse = mat3Invert(matrix);
+        if (!source || source.kind !== 'primitive' || source.geometry.type === 'point' || !inverse) {
+            pushWarning(ctx.warnings, `Object ${obj.id}: text path ${path} must be a line, polyline, path or shape`);
+            return null;
+        }
+        const { points, closed } = followablePoints(evaluateObjectGeometry(source, t, ctx));
+        return points.length > 1 ? polylineCurve(transformPoints(inverse, points), closed) : null;
+    }
+    const tolerance = (ctx.tolerance ?? DEFAULT_PATH_TOLERANCE) / (ctx.pixelScale || 1);
+    const [first] = flattenPath(pathSegments(path).segments, tolerance);
+    return first ? polylineCurve(first.points, first.closed) : null;
+}
+
+function evaluateOperators(operators, objects, t, warnings, ctx, refs) {
     const outputs = {};
     const byId = new Map(objects.map((o) => [o.objectId, o]));
-    for (const op of operators) {
-        if (op.enabled === false) continue;
+    for (const declared of operators) {
+        if (declared.enabled === false) continue;
+        const op = { ...declared, params: resolveFields(declared.params, t, ctx, `Operator ${declared.id}`) };
         const inputs = op.inputRefs.map((ref) => outputs[ref] || byId.get(ref));
         if (inputs.some((i) => !i)) {
             warnings.push(`Operator ${op.id} missing inputs`);
             continue;
         }
+        let result = null;
         switch (op.type) {
             case 'affine':
-                outputs[op.outputRef] = evaluateAffineOperator(op, inputs, t);
+                result = evaluateAffineOperator(op, inputs, t, ctx);
                 break;
             case 'threshold':
-                outputs[op.outputRef] = evaluateThresholdOperator(op, inputs);
+                result = evaluateThresholdOperator(op, inputs);
                 break;
             case 'rasterize':
-                outputs[op.outputRef] = evaluateRasterizeOperator(op, inputs);
+                result = evaluateRasterizeOperator(op, inputs);
+                break;
+            case 'boolean':
+                result = evaluateBooleanOperator(op, inputs, ctx);
+                break;
+            case 'offset':
+                result = evaluateOffsetOperator(op, inputs, ctx);
+                break;
+            case 'simplify':
+            case 'resample':
+            case 'smooth':
+                result = evaluatePolylineOperator(op, inputs, ctx);
+                break;
+            case 'measure':
+                // Later operators can bind to `@<outputRef>.prop` straight away.
+                result = evaluateMeasureOperator(op, inputs, ctx);
+                refs.evaluated.set(op.outputRef, result.measurement);
                 break;
             case 'erode':
             case 'dilate':
-                outputs[op.outputRef] = evaluateMorphOperator(op, inputs, op.type === 'erode');
+                result = evaluateMorphOperator(op, inputs, op.type === 'erode');
                 break;
             default:
                 warnings.push(`Operator ${op.id} (${op.type}) not implemented`);
                 break;
         }
+        // An operator that cannot run keeps the previous value of its output.
+        if (result) outputs[op.outputRef] = result;
     }
     return outputs;
 }
 
-function evaluateAffineOperator(op, inputs, t) {
-    const transform = evaluateTransform(op.params.transform, t);
+function evaluateAffineOperator(op, inputs, t, ctx) {
+    const transform = evaluateTransform(op.params.transform, t, ctx);
     const input = inputs[0];
     if (input.geometry) {
         const transformedPoints = transformPoints(transform, input.geometry.points);
         const transformed = { ...input.geometry, points: transformedPoints, bounds: computeBounds(transformedPoints) };
+        if (input.geometry.contours) {
+            transformed.contours = input.geometry.contours.map((c) => ({ ...c, points: transformPoints(transform, c.points) }));
+        }
         return { type: 'geometry', geometry: transformed };
     }
     if (input.raster) {
@@ -497,6 +1790,123 @@ function evaluateAffineOperator(op, inputs, t) {
     return { type: 'geometry', geometry: { type: 'polyline', points: [], bounds: null } };
 }
 
+/**
+ * Combines the input shapes into multi-ring geometry. Rings come out with
+ * holes wound opposite to outlines and are tagged for even-odd filling.
+ * Without geometry inputs there is no result.
+ */
+function evaluateBooleanOperator(op, inputs, ctx) {
+    if (inputs.some((input) => !input.geometry)) {
+        pushWarning(ctx.warnings, `Operator ${op.id}: boolean needs geometry inputs`);
+        return null;
+    }
+    const regions = inputs.map((input) => geometryRegion(input.geometry));
+    const rings = booleanPolygons(regions, op.params.operation || 'union');
+    const contours = rings.map((points) => ({ points, closed: true }));
+    const points = rings.flat();
+    return { type: 'geometry', geometry: { type: 'path', points, contours, fillRule: 'evenodd', bounds: computeBounds(points) } };
+}
+
+/**
+ * Vector counterpart of erode/dilate: grows (distance > 0) or shrinks
+ * (distance < 0) filled shapes, and outlines open ones at |distance| on
+ * both sides. Output rings follow the boolean operator's convention.
+ * Without a geometry input there is no result.
+ */
+function evaluateOffsetOperator(op, inputs, ctx) {
+    const geometry = inputs[0].geometry;
+    if (!geometry) {
+        pushWarning(ctx.warnings, `Operator ${op.id}: offset needs a geometry input`);
+        return null;
+    }
+    const distance = Number(op.params.distance) || 0;
+    const options = {
+        join: op.params.join || 'miter',
+        miterLimit: op.params.miterLimit,
+        tolerance: (ctx.tolerance ?? 0.25) / (ctx.pixelScale || 1),
+    };
+    const open = geometryPolylines(geometry);
+    const rings = open ? expandPolylines(open, distance, options) : offsetRegion(geometryRegion(geometry), distance, options);
+    const contours = rings.map((points) => ({ points, closed: true }));
+    const points = rings.flat();
+    return { type: 'geometry', geometry: { type: 'path', points, contours, fillRule: 'evenodd', bounds: computeBounds(points) } };
+}
+
+/** Point lists of an open shape, or null when the geometry encloses area. */
+function geometryPolylines(geometry) {
+    if (geometry.contours) {
+        return geometry.contours.every((c) => !c.closed) ? geometry.contours.map((c) => c.points) : null;
+    }
+    return geometry.type === 'line' || geometry.type === 'polyline' ? [geometry.points] : null;
+}
+
+function geometryRegion(geometry) {
+    if (geometry.contours) {
+        return { rings: geometry.contours.map((c) => c.points), fillRule: geometry.fillRule };
+    }
+    switch (geometry.type) {
+        case 'point':
+        case 'line':
+        case 'text':
+            return { rings: [] };
+        default:
+            return { rings: [geometry.points] };
+    }
+}
+
+/**
+ * Simplify / resample / smooth run on every contour of the input and keep
+ * open contours open. Plain point shapes come out as polygon or polyline;
+ * points and text pass through unchanged. Without a geometry input there is
+ * no result.
+ */
+function evaluatePolylineOperator(op, inputs, ctx) {
+    const geometry = inputs[0].geometry;
+    if (!geometry) {
+        pushWarning(ctx.warnings, `Operator ${op.id}: ${op.type} needs a geometry input`);
+        return null;
+    }
+    const { params } = op;
+    const apply = (points, closed) => {
+        switch (op.type) {
+            case 'simplify':
+                return params.method === 'visvalingam'
+                    ? simplifyVisvalingam(points, params.tolerance, closed)
+                    : simplifyDouglasPeucker(points, params.tolerance, closed);
+            case 'resample':
+                return resamplePolyline(points, { count: params.count, spacing: params.spacing }, closed);
+            default:
+                return params.method === 'catmullRom'
+                    ? smoothCatmullRom(points, params.segments ?? 8, closed)
+                    : smoothChaikin(points, params.iterations ?? 2, closed);
+        }
+    };
+    if (geometry.contours) {
+        const contours = geometry.contours.map((c) => ({ points: apply(c.points, c.closed), closed: c.closed }));
+        const points = contours.flatMap((c) => c.points);
+        return { type: 'geometry', geometry: { ...geometry, points, contours, bounds: computeBounds(points) } };
+    }
+    if (geometry.type === 'point' || geometry.type === 'text') return { type: 'geometry', geometry };
+    const closed = geometry.type !== 'line' && geometry.type !== 'polyline';
+    const points = apply(geometry.points, closed);
+    return { type: 'geometry', geometry: { type: closed ? 'polygon' : 'polyline', points, bounds: computeBounds(points) } };
+}
+
+/** Measures an operator stage, e.g. the pixel coverage of a rasterized shape. */
+function evaluateMeasureOperator(op, inputs, ctx) {
+    const input = inputs[0];
+    let measurement;
+    if (input.raster) {
+        measurement = measureRaster(input.raster, op.params.threshold ?? 128);
+    } else if (input.geometry) {
+        measurement = measureGeometry(input.geometry);
+    } else {
+        pushWarning(ctx.warnings, `Operator ${op.id}: measure needs a geometry or raster input`);
+        measurement = measureGeometry({ type: 'polyline', points: [], bounds: null });
+    }
+    return { type: 'measure', measurement: measurementRecord(op.outputRef, measurement, op.params.metric) };
+}
+
 function evaluateThresholdOperator(op, inputs) {
     const input = inputs[0];
     if (!input.raster) return input;
@@ -556,23 +1966,87 @@ function evaluateMorphOperator(op, inputs, erode) {
     return { type: 'raster', raster: { width, height, pixels: out, channel: input.raster.channel } };
 }
 
-export function findHitObject(objects, point) {
-    for (let i = objects.length - 1; i >= 0; i--) {
-        const obj = objects[i];
-        if (!obj.geometry) continue;
-        if (pointInsideGeometry(point, obj.geometry)) {
-            return obj.objectId;
-        }
+/**
+ * Topmost object under `point`, or null. See `findHitObjects`.
+ * @param {Array<{objectId:string, geometry?: import('../core/geometry.js').EvaluatedGeometry, style?: object}>} objects
+ * @param {{x:number, y:number}} point
+ * @param {{tolerance?: number}} [options]
+ * @returns {string|null}
+ */
+export function findHitObject(objects, point, options) {
+    const [top] = findHitObjects(objects, point, options);
+    return top ? top.objectId : null;
+}
+
+/**
+ * Every object under `point`, topmost (last drawn) first. Interiors count
+ * only when the object's fill is enabled; outlines, open paths and points
+ * are hit within half their stroke width plus `tolerance` (world units).
+ * @param {Array<{objectId:string, geometry?: import('../core/geometry.js').EvaluatedGeometry, style?: object}>} objects
+ * @param {{x:number, y:number}} point
+ * @param {{tolerance?: number}} [options]
+ * @returns {Array<{objectId:string, depth:number, part:'fill'|'stroke'|'point', distance:number}>}
+ */
+export function findHitObjects(objects, point, options = {}) {
+    const tolerance = options.tolerance ?? 3;
+    // Only objects whose painted bounds are near the point get the exact test.
+    const candidates = getObjectIndex(objects).queryPoint(point, tolerance).sort((a, b) => b.depth - a.depth);
+    const hits = [];
+    for (const { object, depth } of candidates) {
+        const style = object.style;
+        const hit = hitTestGeometry(point, object.geometry, {
+            filled: Boolean(style && style.fillEnabled && style.fillColor),
+            strokeWidth: paintedStrokeWidth(style),
+            tolerance,
+        });
+        if (hit) hits.push({ objectId: object.objectId, depth, ...hit });
     }
-    return null;
+    return hits;
+}
+
+/**
+ * Nearest vertex of any evaluated object within `radius` of `point`, for
+ * snapping. Curves snap to their flattened points.
+ * @param {Array<{objectId:string, geometry?: import('../core/geometry.js').EvaluatedGeometry}>} objects
+ * @param {{x:number, y:number}} point
+ * @param {{radius?: number, exclude?: string}} [options] `exclude` skips one object (e.g. the one being dragged).
+ * @returns {{objectId:string, point:{x:number, y:number}, distance:number}|null}
+ */
+export function findSnapPoint(objects, point, options = {}) {
+    const nearestVertex = ({ object }) => {
+        if (object.objectId === options.exclude) return { vertex: null, distance: Infinity };
+        let vertex = null;
+        let distance = Infinity;
+        for (const p of object.geometry.points || []) {
+            const d = Math.hypot(p.x - point.x, p.y - point.y);
+            if (d < distance) {
+                distance = d;
+                vertex = p;
+            }
+        }
+        return { vertex, distance };
+    };
+    const [best] = getObjectIndex(objects).nearest(point, {
+        maxDistance: options.radius ?? 8,
+        distance: (item) => nearestVertex(item).distance,
+    });
+    if (!best) return null;
+    return { objectId: best.item.object.objectId, point: { ...nearestVertex(best.item).vertex }, distance: best.distance };
 }
 
 function pointInsideGeometry(point, geometry) {
+    // Nonzero fill rule unless the geometry says otherwise; open subpaths fill as if closed.
+    if (geometry.contours) {
+        const winding = windingNumber(point, geometry.contours.map((c) => c.points));
+        return geometry.fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+    }
     switch (geometry.type) {
         case 'circle':
             if (geometry.points) return isPointInPolygon(point, geometry.points);
             return false;
         case 'rect':
+        case 'ngon':
+        case 'star':
         case 'polygon':
         case 'polyline':
         case 'line':
@@ -616,6 +2090,10 @@ function matMultiplySafe(a, b, relation) {
 function mergeOperatorResults(baseObjects, operatorResults) {
     const merged = [...baseObjects];
     for (const [id, result] of Object.entries(operatorResults)) {
+        if (result.type === 'measure') {
+            merged.push(result.measurement);
+            continue;
+        }
         const existing = merged.find((o) => o.objectId === id);
         if (existing) {
             if (result.type === 'geometry') existing.geometry = result.geometry;
@@ -5,6 +5,8 @@
  * @output Canvas Drawing
  */
 
+import { getObjectIndex } from '../core/spatial.js';
+
 /**
  * Draws the background grid.
  * @param {import('p5')} p
@@ -35,33 +37,55 @@ export function drawGrid(p) {
 
 /**
  * Renders list of evaluated objects.
+ * With `options.viewport` (world-space bounds of the canvas), objects whose
+ * painted bounds fall outside it are skipped via the spatial index.
  * @param {import('p5')} p
  * @param {import('./evaluator.js').EvaluatedObject[]} objects
  * @param {string} [selectedId]
+ * @param {{viewport?: {min:{x:number,y:number}, max:{x:number,y:number}}}} [options]
  */
-export function render(p, objects, selectedId) {
+export function render(p, objects, selectedId, options = {}) {
     if (!objects) return;
+    const visible = options.viewport
+        ? new Set(getObjectIndex(objects).queryRect(options.viewport).map((entry) => entry.object))
+        : null;
 
     for (const obj of objects) {
         if (obj.geometry) {
+            if (visible && !visible.has(obj)) continue;
             const isSelected = obj.objectId === selectedId;
             renderGeometry(p, obj.geometry, obj.style, isSelected);
         } else if (obj.raster) {
-            // Raster support (from logic)
-            p.push();
-            // Raster rendering placeholder or implementation
-            // Current index.html didn't seem to have raster rendering in the snippet I saw?
-            // Let's implement basic placeholder or if I find it in index.html later I update.
-            // Assuming it was not strictly implemented in HTML yet or I missed it.
-            // I'll leave it as a TODO or basic image drawing if pixels exist.
-            if (obj.raster.pixels) {
-                // Create p5 Image? (Slow to do every frame)
-                // ideally we cache p5 images.
-                // For now, skip raster or simple box.
-            }
-            p.pop();
+            renderRaster(p, obj.raster, obj.style);
+        }
+    }
+}
+
+const rasterImages = new WeakMap();
+
+/**
+ * Rasters that carry their world rectangle in `meta.bounds` (e.g. text in
+ * `outlineMode: 'raster'`) are drawn there, with pixel values as coverage of
+ * the fill color. The p5 image is built once per raster.
+ */
+function renderRaster(p, raster, style) {
+    const bounds = raster.meta && raster.meta.bounds;
+    if (!bounds || !raster.pixels) return;
+    let img = rasterImages.get(raster);
+    if (!img) {
+        const color = p.color(style && style.fillColor ? style.fillColor : 200);
+        const alpha = style && style.alpha !== undefined ? Math.min(Math.max(style.alpha, 0), 1) : 1;
+        const rgb = [p.red(color), p.green(color), p.blue(color)];
+        img = p.createImage(raster.width, raster.height);
+        img.loadPixels();
+        for (let i = 0; i < raster.pixels.length; i += 1) {
+            img.pixels.set(rgb, i * 4);
+            img.pixels[i * 4 + 3] = raster.pixels[i] * alpha;
         }
+        img.updatePixels();
+        rasterImages.set(raster, img);
     }
+    p.image(img, bounds.min.x, bounds.min.y, bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
 }
 
 function renderGeometry(p, geo, style, isSelected) {
@@ -73,6 +97,19 @@ function renderGeometry(p, geo, style, isSelected) {
         p.strokeWeight((style?.strokeWidth || 1) + 2);
     }
 
+    if (geo.contours) {
+        // Paths and curved primitives carry their flattened subpaths. Glyph
+        // outlines without a style fill like placeholder text.
+        if (geo.type === 'text' && !style) {
+            p.fill(200);
+            if (!isSelected) p.noStroke();
+        }
+        if (geo.fillRule === 'evenodd') renderEvenOddContours(p, geo.contours, style);
+        else renderContours(p, geo.contours);
+        p.pop();
+        return;
+    }
+
     switch (geo.type) {
         case 'point':
             p.strokeWeight(5);
@@ -91,6 +128,8 @@ function renderGeometry(p, geo, style, isSelected) {
             else p.endShape();
             break;
         case 'rect':
+        case 'ngon':
+        case 'star':
             // Rect is evaluated to polygon points usually
             p.beginShape();
             for (const pt of geo.points) {
@@ -120,13 +159,15 @@ function renderGeometry(p, geo, style, isSelected) {
                 p.noStroke();
                 p.textSize(geo.size || 16);
                 p.textAlign(p.CENTER, p.CENTER);
-                // Text position? 'rect' placeholder logic sets center?
-                // geo.points comes from placeholder rect.
-                // Center = bounds center.
-                if (geo.bounds) {
-                    const cx = (geo.bounds.min.x + geo.bounds.max.x) / 2;
-                    const cy = (geo.bounds.min.y + geo.bounds.max.y) / 2;
-                    p.text(geo.text, cx, cy);
+                // geo.points is the transformed text box (top-left, top-right,
+                // bottom-right, bottom-left); draw in its frame.
+                if (geo.points && geo.points.length === 4) {
+                    const [tl, tr, , bl] = geo.points;
+                    const size = geo.size || 16;
+                    p.translate((tl.x + geo.points[2].x) / 2, (tl.y + geo.points[2].y) / 2);
+                    p.rotate(Math.atan2(tr.y - tl.y, tr.x - tl.x));
+                    p.scale(Math.hypot(bl.x - tl.x, bl.y - tl.y) / size || 1);
+                    p.text(geo.text, 0, 0);
                 }
                 p.pop();
             }
@@ -136,6 +177,51 @@ function renderGeometry(p, geo, style, isSelected) {
     p.pop();
 }
 
+/**
+ * Closed subpaths are drawn as one shape with contours so holes follow the
+ * nonzero fill rule; open subpaths are drawn on their own.
+ */
+function renderContours(p, contours) {
+    const closed = contours.filter((c) => c.closed);
+    if (closed.length > 0) {
+        p.beginShape();
+        closed.forEach((contour, index) => {
+            if (index > 0) p.beginContour();
+            for (const pt of contour.points) p.vertex(pt.x, pt.y);
+            if (index > 0) p.endContour();
+        });
+        p.endShape(p.CLOSE);
+    }
+    for (const contour of contours) {
+        if (contour.closed) continue;
+        p.beginShape();
+        for (const pt of contour.points) p.vertex(pt.x, pt.y);
+        p.endShape();
+    }
+}
+
+/**
+ * p5 shapes always fill nonzero, so even-odd fills go straight to the 2D
+ * context (p.fill has already set its fillStyle); outlines are drawn by p5.
+ */
+function renderEvenOddContours(p, contours, style) {
+    if (style && style.fillEnabled && style.fillColor) {
+        const ctx = p.drawingContext;
+        ctx.beginPath();
+        for (const { points } of contours) {
+            points.forEach((pt, i) => (i === 0 ? ctx.moveTo(pt.x, pt.y) : ctx.lineTo(pt.x, pt.y)));
+            ctx.closePath();
+        }
+        ctx.fill('evenodd');
+    }
+    p.noFill();
+    for (const contour of contours) {
+        p.beginShape();
+        for (const pt of contour.points) p.vertex(pt.x, pt.y);
+        p.endShape(contour.closed ? p.CLOSE : undefined);
+    }
+}
+
 function applyStyle(p, style) {
     if (!style) {
         p.stroke(200);
@@ -144,15 +230,26 @@ function applyStyle(p, style) {
         return;
     }
 
-    if (style.strokeColor) p.stroke(style.strokeColor);
+    const alpha = style.alpha !== undefined ? Math.min(Math.max(style.alpha, 0), 1) : 1;
+
+    if (style.strokeColor) p.stroke(withAlpha(p, style.strokeColor, alpha));
     else p.noStroke();
 
     if (style.strokeWidth !== undefined) p.strokeWeight(style.strokeWidth);
 
-    if (style.fillEnabled && style.fillColor) p.fill(style.fillColor);
+    if (style.fillEnabled && style.fillColor) p.fill(withAlpha(p, style.fillColor, alpha));
     else p.noFill();
+}
 
-    if (style.alpha !== undefined) {
-        // p5 alpha handilng
-    }
+/**
+ * Scales a color's own alpha by the style alpha.
+ * @param {import('p5')} p
+ * @param {string} color
+ * @param {number} alpha 0..1
+ */
+function withAlpha(p, color, alpha) {
+    if (alpha === 1) return color;
+    const c = p.color(color);
+    c.setAlpha(p.alpha(c) * alpha);
+    return c;
 }